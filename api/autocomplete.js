@@ -0,0 +1,57 @@
+// api/autocomplete.js
+import { sendEutilsError } from '../lib/eutils.js';
+import { sendCacheableJson } from '../lib/cache.js';
+import { autocomplete } from '../lib/suggest.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// 联想结果变化很慢，浏览器可以缓存一段时间，减少逐字输入时的请求
+const AUTOCOMPLETE_MAX_AGE = 60 * 60;
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // types 默认为全部类型，limit 是每种类型的条数
+  const input = validateRequest(req, res, '/api/autocomplete');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  try {
+    const types = [...new Set(input.types)];
+    const { cacheStatus, ...result } = await autocomplete(input.q, { types, limit: input.limit });
+    sendCacheableJson(req, res, result, { cacheStatus, maxAge: AUTOCOMPLETE_MAX_AGE });
+
+  } catch (error) {
+    logger.error('Autocomplete failed', { error });
+    sendEutilsError(res, error, 'Autocomplete Error');
+  }
+}
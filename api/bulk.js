@@ -0,0 +1,163 @@
+// api/bulk.js
+import { esearch, sendEutilsError } from '../lib/eutils.js';
+import { compileQuery, QueryError, resolveSort } from '../lib/query.js';
+import { fetchPapersFromHistory } from '../lib/papers.js';
+import { BULK_FORMATS, CursorError, decodeCursor, encodeCursor } from '../lib/bulk.js';
+import { ARTICLE_DATABASES } from '../lib/databases.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Total-Count, X-Export-Cursor');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// PubMed 的 history server 最多只能翻到第 10000 条；batch 与 max 的范围见 lib/openapi.js
+const MAX_BULK_RECORDS = 10000;
+
+// 写缓冲区满时等客户端读走（'drain'）或断开后再继续，读得慢的客户端不会让整个导出堆在内存里
+function write(res, chunk) {
+  if (res.write(chunk) !== false || typeof res.once !== 'function') {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/bulk');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { format, batch: batchSize, max: limit } = input;
+  const writer = BULK_FORMATS[format];
+
+  // 续传时检索式、数据库和起点都来自游标，忽略其余检索参数
+  let db;
+  let term;
+  let sort;
+  let start;
+  try {
+    if (input.cursor) {
+      ({ db, term, sort, retstart: start } = decodeCursor(input.cursor));
+    } else {
+      ({ db, retstart: start } = input);
+      term = compileQuery(input, db);
+      sort = resolveSort(input.sort);
+    }
+  } catch (error) {
+    if (error instanceof QueryError || error instanceof CursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  // 游标中的数据库不经过 schema 校验；批量导出只支持论文类数据库
+  if (!ARTICLE_DATABASES.includes(db)) {
+    return res.status(400).json({ error: `Invalid database. Supported databases: ${ARTICLE_DATABASES.join(', ')}` });
+  }
+  if (!term) {
+    return res.status(400).json({ error: 'Search term is required' });
+  }
+
+  let history;
+  let total;
+  try {
+    logger.info('Bulk export started', { db, term, format });
+    history = await esearch({ db, term, sort, usehistory: 'y' });
+    total = parseInt(history.count, 10) || 0;
+  } catch (error) {
+    logger.error('Bulk export search failed', { error });
+    return sendEutilsError(res, error, 'Failed to start bulk export');
+  }
+
+  const end = Math.min(total, start + limit, MAX_BULK_RECORDS);
+  const cursorAt = retstart => (retstart < Math.min(total, MAX_BULK_RECORDS) ? encodeCursor({ db, term, sort, retstart }) : null);
+
+  // 响应头发出后就不能再改状态码，之后的错误只能写进流里
+  res.setHeader('Content-Type', writer.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="export.${writer.extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Total-Count', String(total));
+  res.setHeader('X-Export-Cursor', cursorAt(start) || '');
+  res.status(200);
+  await write(res, writer.header());
+
+  // 客户端断开后停止向 NCBI 请求
+  let aborted = false;
+  res.on?.('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  // position 是下一批的起点，每批前进请求的条数；EFetch 会跳过已删除或无法解析的记录，
+  // 所以返回的条数可能少于请求的条数，exported 是实际写出的记录数
+  let position = start;
+  let exported = 0;
+  let retriedHistory = false;
+  try {
+    while (position < end && !aborted) {
+      const retmax = Math.min(batchSize, end - position);
+      const papers = await fetchPapersFromHistory(db, { webenv: history.webenv, querykey: history.querykey, retstart: position, retmax });
+
+      if (papers.length === 0) {
+        // WebEnv 过期时 EFetch 返回空结果，重新检索一次后继续
+        if (retriedHistory) {
+          throw new Error(`EFetch returned no records at position ${position}`);
+        }
+        logger.warn('Bulk export got an empty batch, refreshing history', { position });
+        history = await esearch({ db, term, sort, usehistory: 'y' });
+        retriedHistory = true;
+        continue;
+      }
+      retriedHistory = false;
+
+      for (const [index, paper] of papers.entries()) {
+        await write(res, writer.record(paper, position + index));
+      }
+      exported += papers.length;
+      position += retmax;
+      await write(res, writer.progress({ exported, position, total, cursor: cursorAt(position) }));
+    }
+
+    logger.info('Bulk export finished', { position, exported, total });
+    res.write(writer.end({ exported, position, total, cursor: cursorAt(position) }));
+    res.end();
+
+  } catch (error) {
+    logger.error('Bulk export interrupted', { position, total, error });
+    res.write(writer.error({ error: 'Bulk export interrupted', details: error.message, position, cursor: cursorAt(position) }));
+    res.end();
+  }
+}
@@ -0,0 +1,60 @@
+// api/clients.js
+import { authorizeClient, describeClient, issueClientKey, listClients, requireAdmin } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { validateRequest } from '../lib/openapi.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // 签发和查看 key 只能使用 CLIENT_ADMIN_TOKEN
+  if (!requireAdmin(req, res)) {
+    return; // 已返回 401 / 403
+  }
+
+  const input = validateRequest(req, res, '/api/clients');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const clients = await listClients();
+      return res.status(200).json({ clients: clients.map(describeClient), total: clients.length });
+    }
+
+    const { name, rateLimit, dailyQuota } = input;
+    const { client, key } = await issueClientKey({ name: name.trim(), rateLimit, dailyQuota });
+    logger.info('Issued API key', { id: client.id, keyPrefix: client.keyPrefix, name: client.name });
+    res.status(201).json({ ...describeClient(client), key });
+
+  } catch (error) {
+    logger.error('Accessing API clients failed', { error });
+    res.status(500).json({ error: 'Failed to access API clients', details: error.message });
+  }
+}
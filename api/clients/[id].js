@@ -0,0 +1,60 @@
+// api/clients/[id].js
+import { authorizeClient, describeClient, getClient, requireAdmin, revokeClientKey } from '../../lib/clients.js';
+import { logger } from '../../lib/log.js';
+import { validateRequest } from '../../lib/openapi.js';
+import { allowOrigin } from '../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) {
+    return; // 已返回 401 / 403
+  }
+
+  const input = validateRequest(req, res, '/api/clients/{id}');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id } = input;
+
+  try {
+    // 吊销后记录和用量保留，用量报表中仍可查看
+    const client = req.method === 'DELETE' ? await revokeClientKey(id) : await getClient(id);
+    if (!client) {
+      return res.status(404).json({ error: 'API client not found' });
+    }
+    if (req.method === 'DELETE') {
+      logger.info('Revoked API key', { id: client.id, keyPrefix: client.keyPrefix });
+    }
+    res.status(200).json(describeClient(client));
+
+  } catch (error) {
+    logger.error('Accessing API client failed', { error });
+    res.status(500).json({ error: 'Failed to access API client', details: error.message });
+  }
+}
@@ -0,0 +1,104 @@
+// api/export.js
+import { esearch, sendEutilsError } from '../lib/eutils.js';
+import { CITATION_FORMATS } from '../lib/citation.js';
+import { fetchPapers } from '../lib/papers.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+async function fetchRecords(db, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const { papers } = await fetchPapers(db, ids);
+  return papers;
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // POST 时参数也可以放在 JSON body 中；ids 最多 500 个，retmax 最大 500
+  const input = validateRequest(req, res, '/api/export');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { term, db, format, retmax } = input;
+  const exporter = CITATION_FORMATS[format];
+
+  try {
+    let ids = (input.ids || []).map(String);
+
+    if (ids.length === 0) {
+      if (!term) {
+        return res.status(400).json({ error: 'Either ids or a search term is required' });
+      }
+      logger.debug('Export search', { db, term });
+      const esearchResult = await esearch({ db, term, retmax });
+      ids = esearchResult.idlist || [];
+    }
+
+    // 带 PMC 前缀的 ID 一律按 PMC 处理，其余按 db 参数处理
+    const pmcIds = [];
+    const pubmedIds = [];
+    for (const id of ids) {
+      if (/^PMC/i.test(id) || db === 'pmc') {
+        pmcIds.push(id.replace(/^PMC/i, ''));
+      } else {
+        pubmedIds.push(id);
+      }
+    }
+
+    const [pubmedRecords, pmcRecords] = await Promise.all([
+      fetchRecords('pubmed', pubmedIds),
+      fetchRecords('pmc', pmcIds),
+    ]);
+
+    // 按请求中的 ID 顺序输出
+    const byId = new Map();
+    pubmedRecords.forEach(record => byId.set(record.pmid, record));
+    pmcRecords.forEach(record => byId.set(`PMC${record.pmcid}`, record));
+    const records = ids
+      .map(id => (/^PMC/i.test(id) || db === 'pmc' ? byId.get(`PMC${id.replace(/^PMC/i, '')}`) : byId.get(id)))
+      .filter(Boolean);
+
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'No records found for export' });
+    }
+
+    logger.info('Export completed', { db, format, records: records.length });
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="citations.${exporter.extension}"`);
+    res.status(200).send(exporter.format(records));
+
+  } catch (error) {
+    logger.error('Export failed', { error });
+    sendEutilsError(res, error, 'Failed to export citations');
+  }
+}
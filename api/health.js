@@ -0,0 +1,44 @@
+// api/health.js
+import { checkLiveness, checkReadiness } from '../lib/health.js';
+import { validateRequest } from '../lib/openapi.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// 不经过 authorizeClient：监控服务不需要 API key，也不占用客户端配额
+export default async function handler(req, res) {
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/health');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (input.mode === 'live') {
+    return res.status(200).json(checkLiveness());
+  }
+
+  // NCBI 或缓存不可用时返回 503，监控据此报警
+  const report = await checkReadiness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+}
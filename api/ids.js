@@ -0,0 +1,57 @@
+// api/ids.js
+import { sendEutilsError } from '../lib/eutils.js';
+import { convertIds } from '../lib/ids.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // POST 时参数也可以放在 JSON body 中，body 优先；纯数字按 numeric 参数识别为 PMID 或 PMCID
+  const input = validateRequest(req, res, '/api/ids');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { numeric } = input;
+  const ids = (input.ids || []).map(String);
+
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'IDs are required (comma-separated in ?ids= or an array in the POST body)' });
+  }
+
+  try {
+    logger.info('Converting IDs', { count: ids.length, numeric });
+    const records = await convertIds(ids, { numericType: numeric });
+    res.json({ records, total: records.length });
+  } catch (error) {
+    logger.error('ID conversion failed', { error });
+    sendEutilsError(res, error, 'Failed to convert IDs');
+  }
+}
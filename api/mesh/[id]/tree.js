@@ -0,0 +1,57 @@
+// api/mesh/[id]/tree.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { sendCacheableJson, PAPER_TTL } from '../../../lib/cache.js';
+import { browseDescriptor } from '../../../lib/mesh.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/mesh/{id}/tree');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  try {
+    // 每个树号给出一个上位词和它的全部下位词
+    const result = await browseDescriptor(input.id);
+    if (!result) {
+      return res.status(404).json({ error: 'No MeSH descriptor found for this identifier.', details: input.id });
+    }
+    const { cacheStatus, ...body } = result;
+    sendCacheableJson(req, res, body, { cacheStatus, maxAge: PAPER_TTL });
+
+  } catch (error) {
+    logger.error('MeSH browsing failed', { error });
+    sendEutilsError(res, error, 'Failed to browse MeSH tree');
+  }
+}
@@ -0,0 +1,35 @@
+// api/openapi.json.js
+import { OPENAPI_DOCUMENT } from '../lib/openapi.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default function handler(req, res) {
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // servers 指向当前部署，代码生成工具可以直接使用
+  const proto = req.headers['x-forwarded-proto'] || 'http';
+  const document = { ...OPENAPI_DOCUMENT, servers: [{ url: `${proto}://${req.headers.host || 'localhost'}` }] };
+
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(document);
+}
@@ -0,0 +1,69 @@
+// api/paper/[id]/asset.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { resolvePaperId } from '../../../lib/ids.js';
+import { assetUrl, fetchOaRecord, proxyFile, refuseNonOpenAccess } from '../../../lib/oa.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // name 只能是文章 bin/ 目录下的图片文件名，不能包含路径，格式由 OpenAPI schema 校验
+  const input = validateRequest(req, res, '/api/paper/{id}/asset');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id, name } = input;
+
+  try {
+    const resolved = await resolvePaperId(id, { numericType: 'pmcid', prefer: 'pmc' });
+    if (!resolved || resolved.db !== 'pmc') {
+      return res.status(404).json({ error: 'No PMC copy found for this identifier.', details: id });
+    }
+
+    const record = await fetchOaRecord(resolved.id);
+    if (refuseNonOpenAccess(res, record)) {
+      return;
+    }
+
+    logger.debug('Proxying asset', { pmcid: resolved.id, name });
+    // 只转发图片，上游返回的其他内容（如 HTML 页面）按 502 处理
+    await proxyFile(req, res, assetUrl(resolved.id, name), { accept: /^image\// });
+
+  } catch (error) {
+    logger.error('Proxying asset failed', { error });
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    sendEutilsError(res, error, 'Failed to download asset');
+  }
+}
@@ -0,0 +1,95 @@
+// api/paper/[id]/fulltext.js
+import { JSDOM } from 'jsdom';
+import { efetch, sendEutilsError } from '../../../lib/eutils.js';
+import { cacheGet, cacheSet, fulltextKey, sendCacheable, sendCacheableJson, PAPER_TTL } from '../../../lib/cache.js';
+import { parseFullText, renderFullTextHtml, renderFullTextMarkdown } from '../../../lib/fulltext.js';
+import { resolvePaperId } from '../../../lib/ids.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+function sendDocument(req, res, doc, format, cacheStatus) {
+  const options = { cacheStatus, maxAge: PAPER_TTL };
+  if (format === 'html') {
+    return sendCacheable(req, res, renderFullTextHtml(doc), 'text/html; charset=utf-8', options);
+  }
+  if (format === 'markdown') {
+    return sendCacheable(req, res, renderFullTextMarkdown(doc), 'text/markdown; charset=utf-8', options);
+  }
+  return sendCacheableJson(req, res, doc, options);
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/paper/{id}/fulltext');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id, format } = input;
+
+  try {
+    // 纯数字按 PMCID 处理；PMID、DOI 等先转换为 PMCID
+    const resolved = await resolvePaperId(id, { numericType: 'pmcid', prefer: 'pmc' });
+    if (!resolved || resolved.db !== 'pmc') {
+      return res.status(404).json({ error: 'No PMC copy found for this identifier.', details: id });
+    }
+    const pmcId = resolved.id;
+
+    const cachedDoc = await cacheGet(fulltextKey(pmcId));
+    if (cachedDoc) {
+      return sendDocument(req, res, cachedDoc, format, 'HIT');
+    }
+
+    const xml = await efetch({ db: 'pmc', id: pmcId });
+
+    const dom = new JSDOM(xml, { contentType: "text/xml" });
+    const article = dom.window.document.querySelector("article");
+    if (!article) {
+      const errorElement = dom.window.document.querySelector("ERROR");
+      return res.status(404).json({ error: 'No article found in PMC.', details: errorElement?.textContent });
+    }
+
+    const doc = parseFullText(article);
+    if (!doc) {
+      return res.status(404).json({
+        error: 'Full text is not available for this article.',
+        details: 'PMC only provides the full-text XML of open-access articles; the publisher does not allow downloading this one.'
+      });
+    }
+
+    await cacheSet(fulltextKey(pmcId), doc, PAPER_TTL);
+    sendDocument(req, res, doc, format, 'MISS');
+
+  } catch (error) {
+    logger.error('Fetching full text failed', { error });
+    sendEutilsError(res, error, 'Failed to fetch full text');
+  }
+}
@@ -0,0 +1,88 @@
+// api/paper/[id]/links.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { sendCacheableJson, PAPER_TTL } from '../../../lib/cache.js';
+import { fetchLinks, LINK_TYPES } from '../../../lib/links.js';
+import { resolvePaperId } from '../../../lib/ids.js';
+import { fetchPapers } from '../../../lib/papers.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/paper/{id}/links');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id, type, db, retstart: start, retmax: max, records } = input;
+
+  // 每个数据库支持的链接类型不同，schema 只能列出全部类型
+  if (!LINK_TYPES[db][type]) {
+    return res.status(400).json({ error: `Invalid link type for ${db}. Supported types: ${Object.keys(LINK_TYPES[db]).join(', ')}` });
+  }
+
+  try {
+    // DOI 等标识先转换为所选数据库的 ID
+    const resolved = await resolvePaperId(id, { numericType: db === 'pmc' ? 'pmcid' : 'pmid', prefer: db });
+    if (!resolved || resolved.db !== db) {
+      return res.status(404).json({ error: `No ${db} record found for this identifier.`, details: id });
+    }
+    const paperId = resolved.id;
+
+    logger.debug('Fetching links', { db, id: paperId, type });
+    const { linkname, targetDb, links, cacheStatus } = await fetchLinks(db, paperId, type);
+    const page = links.slice(start, start + max);
+
+    const body = {
+      id: paperId,
+      db,
+      type,
+      linkname,
+      targetDb,
+      total: links.length,
+      retstart: start,
+      retmax: max,
+      links: page,
+    };
+
+    // records=true 时直接返回与 /api/papers 相同格式的论文记录
+    if (records && page.length > 0) {
+      const { papers } = await fetchPapers(targetDb, page.map(link => link.id));
+      body.papers = papers;
+    }
+
+    sendCacheableJson(req, res, body, { cacheStatus, maxAge: PAPER_TTL });
+
+  } catch (error) {
+    logger.error('Fetching links failed', { error });
+    sendEutilsError(res, error, 'Failed to fetch paper links');
+  }
+}
@@ -0,0 +1,71 @@
+// api/paper/[id]/oa.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { cacheGet, oaKey, sendCacheableJson, PAPER_TTL } from '../../../lib/cache.js';
+import { resolvePaperId } from '../../../lib/ids.js';
+import { fetchOaRecord } from '../../../lib/oa.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/paper/{id}/oa');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id } = input;
+
+  try {
+    const resolved = await resolvePaperId(id, { numericType: 'pmcid', prefer: 'pmc' });
+    if (!resolved || resolved.db !== 'pmc') {
+      return res.status(404).json({ error: 'No PMC copy found for this identifier.', details: id, oaStatus: 'not_in_pmc' });
+    }
+
+    const cached = await cacheGet(oaKey(resolved.id));
+    const record = cached || await fetchOaRecord(resolved.id);
+    const pmcid = `PMC${resolved.id}`;
+
+    // pdfUrl 指向本服务的代理，links 保留上游的原始地址
+    sendCacheableJson(req, res, {
+      pmcid,
+      oaStatus: record.oaStatus,
+      license: record.license,
+      retracted: record.retracted,
+      reason: record.reason || undefined,
+      pdfUrl: record.links.pdf ? `/api/paper/${pmcid}/pdf` : '',
+      links: record.links,
+    }, { cacheStatus: cached ? 'HIT' : 'MISS', maxAge: PAPER_TTL });
+
+  } catch (error) {
+    logger.error('Checking open access status failed', { error });
+    sendEutilsError(res, error, 'Failed to check open access status');
+  }
+}
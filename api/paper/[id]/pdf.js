@@ -0,0 +1,74 @@
+// api/paper/[id]/pdf.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { resolvePaperId } from '../../../lib/ids.js';
+import { fetchOaRecord, proxyFile, refuseNonOpenAccess } from '../../../lib/oa.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges, Content-Disposition');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/paper/{id}/pdf');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id } = input;
+
+  try {
+    const resolved = await resolvePaperId(id, { numericType: 'pmcid', prefer: 'pmc' });
+    if (!resolved || resolved.db !== 'pmc') {
+      return res.status(404).json({ error: 'No PMC copy found for this identifier.', details: id });
+    }
+
+    const record = await fetchOaRecord(resolved.id);
+    if (refuseNonOpenAccess(res, record)) {
+      return;
+    }
+    if (!record.links.pdf) {
+      return res.status(404).json({
+        error: 'The PMC Open Access package of this article has no PDF.',
+        details: `Available formats: ${Object.keys(record.links).join(', ') || 'none'}`,
+      });
+    }
+
+    logger.debug('Proxying PDF', { pmcid: resolved.id, range: req.headers.range });
+    await proxyFile(req, res, record.links.pdf, { filename: `PMC${resolved.id}.pdf`, contentType: 'application/pdf' });
+
+  } catch (error) {
+    logger.error('Proxying PDF failed', { error });
+    // 已开始传输时只能中断连接
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    sendEutilsError(res, error, 'Failed to download PDF');
+  }
+}
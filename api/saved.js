@@ -0,0 +1,84 @@
+// api/saved.js
+import { sendEutilsError } from '../lib/eutils.js';
+import { compileQuery, QUERY_FIELDS, QueryError, resolveSort } from '../lib/query.js';
+import { createSavedSearch, describeSavedSearch, listSavedSearches } from '../lib/saved.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// 与 /api/search 相同的检索参数，原样保存以便前端回显
+const SEARCH_PARAMS = ['term', ...Object.keys(QUERY_FIELDS), 'datefrom', 'dateto', 'freefulltext', 'openaccess', 'retracted', 'query', 'sort'];
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // 新建时检索参数放在 JSON body 中，与 /api/search 的参数同名
+  const input = validateRequest(req, res, '/api/saved');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  try {
+    if (req.method === 'GET') {
+      // 只列出调用者自己的检索
+      const searches = await listSavedSearches(req);
+      return res.status(200).json({ searches: searches.map(describeSavedSearch), total: searches.length });
+    }
+
+    const { name, db } = input;
+    // flag 只在 /api/search 的响应中标记撤稿文献，不改变检索式，保存后没有作用
+    if (input.retracted === 'flag') {
+      return res.status(400).json({ error: 'retracted=flag is only available on /api/search; saved searches accept include or exclude' });
+    }
+
+    let term;
+    let sort;
+    try {
+      term = compileQuery(input, db);
+      sort = resolveSort(input.sort);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    if (!term) {
+      return res.status(400).json({ error: 'Search term is required' });
+    }
+
+    const params = Object.fromEntries(SEARCH_PARAMS.filter(key => input[key] !== undefined && input[key] !== '').map(key => [key, input[key]]));
+    logger.info('Saving search', { db, term });
+    const saved = await createSavedSearch(req, { name: name ? name.trim() : '', db, term, sort, params });
+    res.status(201).json(describeSavedSearch(saved));
+
+  } catch (error) {
+    logger.error('Saving search failed', { error });
+    sendEutilsError(res, error, 'Failed to save search');
+  }
+}
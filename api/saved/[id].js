@@ -0,0 +1,65 @@
+// api/saved/[id].js
+import { deleteSavedSearch, describeSavedSearch, getSavedSearch, isVisibleTo } from '../../lib/saved.js';
+import { validateRequest } from '../../lib/openapi.js';
+import { authorizeClient } from '../../lib/clients.js';
+import { logger } from '../../lib/log.js';
+import { allowOrigin } from '../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/saved/{id}');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id } = input;
+
+  try {
+    // 其他客户端的检索与不存在的检索一样返回 404
+    const saved = await getSavedSearch(id);
+    if (!saved || !isVisibleTo(saved, req)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(describeSavedSearch(saved));
+    }
+
+    if (req.method === 'DELETE') {
+      const deleted = await deleteSavedSearch(id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Saved search not found' });
+      }
+      return res.status(204).end();
+    }
+
+  } catch (error) {
+    logger.error('Accessing saved search failed', { error });
+    res.status(500).json({ error: 'Failed to access saved search', details: error.message });
+  }
+}
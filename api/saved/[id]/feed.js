@@ -0,0 +1,84 @@
+// api/saved/[id]/feed.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { cacheControl } from '../../../lib/cache.js';
+import { fetchPapers } from '../../../lib/papers.js';
+import { DATABASES } from '../../../lib/databases.js';
+import { feedState, getSavedSearch, isVisibleTo, runSavedSearch } from '../../../lib/saved.js';
+import { buildFeed, FEED_FORMATS } from '../../../lib/feed.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// 订阅源被拉取时，距上次运行超过该秒数就先重新运行检索
+const REFRESH_SECONDS = parseInt(process.env.SAVED_SEARCH_REFRESH_SECONDS, 10) || 60 * 60;
+const MAX_FEED_ITEMS = 50;
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/saved/{id}/feed');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id, format } = input;
+  const renderer = FEED_FORMATS[format];
+
+  try {
+    let saved = await getSavedSearch(id);
+    if (!saved || !isVisibleTo(saved, req)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    // 订阅源用自己的游标刷新，不影响 POST /run 返回的新增结果
+    if (Date.now() - new Date(feedState(saved).lastRunAt).getTime() > REFRESH_SECONDS * 1000) {
+      logger.info('Refreshing saved search for feed', { id });
+      ({ saved } = await runSavedSearch(id, { cursor: 'feed' }));
+    }
+    const feedRuns = { ...saved, ...feedState(saved) };
+
+    const ids = feedRuns.runs.flatMap(run => run.newIds).slice(0, MAX_FEED_ITEMS);
+    const papers = new Map();
+    if (ids.length > 0) {
+      const { papers: fetched } = await fetchPapers(saved.db, ids);
+      fetched.forEach(paper => papers.set(DATABASES[saved.db].recordId(paper), paper));
+    }
+
+    const proto = req.headers['x-forwarded-proto'] || 'http';
+    const selfUrl = `${proto}://${req.headers.host || 'localhost'}/api/saved/${saved.id}/feed?format=${format}`;
+    const feed = buildFeed(feedRuns, papers, { selfUrl, limit: MAX_FEED_ITEMS });
+
+    res.setHeader('Content-Type', renderer.contentType);
+    res.setHeader('Cache-Control', cacheControl(req, Math.min(REFRESH_SECONDS, 3600), { revalidate: false }));
+    res.status(200).send(renderer.render(feed));
+
+  } catch (error) {
+    logger.error('Building feed failed', { error });
+    sendEutilsError(res, error, 'Failed to build feed');
+  }
+}
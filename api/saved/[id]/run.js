@@ -0,0 +1,82 @@
+// api/saved/[id]/run.js
+import { sendEutilsError } from '../../../lib/eutils.js';
+import { fetchPapers } from '../../../lib/papers.js';
+import { getSavedSearch, isVisibleTo, runSavedSearch, SavedSearchError } from '../../../lib/saved.js';
+import { validateRequest } from '../../../lib/openapi.js';
+import { authorizeClient } from '../../../lib/clients.js';
+import { logger } from '../../../lib/log.js';
+import { allowOrigin } from '../../../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+// records=true 时最多附带的完整记录条数
+const MAX_RECORDS = 200;
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // 运行会更新已见过的 ID，所以只接受 POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // records 可以在 query 或 JSON body 中
+  const input = validateRequest(req, res, '/api/saved/{id}/run');
+  if (!input) {
+    return; // 已返回 400
+  }
+  const { id, records } = input;
+
+  try {
+    const owned = await getSavedSearch(id);
+    if (!owned || !isVisibleTo(owned, req)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    logger.info('Running saved search', { id });
+    const { saved, run } = await runSavedSearch(id);
+
+    const body = {
+      id: saved.id,
+      name: saved.name,
+      db: saved.db,
+      ranAt: run.at,
+      since: run.mindate,
+      newIds: run.newIds,
+      total: run.newIds.length,
+    };
+
+    if (records && run.newIds.length > 0) {
+      const { papers } = await fetchPapers(saved.db, run.newIds.slice(0, MAX_RECORDS));
+      body.records = papers;
+    }
+
+    res.status(200).json(body);
+
+  } catch (error) {
+    if (error instanceof SavedSearchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Running saved search failed', { error });
+    sendEutilsError(res, error, 'Failed to run saved search');
+  }
+}
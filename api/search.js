@@ -1,21 +1,74 @@
 // api/search.js
 import cors from 'cors';
-import axios from 'axios';
+import { esearch, esummary, sendEutilsError } from '../lib/eutils.js';
+import { cacheGet, cacheSet, searchKey, sendCacheableJson, SEARCH_TTL } from '../lib/cache.js';
+import { compileQuery, QueryError, resolveSort, retractedClause } from '../lib/query.js';
+import { fetchPapersFromHistory, pickFields } from '../lib/papers.js';
+import { isRetracted } from '../lib/parser.js';
+import { didYouMean, SPARSE_RESULTS } from '../lib/suggest.js';
+import { expandConcept } from '../lib/mesh.js';
+import { DATABASES } from '../lib/databases.js';
+import { computeFacets, unavailableFacets } from '../lib/facets.js';
+import { validateRequest } from '../lib/openapi.js';
+import { authorizeClient } from '../lib/clients.js';
+import { allowOrigin } from '../lib/cors.js';
+import { logger } from '../lib/log.js';
 
 // Vercel API Routes 需要手动处理 CORS
 const corsMiddleware = cors();
 
+// 单次请求中可附带记录的最大条数
+const MAX_HYDRATED = 200;
+
+// retracted=flag：整个结果集中撤稿文献的数量（rettype=count，不受 ESearch 单次 10000 条的限制），
+// 以及本页中哪些 ID 已撤稿。本页只用本页的 UID 检索；include=records 时直接看记录的 notices
+async function findRetracted(db, term, ids, records) {
+  const clause = retractedClause(db);
+  const counted = await esearch({ db, term: `(${term}) AND ${clause}`, rettype: 'count' });
+  const total = parseInt(counted.count, 10) || 0;
+  if (total === 0 || ids.length === 0) {
+    return { total, ids: [] };
+  }
+  if (records) {
+    return { total, ids: records.filter(isRetracted).map(DATABASES[db].recordId) };
+  }
+  // 每个 UID 单独加字段标签再用 OR 连接；一页最多 10000 个 ID，检索式放在 POST body 中
+  const uids = ids.map(id => `${id}[uid]`).join(' OR ');
+  const result = await esearch({ db, term: `(${uids}) AND ${clause}`, retmax: ids.length }, { method: 'post' });
+  const retracted = new Set(result.idlist || []);
+  return { total, ids: ids.filter(id => retracted.has(id)) };
+}
+
+// fields= 只裁剪 summaries / records 中的每条记录，分页信息保持不变
+function trimPage(page, fieldList) {
+  if (!fieldList) {
+    return page;
+  }
+  const trimmed = { ...page };
+  for (const key of ['summaries', 'records']) {
+    if (trimmed[key]) {
+      trimmed[key] = trimmed[key].map(record => pickFields(record, fieldList));
+    }
+  }
+  return trimmed;
+}
+
 export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
   // 先处理 CORS 预检请求
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    allowOrigin(req, res);
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     return res.status(200).end();
   }
 
   // 手动应用 CORS 头
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  allowOrigin(req, res);
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
@@ -24,111 +77,137 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // db、分页、include 等参数的类型和取值范围由 OpenAPI schema 校验
+  const input = validateRequest(req, res, '/api/search');
+  if (!input) {
+    return; // 已返回 400
+  }
+
   try {
-    const { term, db = 'pmc', retstart = 0, retmax = 10 } = req.query;
+    const { db, retstart: start, retmax: max, include, fields } = input;
 
-    // 参数验证
-    if (!term) {
-      return res.status(400).json({ error: 'Search term is required' });
+    // include=summaries|records 时在同一次请求中返回该页的摘要或完整记录
+    if (include !== 'ids' && max > MAX_HYDRATED) {
+      return res.status(400).json({ error: `retmax must be at most ${MAX_HYDRATED} when include=${include}` });
     }
+    const fieldList = fields && fields.length > 0 ? fields : null;
 
-    const SUPPORTED_DATABASES = ['pubmed', 'pmc'];
-    if (!SUPPORTED_DATABASES.includes(db)) {
-      console.error(`Invalid db parameter received: ${db}. Expected one of: ${SUPPORTED_DATABASES.join(', ')}`);
-      return res.status(400).json({ error: `Invalid database. Supported databases: ${SUPPORTED_DATABASES.join(', ')}` });
+    // facets= 统计整个结果集中各年份、期刊等的数量，每个值附带选中它时要加上的检索参数
+    const facetNames = [...new Set(input.facets || [])];
+    const unavailable = unavailableFacets(db, facetNames);
+    if (unavailable.length > 0) {
+      return res.status(400).json({ error: `Facets not available for db=${db}: ${unavailable.join(', ')}` });
     }
 
-    const start = parseInt(retstart, 10);
-    const max = parseInt(retmax, 10);
-    if (isNaN(start) || start < 0) {
-      return res.status(400).json({ error: 'retstart must be a non-negative integer' });
-    }
-    if (isNaN(max) || max <= 0 || max > 10000) {
-      return res.status(400).json({ error: 'retmax must be a positive integer, max 10000' });
+    // expand=mesh 时先把 term 中的自由文本概念改写为 MeSH 主题词加入口词，并在响应中报告
+    let expansion;
+    if (input.expand === 'mesh') {
+      if (!input.term) {
+        return res.status(400).json({ error: 'expand=mesh needs a term to expand' });
+      }
+      expansion = await expandConcept(input.term);
     }
 
-    // Step 1: Perform initial search to get WebEnv and QueryKey
-    const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=${db}&term=${encodeURIComponent(term)}&usehistory=y&retmode=json`;
-
-    console.log("Server: Step 1 - Calling ESearch API for history (usehistory=y) with URL:", searchUrl);
-    console.log("Server: Parameters - db:", db, ", term:", term);
-
-    const searchResponse = await axios.get(searchUrl);
-    console.log("Server: ESearch History API Status:", searchResponse.status);
-
-    if (searchResponse.status !== 200) {
-        console.error("ESearch History API returned non-200 status:", searchResponse.status);
-        return res.status(searchResponse.status).json({ error: `ESearch History API Error: ${searchResponse.status}` });
+    // 原始 term 与结构化参数一起编译为 Entrez 检索式
+    let term;
+    let sort;
+    try {
+      term = compileQuery(expansion ? { ...input, term: expansion.query } : input, db);
+      sort = resolveSort(input.sort);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    if (!term) {
+      return res.status(400).json({ error: 'Search term is required' });
     }
 
-    const esearchResult = searchResponse.data.esearchresult;
-    console.log("Server: ESearch History Result:", esearchResult);
-
-    if (esearchResult && esearchResult.ERROR) {
-      console.error("ESearch History API Error:", esearchResult.ERROR);
-      return res.status(500).json({ error: `ESearch History API Error: ${esearchResult.ERROR}` });
+    const flagRetracted = input.retracted === 'flag';
+    const cacheKey = searchKey({ term, db, sort, include, retstart: start, retmax: max, facets: facetNames, retracted: input.retracted });
+    const cached = await cacheGet(cacheKey);
+    if (cached) {
+      logger.debug('Search cache hit', { db, include, retstart: start });
+      return sendCacheableJson(req, res, trimPage(cached, fieldList), { cacheStatus: 'HIT', maxAge: SEARCH_TTL });
     }
 
+    // Step 1: Perform initial search to get WebEnv and QueryKey
+    const esearchResult = await esearch({ db, term, sort, usehistory: 'y' });
+
     const count = (esearchResult && parseInt(esearchResult.count, 10)) || 0;
     const webenv = esearchResult.webenv;
     const querykey = esearchResult.querykey;
+    const querytranslation = esearchResult.querytranslation || '';
 
     if (!webenv || !querykey) {
-        console.error("ESearch History API did not return WebEnv or QueryKey. Result:", esearchResult);
+        logger.error('ESearch returned no WebEnv or QueryKey', { db, count });
         return res.status(500).json({ error: 'ESearch History API did not return required WebEnv or QueryKey for pagination.' });
     }
 
-    console.log("Server: Got WebEnv:", webenv, "and QueryKey:", querykey, "for total count:", count);
+    // 结果很少时在第一页附带 ESpell 的拼写建议；ESpell 失败不影响检索本身。扩展过的检索式不做拼写检查
+    const extras = {};
+    if (expansion) {
+      extras.expansion = expansion;
+    }
+    const suggestion = count < SPARSE_RESULTS && start === 0 && !expansion?.applied ? await didYouMean(db, term) : '';
+    if (suggestion) {
+      extras.didYouMean = suggestion;
+    }
+    if (facetNames.length > 0) {
+      extras.facets = await computeFacets(db, term, facetNames, { webenv, querykey, total: count });
+    }
 
     // Check if start index is beyond the total count
     if (start >= count) {
-        console.log("Server: Requested start index", start, "is beyond total count", count);
-        return res.json({ ids: [], total: count, retstart: start, retmax: max });
+        logger.debug('Search start is beyond the total', { db, retstart: start, total: count });
+        const emptyPage = { ids: [], total: count, retstart: start, retmax: max, query: term, querytranslation, sort: sort || 'relevance', ...extras };
+        if (include !== 'ids') {
+          emptyPage[include] = [];
+        }
+        if (flagRetracted) {
+          emptyPage.retracted = await findRetracted(db, term, []);
+        }
+        await cacheSet(cacheKey, emptyPage, SEARCH_TTL);
+        return sendCacheableJson(req, res, trimPage(emptyPage, fieldList), { cacheStatus: 'MISS', maxAge: SEARCH_TTL });
     }
 
-    // Step 2: Use WebEnv and QueryKey with ESearch
-    const efetchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=${db}&query_key=${querykey}&WebEnv=${webenv}&retstart=${start}&retmax=${max}&retmode=json`;
-
-    console.log("Server: Step 2 - Calling ESearch API (not EFetch) for specific IDs with URL:", efetchUrl);
-
-    const efetchResponse = await axios.get(efetchUrl);
-    console.log("Server: ESearch API Status for specific IDs:", efetchResponse.status);
-
-    if (efetchResponse.status !== 200) {
-        console.error("ESearch API for specific IDs returned non-200 status:", efetchResponse.status);
-        return res.status(efetchResponse.status).json({ error: `ESearch API Error for specific IDs: ${efetchResponse.status}` });
+    const page = {
+      ids: [],
+      total: count,
+      retstart: start,
+      retmax: max,
+      query: term,
+      querytranslation,
+      sort: sort || 'relevance',
+      ...extras
+    };
+
+    // Step 2: Use WebEnv and QueryKey to get this page from the history server
+    if (include === 'records') {
+      const papers = await fetchPapersFromHistory(db, { webenv, querykey, retstart: start, retmax: max });
+      page.ids = papers.map(DATABASES[db].recordId);
+      page.records = papers;
+    } else if (include === 'summaries') {
+      const summaryResult = await esummary({ db, query_key: querykey, WebEnv: webenv, retstart: start, retmax: max });
+      page.ids = summaryResult.uids || [];
+      page.summaries = page.ids.map(uid => summaryResult[uid]).filter(Boolean);
+    } else {
+      const esearchResultIds = await esearch({ db, query_key: querykey, WebEnv: webenv, sort, retstart: start, retmax: max });
+      page.ids = esearchResultIds.idlist || [];
     }
 
-    const esearchResultIds = efetchResponse.data.esearchresult;
-
-    if (esearchResultIds && esearchResultIds.ERROR) {
-      console.error("ESearch API for specific IDs Error:", esearchResultIds.ERROR);
-      return res.status(500).json({ error: `ESearch API Error for specific IDs: ${esearchResultIds.ERROR}` });
+    if (flagRetracted) {
+      page.retracted = await findRetracted(db, term, page.ids, page.records);
     }
 
-    const idList = esearchResultIds.idlist || [];
+    logger.info('Search completed', { db, term, include, total: count, retstart: start, returned: page.ids.length });
 
-    console.log("Server: ESearch returned", idList.length, "IDs out of", count, "total hits starting at", start);
-    console.log("Server: Returned IDs:", idList);
-
-    res.json({
-      ids: idList,
-      total: count,
-      retstart: start,
-      retmax: max
-    });
+    await cacheSet(cacheKey, page, SEARCH_TTL);
+    sendCacheableJson(req, res, trimPage(page, fieldList), { cacheStatus: 'MISS', maxAge: SEARCH_TTL });
 
   } catch (error) {
-    console.error('Error in /api/search:', error);
-    if (error.response) {
-      console.error('ESearch/ESearch API responded with error status:', error.response.status, error.response.data);
-      res.status(error.response.status).json({ error: `ESearch/ESearch API Error: ${error.response.status}`, details: error.response.data });
-    } else if (error.request) {
-      console.error('No response received from ESearch/ESearch API:', error.request);
-      res.status(500).json({ error: 'No response from ESearch/ESearch API', details: error.message });
-    } else {
-      console.error('General error during ESearch/ESearch API call:', error.message);
-      res.status(500).json({ error: 'Internal Server Error during search', details: error.message });
-    }
+    logger.error('Search failed', { error });
+    sendEutilsError(res, error, 'ESearch API Error');
   }
-}
\ No newline at end of file
+}
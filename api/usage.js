@@ -0,0 +1,61 @@
+// api/usage.js
+import { authorizeClient, getUsageReport, isAdminRequest } from '../lib/clients.js';
+import { logger } from '../lib/log.js';
+import { validateRequest } from '../lib/openapi.js';
+import { allowOrigin } from '../lib/cors.js';
+
+// Vercel API Routes 需要手动处理 CORS
+function runCors(req, res, next) {
+  allowOrigin(req, res);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return false; // 表示已处理 OPTIONS 请求
+  }
+  return true; // 继续处理其他请求
+}
+
+export default async function handler(req, res) {
+  // API key、限速和配额（CLIENT_AUTH=off 时只应用 CORS 来源白名单）
+  if (!(await authorizeClient(req, res))) {
+    return; // 已返回 401 / 429
+  }
+
+  // Handle CORS preflight
+  if (!runCors(req, res, null)) {
+    return; // OPTIONS request handled
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const input = validateRequest(req, res, '/api/usage');
+  if (!input) {
+    return; // 已返回 400
+  }
+
+  // 管理员可以查看所有 key（或用 client= 指定一个），客户端只能查看自己的 key
+  let clientId = input.client;
+  if (!isAdminRequest(req)) {
+    // IncomingMessage 自带已废弃的 client 属性（即 socket），CLIENT_AUTH=off 时它不是调用者，要看 authorizeClient 设置的 id
+    if (!req.client?.id || req.client.anonymous) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Send your API key, or the admin token, to see usage' });
+    }
+    clientId = req.client.id;
+  }
+
+  try {
+    const report = await getUsageReport({ clientId, days: input.days });
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(report);
+
+  } catch (error) {
+    logger.error('Building usage report failed', { error });
+    res.status(500).json({ error: 'Failed to build usage report', details: error.message });
+  }
+}
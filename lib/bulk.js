@@ -0,0 +1,92 @@
+// lib/bulk.js
+// 批量导出：可续传的游标，以及论文记录到 NDJSON / CSV 行的转换
+import { noticeWarning } from './citation.js';
+
+export class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * Packs the state needed to resume an export into an opaque URL-safe token.
+ * A WebEnv expires after a few hours, so the cursor keeps the compiled query
+ * instead and the export redoes the search when it resumes.
+ */
+export function encodeCursor({ db, term, sort, retstart }) {
+  return Buffer.from(JSON.stringify({ v: 1, db, term, sort, retstart })).toString('base64url');
+}
+
+export function decodeCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+  if (!cursor || cursor.v !== 1 || !cursor.db || !cursor.term || !Number.isInteger(cursor.retstart) || cursor.retstart < 0) {
+    throw new CursorError('Malformed cursor');
+  }
+  return cursor;
+}
+
+const CSV_COLUMNS = [
+  ['position', (paper, position) => position],
+  ['pmid', paper => paper.pmid],
+  ['pmcid', paper => (paper.pmcid ? `PMC${paper.pmcid}` : '')],
+  ['doi', paper => paper.doi],
+  ['title', paper => paper.title],
+  ['authors', paper => paper.authorList.map(author => author.name).join('; ')],
+  ['journal', paper => paper.journal.title],
+  ['year', paper => paper.published.year],
+  ['pubdate', paper => paper.published.iso],
+  ['volume', paper => paper.journal.volume],
+  ['issue', paper => paper.journal.issue],
+  ['pages', paper => paper.journal.pages],
+  ['publicationTypes', paper => paper.publicationTypes.join('; ')],
+  ['keywords', paper => paper.keywords.join('; ')],
+  ['mesh', paper => paper.mesh.map(heading => heading.descriptor).join('; ')],
+  ['abstract', paper => paper.abstract],
+  ['pdfUrl', paper => paper.pdfUrl],
+  ['notices', paper => noticeWarning(paper.notices)],
+];
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV 的最后一行：以 # 开头的 `# end key=value ...` 或 `# error key=value ...`，details 放在最后，可以含空格
+function csvTrailer(type, fields) {
+  const pairs = Object.entries(fields).map(([name, value]) => `${name}=${String(value ?? '').replace(/[\r\n]+/g, ' ')}`);
+  return `# ${[type, ...pairs].join(' ')}\r\n`;
+}
+
+/**
+ * Per-format writers for `/api/bulk`. `header` is written once, `record`
+ * once per paper (with its zero-based position in the result set),
+ * `progress` after every batch and `end` or `error` last. CSV has nowhere to
+ * put progress, so that returns ''; its last line is a `# end` or `# error`
+ * comment, and a file without `# end` is incomplete.
+ */
+export const BULK_FORMATS = {
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    record: (paper, position) => `${JSON.stringify({ type: 'record', position, record: paper })}\n`,
+    progress: progress => `${JSON.stringify({ type: 'progress', ...progress })}\n`,
+    end: summary => `${JSON.stringify({ type: 'end', ...summary })}\n`,
+    error: details => `${JSON.stringify({ type: 'error', ...details })}\n`,
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`,
+    record: (paper, position) => `${CSV_COLUMNS.map(([, value]) => csvCell(value(paper, position))).join(',')}\r\n`,
+    progress: () => '',
+    end: ({ exported, total }) => csvTrailer('end', { exported, total }),
+    error: ({ position, cursor, details }) => csvTrailer('error', { position, cursor, details }),
+  },
+};
@@ -0,0 +1,212 @@
+// lib/cache.js
+// 解析后的论文记录和检索结果页的缓存层，默认使用内存 LRU，可切换为文件存储
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from './log.js';
+import { observeCache } from './metrics.js';
+import { RECORD_SCHEMA_VERSION } from './parser.js';
+
+export const PAPER_TTL = parseInt(process.env.CACHE_PAPER_TTL, 10) || 24 * 60 * 60;
+export const SEARCH_TTL = parseInt(process.env.CACHE_SEARCH_TTL, 10) || 10 * 60;
+
+/**
+ * In-memory LRU store. A Map keeps insertion order, so re-inserting an entry
+ * on read moves it to the back and the first key is always the eviction
+ * candidate.
+ */
+export class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-backed store for the standalone server: one JSON file per key, named
+ * by the SHA-1 of the key, so entries survive restarts.
+ */
+export class FileStore {
+  constructor({ dir = path.join(os.tmpdir(), 'ncbi-proxy-cache') } = {}) {
+    this.dir = dir;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.fileFor(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+    const entry = JSON.parse(raw);
+    if (entry.key !== key || entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = this.fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ key, value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    await fs.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+function createStoreFromEnv() {
+  if (process.env.CACHE_STORE === 'file') {
+    return new FileStore(process.env.CACHE_DIR ? { dir: process.env.CACHE_DIR } : undefined);
+  }
+  return new MemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500 });
+}
+
+let store = createStoreFromEnv();
+
+export function getCacheStore() {
+  return store;
+}
+
+// 可替换为任何实现了 get / set / delete / clear 的存储
+export function setCacheStore(newStore) {
+  store = newStore;
+}
+
+// 论文记录的结构变化后旧缓存自动失效
+export function paperKey(db, id) {
+  return `paper:v${RECORD_SCHEMA_VERSION}:${db}:${id}`;
+}
+
+// v2：图片地址改为经 /api/paper/{id}/asset 转发
+export function fulltextKey(pmcid) {
+  return `fulltext:v2:pmc:${pmcid}`;
+}
+
+export function oaKey(pmcid) {
+  return `oa:pmc:${pmcid}`;
+}
+
+export function spellKey(db, term) {
+  return `spell:${db}:${term}`;
+}
+
+export function meshKey(uid) {
+  return `mesh:uid:${uid}`;
+}
+
+// 主题词 / 入口词 -> UID，不区分大小写
+export function meshTermKey(term) {
+  return `mesh:term:${term.toLowerCase()}`;
+}
+
+export function linksKey(db, type, id) {
+  return `links:${db}:${type}:${id}`;
+}
+
+export function searchKey({ term, db, sort = '', include = 'ids', retstart, retmax, facets = [], retracted = 'include' }) {
+  return `search:v${RECORD_SCHEMA_VERSION}:${db}:${sort}:${include}:${retstart}:${retmax}:${facets.join(',')}:${retracted}:${term}`;
+}
+
+export function facetsKey(db, term, names) {
+  return `facets:${db}:${[...names].sort().join(',')}:${term}`;
+}
+
+// 缓存出错不应影响正常请求，只记录日志；命中率按键的前缀（paper、search 等）统计
+export async function cacheGet(key) {
+  let value;
+  try {
+    value = await store.get(key);
+  } catch (error) {
+    logger.warn('Cache read failed', { key, error });
+  }
+  observeCache(key.split(':')[0], value !== undefined);
+  return value;
+}
+
+export async function cacheSet(key, value, ttlSeconds) {
+  try {
+    await store.set(key, value, ttlSeconds);
+  } catch (error) {
+    logger.warn('Cache write failed', { key, error });
+  }
+}
+
+/**
+ * The `Cache-Control` value for a response that may be reused for
+ * `maxAge` seconds. authorizeClient sets `req.client` whenever CLIENT_AUTH
+ * is not off; such responses are `private`, so a CDN or shared cache cannot
+ * hand them to callers without a key (bypassing limits, quotas and usage).
+ */
+export function cacheControl(req, maxAge, { revalidate = true } = {}) {
+  // IncomingMessage 自带已废弃的 client 属性（即 socket），所以要看 authorizeClient 设置的 id
+  if (req.client?.id) {
+    return `private, max-age=${maxAge}`;
+  }
+  return revalidate
+    ? `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${maxAge}`
+    : `public, max-age=${maxAge}`;
+}
+
+/**
+ * Sends a body with `X-Cache`, `ETag` and `Cache-Control` headers, and
+ * answers `304 Not Modified` when the client already holds the same body.
+ * `cacheStatus` is HIT, MISS or PARTIAL.
+ */
+export function sendCacheable(req, res, payload, contentType, { cacheStatus, maxAge }) {
+  const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+  res.setHeader('X-Cache', cacheStatus);
+  res.setHeader('Access-Control-Expose-Headers', 'X-Cache, ETag');
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', cacheControl(req, maxAge));
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+    return res.status(304).end();
+  }
+  res.setHeader('Content-Type', contentType);
+  return res.status(200).send(payload);
+}
+
+export function sendCacheableJson(req, res, body, options) {
+  return sendCacheable(req, res, JSON.stringify(body), 'application/json; charset=utf-8', options);
+}
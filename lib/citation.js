@@ -0,0 +1,230 @@
+// lib/citation.js
+// 把论文记录导出为 BibTeX、RIS、CSL-JSON 和 MEDLINE (nbib)
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NOTICE_LABELS = {
+  retraction: 'Retracted',
+  erratum: 'Erratum',
+  expression_of_concern: 'Expression of concern',
+};
+// MEDLINE 格式中对应的字段：Retraction in、Erratum in、Expression of concern in
+const MEDLINE_NOTICE_TAGS = {
+  retraction: 'RIN',
+  erratum: 'EIN',
+  expression_of_concern: 'ECI',
+};
+
+/**
+ * One-line warning listing a record's notices, e.g.
+ * "WARNING: Retracted (PMID 31853073); Erratum (PMID 31853074)"; '' when
+ * there are none.
+ */
+export function noticeWarning(notices = []) {
+  if (notices.length === 0) {
+    return '';
+  }
+  return `WARNING: ${notices.map(notice => `${NOTICE_LABELS[notice.type]}${notice.pmid ? ` (PMID ${notice.pmid})` : ''}`).join('; ')}`;
+}
+
+/**
+ * Maps a PaperRecord (lib/parser.js) onto the flat fields the formatters
+ * below use. Authors keep `family` and `given` apart; group authors only
+ * have `literal`.
+ */
+function toCitation(paper) {
+  return {
+    pmid: paper.pmid,
+    pmcid: paper.pmcid,
+    doi: paper.doi,
+    title: paper.title,
+    abstract: paper.abstract,
+    authors: paper.authorList.map(author => (author.family
+      ? { family: author.family, given: author.given, initials: author.initials }
+      : { literal: author.collective || author.name })),
+    journal: paper.journal.title,
+    journalAbbrev: paper.journal.isoAbbreviation,
+    issn: paper.journal.issn,
+    volume: paper.journal.volume,
+    issue: paper.journal.issue,
+    pages: paper.journal.pages,
+    year: paper.published.year,
+    month: parseInt(paper.published.month, 10) || 0,
+    day: parseInt(paper.published.day, 10) || 0,
+    language: paper.language,
+    publicationTypes: paper.publicationTypes,
+    keywords: paper.keywords,
+    notices: paper.notices || [],
+  };
+}
+
+function citationKey(record) {
+  const first = record.authors[0];
+  const name = (first?.family || first?.literal || 'Anon').replace(/[^A-Za-z0-9]/g, '');
+  return `${name}${record.year || 'nd'}_${record.pmid || `PMC${record.pmcid}`}`;
+}
+
+function recordUrl(record) {
+  if (record.pmid) return `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/`;
+  if (record.pmcid) return `https://www.ncbi.nlm.nih.gov/pmc/articles/PMC${record.pmcid}/`;
+  return '';
+}
+
+function splitPages(pages) {
+  const [start, end] = pages.split(/\s*[-–]\s*/);
+  return { start: start || '', end: end || '' };
+}
+
+function escapeBibtex(value) {
+  return String(value).replace(/([&%$#_{}])/g, '\\$1').replace(/~/g, '\\textasciitilde{}').replace(/\^/g, '\\textasciicircum{}');
+}
+
+function formatBibtex(records) {
+  return records.map(record => {
+    const authors = record.authors.map(author => (author.family ? `${author.family}, ${author.given}`.replace(/, $/, '') : `{${author.literal}}`));
+    const { start, end } = splitPages(record.pages);
+    const fields = [
+      ['author', authors.join(' and ')],
+      ['title', record.title],
+      ['journal', record.journal],
+      ['year', record.year],
+      ['month', record.month ? MONTHS[record.month - 1] : ''],
+      ['volume', record.volume],
+      ['number', record.issue],
+      ['pages', end ? `${start}--${end}` : start],
+      ['doi', record.doi],
+      ['issn', record.issn],
+      ['pmid', record.pmid],
+      ['pmcid', record.pmcid && `PMC${record.pmcid}`],
+      ['url', recordUrl(record)],
+      ['note', noticeWarning(record.notices)],
+      ['abstract', record.abstract],
+    ].filter(([, value]) => value);
+    const body = fields.map(([name, value]) => {
+      // month 使用 BibTeX 内置宏，title 多加一层括号以保留大小写
+      if (name === 'month') return `  ${name} = ${value}`;
+      if (name === 'title') return `  ${name} = {{${escapeBibtex(value)}}}`;
+      if (name === 'url') return `  ${name} = {${value}}`;
+      return `  ${name} = {${name === 'author' ? value : escapeBibtex(value)}}`;
+    }).join(',\n');
+    return `@article{${citationKey(record)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+function formatRis(records) {
+  return records.map(record => {
+    const { start, end } = splitPages(record.pages);
+    const lines = [['TY', 'JOUR']];
+    record.authors.forEach(author => lines.push(['AU', author.family ? `${author.family}, ${author.given}`.replace(/, $/, '') : author.literal]));
+    lines.push(
+      ['TI', record.title],
+      ['T2', record.journal],
+      ['J2', record.journalAbbrev],
+      ['PY', record.year],
+      ['DA', record.year ? [record.year, record.month ? String(record.month).padStart(2, '0') : '', record.day ? String(record.day).padStart(2, '0') : ''].join('/') : ''],
+      ['VL', record.volume],
+      ['IS', record.issue],
+      ['SP', start],
+      ['EP', end],
+      ['SN', record.issn],
+      ['DO', record.doi],
+      ['AN', record.pmid],
+      ['C2', record.pmcid && `PMC${record.pmcid}`],
+      ['LA', record.language],
+      ['UR', recordUrl(record)],
+      ['N1', noticeWarning(record.notices)],
+      ['AB', record.abstract],
+    );
+    record.keywords.forEach(keyword => lines.push(['KW', keyword]));
+    lines.push(['ER', '']);
+    return lines.filter(([tag, value]) => value || tag === 'ER').map(([tag, value]) => `${tag}  - ${value}`).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+function formatCslJson(records) {
+  const items = records.map(record => {
+    const dateParts = [parseInt(record.year, 10), record.month, record.day].filter(Boolean);
+    const item = {
+      id: record.pmid || `PMC${record.pmcid}`,
+      type: 'article-journal',
+      title: record.title,
+      'container-title': record.journal,
+      'container-title-short': record.journalAbbrev,
+      author: record.authors.map(author => (author.family ? { family: author.family, given: author.given } : { literal: author.literal })),
+      issued: dateParts.length > 0 ? { 'date-parts': [dateParts] } : undefined,
+      volume: record.volume,
+      issue: record.issue,
+      page: record.pages,
+      DOI: record.doi,
+      PMID: record.pmid,
+      PMCID: record.pmcid && `PMC${record.pmcid}`,
+      ISSN: record.issn,
+      language: record.language,
+      abstract: record.abstract,
+      keyword: record.keywords.join(', '),
+      URL: recordUrl(record),
+      note: noticeWarning(record.notices),
+    };
+    Object.keys(item).forEach(key => (item[key] === undefined || item[key] === '') && delete item[key]);
+    return item;
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+}
+
+// MEDLINE 每行最多 88 个字符，续行缩进 6 个空格
+function medlineField(tag, value) {
+  const words = String(value).split(' ');
+  const lines = [];
+  let line = `${tag.padEnd(4)}- `;
+  for (const word of words) {
+    if (line.length + word.length > 88 && line.trim().length > 5) {
+      lines.push(line.trimEnd());
+      line = '      ';
+    }
+    line += `${word} `;
+  }
+  lines.push(line.trimEnd());
+  return lines.join('\n');
+}
+
+function formatMedline(records) {
+  return records.map(record => {
+    const fields = [
+      ['PMID', record.pmid],
+      ['IS', record.issn],
+      ['VI', record.volume],
+      ['IP', record.issue],
+      ['DP', [record.year, record.month ? MONTHS[record.month - 1].replace(/^./, c => c.toUpperCase()) : '', record.day || ''].filter(Boolean).join(' ')],
+      ['TI', record.title],
+      ['PG', record.pages],
+      ['LID', record.doi && `${record.doi} [doi]`],
+      ['AB', record.abstract],
+    ];
+    record.authors.forEach(author => {
+      if (author.family) {
+        fields.push(['FAU', `${author.family}, ${author.given}`.replace(/, $/, '')], ['AU', `${author.family} ${author.initials}`.trim()]);
+      } else {
+        fields.push(['CN', author.literal]);
+      }
+    });
+    fields.push(['LA', record.language]);
+    record.publicationTypes.forEach(type => fields.push(['PT', type]));
+    record.notices.forEach(notice => fields.push([MEDLINE_NOTICE_TAGS[notice.type], [notice.source, notice.pmid && `PMID: ${notice.pmid}`].filter(Boolean).join(' ') || NOTICE_LABELS[notice.type]]));
+    fields.push(['TA', record.journalAbbrev], ['JT', record.journal]);
+    record.keywords.forEach(keyword => fields.push(['OT', keyword]));
+    fields.push(
+      ['AID', record.doi && `${record.doi} [doi]`],
+      ['PMC', record.pmcid && `PMC${record.pmcid}`],
+      ['SO', [record.journalAbbrev, `${[record.year, record.month ? MONTHS[record.month - 1].replace(/^./, c => c.toUpperCase()) : ''].filter(Boolean).join(' ')};${record.volume}${record.issue ? `(${record.issue})` : ''}:${record.pages}.`].filter(Boolean).join('. ')],
+    );
+    return fields.filter(([, value]) => value).map(([tag, value]) => medlineField(tag, value)).join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// format 接收 lib/parser.js 的论文记录
+export const CITATION_FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib', format: papers => formatBibtex(papers.map(toCitation)) },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris', format: papers => formatRis(papers.map(toCitation)) },
+  csl: { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json', format: papers => formatCslJson(papers.map(toCitation)) },
+  medline: { contentType: 'application/nbib; charset=utf-8', extension: 'nbib', format: papers => formatMedline(papers.map(toCitation)) },
+};
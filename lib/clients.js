@@ -0,0 +1,398 @@
+// lib/clients.js
+// 客户端 API key：签发 / 吊销、按 key 限速和每日配额、用量统计（请求数、NCBI 调用数、字节数），
+// 并在每个请求开始时应用 CORS 来源白名单（lib/cors.js）。key 和用量存放在本地 JSON 文件中
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { allowOrigin, appendVary, parseOrigins } from './cors.js';
+import { createJsonFile } from './jsonfile.js';
+import { logger } from './log.js';
+import { routeTemplate } from './openapi.js';
+import { beginRequest } from './requests.js';
+
+export const CLIENTS_FILE = process.env.CLIENTS_FILE || path.join(os.tmpdir(), 'ncbi-proxy', 'clients.json');
+
+const KEY_PREFIX = 'ncbp_';
+// 其他进程签发或吊销的 key 最迟在这段时间后生效
+const RELOAD_MS = 5000;
+// 用量先累计在内存中，定期写入文件
+const USAGE_FLUSH_MS = 2000;
+// 用量按 UTC 日期记录，只保留最近 90 天
+const USAGE_RETENTION_DAYS = 90;
+const USAGE_FIELDS = ['requests', 'upstreamCalls', 'bytes', 'rejected'];
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Reads the client settings from the environment. `mode` is `off` (no keys,
+ * the default), `optional` (keys get their own limits, anonymous requests
+ * the anonymous limit) or `required`. Limits of 0 mean unlimited.
+ * `trustProxy` (TRUST_PROXY, on by default on Vercel) keys the anonymous
+ * limit on X-Forwarded-For instead of the socket address.
+ */
+export function getClientConfig() {
+  const mode = process.env.CLIENT_AUTH;
+  return {
+    mode: mode === 'optional' || mode === 'required' ? mode : 'off',
+    adminToken: process.env.CLIENT_ADMIN_TOKEN || '',
+    rateLimit: intFromEnv('CLIENT_RATE_LIMIT', 60),
+    dailyQuota: intFromEnv('CLIENT_DAILY_QUOTA', 5000),
+    anonymousRateLimit: intFromEnv('ANONYMOUS_RATE_LIMIT', 20),
+    // Vercel 会覆盖 X-Forwarded-For，独立部署只有在反向代理之后才能信任它
+    trustProxy: process.env.TRUST_PROXY ? ['true', '1'].includes(process.env.TRUST_PROXY) : Boolean(process.env.VERCEL),
+    corsOrigins: parseOrigins(process.env.CORS_ORIGINS),
+  };
+}
+
+// ---- key 存储 ----
+
+const store = createJsonFile(CLIENTS_FILE, () => ({ clients: {}, usage: {} }));
+let state = null;
+let loadedAt = 0;
+
+async function current() {
+  if (!state || Date.now() - loadedAt > RELOAD_MS) {
+    state = await store.read();
+    state.clients ||= {};
+    state.usage ||= {};
+    loadedAt = Date.now();
+  }
+  return state;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function sameSecret(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+}
+
+/**
+ * The public view of a client: everything except the key hash.
+ */
+export function describeClient(client) {
+  const { keyHash, ...rest } = client;
+  return rest;
+}
+
+/**
+ * Creates a client and its key. The key itself is only returned here; the
+ * file keeps its SHA-256 and the first characters for recognising it.
+ * `rateLimit` (requests per minute) and `dailyQuota` default to the
+ * CLIENT_RATE_LIMIT / CLIENT_DAILY_QUOTA settings when null.
+ */
+export async function issueClientKey({ name, rateLimit = null, dailyQuota = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const client = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    rateLimit,
+    dailyQuota,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  await store.update(data => {
+    data.clients ||= {};
+    data.clients[client.id] = client;
+  });
+  state = null;
+  return { client, key };
+}
+
+/**
+ * Marks a client's key as revoked; the record and its usage are kept.
+ * Resolves with the client, or null when there is no such client.
+ */
+export async function revokeClientKey(id) {
+  const client = await store.update(data => {
+    const found = data.clients?.[id];
+    if (found && !found.revokedAt) {
+      found.revokedAt = new Date().toISOString();
+    }
+    return found || null;
+  });
+  state = null;
+  return client;
+}
+
+export async function listClients() {
+  const data = await store.read();
+  return Object.values(data.clients || {}).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getClient(id) {
+  const data = await store.read();
+  return data.clients?.[id] || null;
+}
+
+// ---- 限速与用量 ----
+
+// 每分钟一个固定窗口，只在当前进程内计数
+const windows = new Map();
+
+function takeRateSlot(id, limit) {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  let window = windows.get(id);
+  if (!window || window.minute !== minute) {
+    window = { minute, count: 0 };
+    windows.set(id, window);
+    if (windows.size > 10000) {
+      for (const [key, value] of windows) {
+        if (value.minute !== minute) windows.delete(key);
+      }
+    }
+  }
+  const retryAfter = 60 - Math.floor((now % 60000) / 1000);
+  if (limit > 0 && window.count >= limit) {
+    return { allowed: false, remaining: 0, retryAfter };
+  }
+  window.count++;
+  return { allowed: true, remaining: Math.max(0, limit - window.count), retryAfter };
+}
+
+let pending = {};
+let flushTimer = null;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+function addUsage(target, id, day, delta) {
+  target[id] ||= {};
+  const counters = target[id][day] ||= Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+  for (const field of USAGE_FIELDS) {
+    counters[field] += delta[field] || 0;
+  }
+}
+
+function mergeUsage(target, deltas) {
+  for (const [id, days] of Object.entries(deltas)) {
+    for (const [day, delta] of Object.entries(days)) {
+      addUsage(target, id, day, delta);
+    }
+  }
+}
+
+function usageFor(id, day) {
+  const saved = state?.usage[id]?.[day] || {};
+  const unsaved = pending[id]?.[day] || {};
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, (saved[field] || 0) + (unsaved[field] || 0)]));
+}
+
+/**
+ * Writes the usage counted in memory to the clients file.
+ */
+export async function flushUsage() {
+  if (Object.keys(pending).length === 0) return;
+  const deltas = pending;
+  pending = {};
+  if (state) mergeUsage(state.usage, deltas);
+  const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  await store.update(data => {
+    data.usage ||= {};
+    mergeUsage(data.usage, deltas);
+    for (const days of Object.values(data.usage)) {
+      Object.keys(days).filter(day => day < oldest).forEach(day => delete days[day]);
+    }
+  });
+  state = null;
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushUsage().catch(error => logger.warn('Usage flush failed', { error }));
+  }, USAGE_FLUSH_MS);
+  flushTimer.unref?.();
+}
+
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// 统计写出的响应字节数，连接关闭时与 NCBI 调用数一起记入用量
+function meter(res, id, context) {
+  let bytes = 0;
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    bytes += byteLength(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    bytes += byteLength(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.once('close', () => {
+    addUsage(pending, id, today(), { upstreamCalls: context.upstreamCalls, bytes });
+    scheduleFlush();
+  });
+}
+
+/**
+ * Reads the client's key from `Authorization: Bearer <key>`, or from the
+ * `api_key` query parameter for clients that cannot set headers (feed
+ * readers).
+ */
+export function readClientKey(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) return match[1];
+  return typeof req.query?.api_key === 'string' ? req.query.api_key : '';
+}
+
+// X-Forwarded-For 由客户端随意填写，只有 trustProxy 时才采用代理追加的最后一项
+function clientIp(req, trustProxy) {
+  const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',').at(-1).trim() : '';
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+function reject(res, status, error, headers = {}) {
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, String(value));
+  }
+  res.status(status).json({ error });
+  return false;
+}
+
+/**
+ * Runs first in every handler. Starts the request context (request ID,
+ * access log, metrics) and applies the CORS allowlist, then, unless
+ * CLIENT_AUTH is off, identifies the client by its key, enforces its
+ * per-minute rate limit and daily quota (429 with Retry-After) and meters
+ * the request. Sets `req.client`. Returns false when a response was sent.
+ *
+ * Must be called before the handler's first `await`: the request context
+ * has to reach everything the handler calls.
+ */
+export async function authorizeClient(req, res) {
+  const context = beginRequest(req, res);
+  context.route = routeTemplate(context.path);
+
+  const config = getClientConfig();
+  allowOrigin(req, res, config.corsOrigins);
+  if (req.method === 'OPTIONS' || config.mode === 'off') {
+    return true;
+  }
+  // 响应取决于调用者的 key，共享缓存必须按 Authorization 区分（Cache-Control 见 lib/cache.js 的 cacheControl）
+  appendVary(res, 'Authorization');
+
+  if (isAdminRequest(req)) {
+    req.client = { id: 'admin', admin: true };
+    context.clientId = 'admin';
+    return true;
+  }
+
+  const key = readClientKey(req);
+  const data = await current();
+  let client = null;
+  if (key) {
+    const keyHash = hashKey(key);
+    client = Object.values(data.clients).find(candidate => candidate.keyHash === keyHash) || null;
+    if (!client || client.revokedAt) {
+      return reject(res, 401, client ? 'This API key has been revoked' : 'Invalid API key', { 'WWW-Authenticate': 'Bearer' });
+    }
+  } else if (config.mode === 'required') {
+    return reject(res, 401, 'An API key is required: send Authorization: Bearer <key>', { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  // 匿名请求按 IP 限速，用量合计记在 anonymous 下
+  const id = client ? client.id : 'anonymous';
+  const rateLimit = client ? client.rateLimit ?? config.rateLimit : config.anonymousRateLimit;
+  const slot = takeRateSlot(client ? id : `anonymous:${clientIp(req, config.trustProxy)}`, rateLimit);
+  if (rateLimit > 0) {
+    res.setHeader('X-RateLimit-Limit', String(rateLimit));
+    res.setHeader('X-RateLimit-Remaining', String(slot.remaining));
+  }
+  if (!slot.allowed) {
+    addUsage(pending, id, today(), { rejected: 1 });
+    scheduleFlush();
+    return reject(res, 429, `Rate limit of ${rateLimit} requests per minute exceeded`, { 'Retry-After': slot.retryAfter });
+  }
+
+  if (client) {
+    const quota = client.dailyQuota ?? config.dailyQuota;
+    if (quota > 0 && usageFor(id, today()).requests >= quota) {
+      addUsage(pending, id, today(), { rejected: 1 });
+      scheduleFlush();
+      return reject(res, 429, `Daily quota of ${quota} requests exceeded`, { 'Retry-After': secondsUntilUtcMidnight() });
+    }
+  }
+
+  // 请求数在放行时就计入，并发请求也不会超出配额
+  addUsage(pending, id, today(), { requests: 1 });
+  req.client = client ? describeClient(client) : { id, anonymous: true };
+  context.clientId = id;
+  meter(res, id, context);
+  return true;
+}
+
+/**
+ * Whether the request carries the CLIENT_ADMIN_TOKEN.
+ */
+export function isAdminRequest(req) {
+  const { adminToken } = getClientConfig();
+  const key = readClientKey(req);
+  return Boolean(adminToken && key && sameSecret(key, adminToken));
+}
+
+/**
+ * Lets the request through only with the CLIENT_ADMIN_TOKEN, whatever the
+ * CLIENT_AUTH mode. Returns false when a 401 / 403 was sent.
+ */
+export function requireAdmin(req, res) {
+  if (!getClientConfig().adminToken) {
+    res.status(403).json({ error: 'Client administration is disabled; set CLIENT_ADMIN_TOKEN' });
+    return false;
+  }
+  if (!isAdminRequest(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'The admin token is required' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Per-client usage for the last `days` days (UTC), newest day first, with
+ * totals, as `{ since, clients }`. Limited to `clientId` when given. Anonymous traffic is reported
+ * as the client `anonymous`.
+ */
+export async function getUsageReport({ clientId, days = 7 } = {}) {
+  await flushUsage();
+  const data = await store.read();
+  const clients = data.clients || {};
+  const usage = data.usage || {};
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const ids = clientId ? [clientId] : [...new Set([...Object.keys(clients), ...Object.keys(usage)])];
+
+  const report = ids.map(id => {
+    const daily = Object.entries(usage[id] || {})
+      .filter(([day]) => day >= since)
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([day, counters]) => ({ day, ...counters }));
+    const totals = Object.fromEntries(USAGE_FIELDS.map(field => [field, daily.reduce((sum, entry) => sum + (entry[field] || 0), 0)]));
+    return {
+      id,
+      name: clients[id]?.name || (id === 'anonymous' ? 'Anonymous requests' : ''),
+      revoked: Boolean(clients[id]?.revokedAt),
+      totals,
+      daily,
+    };
+  });
+  return { since, clients: report };
+}
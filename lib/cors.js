@@ -0,0 +1,37 @@
+// lib/cors.js
+// CORS 来源白名单（CORS_ORIGINS）。各处理函数的 runCors、authorizeClient 和独立服务的 404 都通过这里写 Access-Control-Allow-Origin
+
+export function parseOrigins(value) {
+  return (value || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Adds `field` to the response's Vary header, keeping what is already there.
+ */
+export function appendVary(res, field) {
+  const fields = String(res.getHeader('Vary') || '').split(',').map(value => value.trim()).filter(Boolean);
+  if (!fields.some(value => value.toLowerCase() === field.toLowerCase())) {
+    res.setHeader('Vary', [...fields, field].join(', '));
+  }
+}
+
+/**
+ * Writes `Access-Control-Allow-Origin`: `*` when CORS_ORIGINS allows every
+ * origin, otherwise the request's Origin when it is on the allowlist and
+ * nothing when it is not. With an allowlist every response also gets
+ * `Vary: Origin`, so a shared cache never hands the copy made for one origin
+ * (or for none) to another.
+ */
+export function allowOrigin(req, res, corsOrigins = parseOrigins(process.env.CORS_ORIGINS)) {
+  if (corsOrigins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return;
+  }
+  appendVary(res, 'Origin');
+  const origin = req.headers.origin;
+  if (origin && corsOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  } else {
+    res.removeHeader('Access-Control-Allow-Origin');
+  }
+}
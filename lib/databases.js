@@ -0,0 +1,174 @@
+// lib/databases.js
+// 支持的 Entrez 数据库。pubmed 与 pmc 由 EFetch XML 解析为论文记录（lib/parser.js）；
+// 其余数据库不需要完整 XML，由 ESummary JSON 解析为各自类型的规范化记录
+
+const text = value => (value === undefined || value === null ? '' : String(value).trim());
+const integerOrNull = value => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+const list = value => (Array.isArray(value) ? value : []);
+const splitList = value => text(value).split(/\s*[,;]\s*/).filter(Boolean);
+
+/**
+ * @typedef {Object} GeneRecord
+ * @property {'gene'} db
+ * @property {string} uid             Gene ID
+ * @property {string} symbol
+ * @property {string} description
+ * @property {string[]} aliases
+ * @property {{scientificName: string, commonName: string, taxId: string}} organism
+ * @property {string} chromosome
+ * @property {string} mapLocation
+ * @property {string} summary
+ * @property {{accession: string, start: number|null, stop: number|null}[]} locations
+ * @property {string} status          live, secondary or discontinued
+ */
+function parseGene(doc) {
+  return {
+    db: 'gene',
+    uid: text(doc.uid),
+    symbol: text(doc.name),
+    description: text(doc.description),
+    aliases: splitList(doc.otheraliases),
+    organism: {
+      scientificName: text(doc.organism?.scientificname),
+      commonName: text(doc.organism?.commonname),
+      taxId: text(doc.organism?.taxid),
+    },
+    chromosome: text(doc.chromosome),
+    mapLocation: text(doc.maplocation),
+    summary: text(doc.summary),
+    // ESummary 中的位置从 0 开始，这里改为 GenBank 习惯的从 1 开始
+    locations: list(doc.genomicinfo).map(location => ({
+      accession: text(location.chraccver),
+      start: location.chrstart === undefined ? null : Math.min(location.chrstart, location.chrstop) + 1,
+      stop: location.chrstop === undefined ? null : Math.max(location.chrstart, location.chrstop) + 1,
+    })),
+    // ESummary 的 status 为 0（live）、1（secondary）、2（discontinued）
+    status: ['live', 'secondary', 'discontinued'][doc.status] || 'live',
+  };
+}
+
+/**
+ * @typedef {Object} SequenceRecord
+ * @property {'protein'|'nuccore'} db
+ * @property {string} uid             GI number
+ * @property {string} accession       Accession with version, e.g. NM_000546.6
+ * @property {string} title
+ * @property {{scientificName: string, taxId: string}} organism
+ * @property {number|null} length     Residues or base pairs
+ * @property {string} moleculeType    e.g. aa, mRNA, DNA
+ * @property {string} topology        linear or circular
+ * @property {string} sourceDb        e.g. refseq, insd
+ * @property {string} created         YYYY/MM/DD
+ * @property {string} updated         YYYY/MM/DD
+ */
+const parseSequence = db => doc => ({
+  db,
+  uid: text(doc.uid),
+  accession: text(doc.accessionversion || doc.caption),
+  title: text(doc.title),
+  organism: { scientificName: text(doc.organism), taxId: text(doc.taxid) },
+  length: integerOrNull(doc.slen),
+  moleculeType: text(doc.moltype || doc.biomol),
+  topology: text(doc.topology),
+  sourceDb: text(doc.sourcedb),
+  created: text(doc.createdate),
+  updated: text(doc.updatedate),
+});
+
+/**
+ * @typedef {Object} ClinVarRecord
+ * @property {'clinvar'} db
+ * @property {string} uid             Variation ID
+ * @property {string} accession       VCV accession
+ * @property {string} title
+ * @property {string} variationType   e.g. single nucleotide variant
+ * @property {{description: string, reviewStatus: string, lastEvaluated: string}} classification
+ *   Germline classification, e.g. Pathogenic
+ * @property {string[]} conditions
+ * @property {{symbol: string, geneId: string}[]} genes
+ * @property {string} proteinChange
+ * @property {{assembly: string, chromosome: string, start: number|null, stop: number|null}[]} locations
+ */
+function parseClinVar(doc) {
+  // 2024 年起 clinical_significance 被拆分，germline_classification 为胚系变异的分类
+  const classification = doc.germline_classification || doc.clinical_significance || {};
+  const variation = list(doc.variation_set)[0] || {};
+  return {
+    db: 'clinvar',
+    uid: text(doc.uid),
+    accession: text(doc.accession_version || doc.accession),
+    title: text(doc.title),
+    variationType: text(doc.obj_type || variation.variant_type),
+    classification: {
+      description: text(classification.description),
+      reviewStatus: text(classification.review_status),
+      lastEvaluated: text(classification.last_evaluated),
+    },
+    conditions: [...new Set(list(classification.trait_set || doc.trait_set).map(trait => text(trait.trait_name)).filter(Boolean))],
+    genes: list(doc.genes).map(gene => ({ symbol: text(gene.symbol), geneId: text(gene.geneid) })),
+    proteinChange: text(doc.protein_change),
+    locations: list(variation.variation_loc).filter(location => location.status !== 'previous').map(location => ({
+      assembly: text(location.assembly_name),
+      chromosome: text(location.chr),
+      start: integerOrNull(location.start),
+      stop: integerOrNull(location.stop),
+    })),
+  };
+}
+
+/**
+ * @typedef {Object} BookRecord
+ * @property {'books'} db
+ * @property {string} uid
+ * @property {string} accession       Bookshelf accession of the book or chapter, e.g. NBK1116
+ * @property {string} title           Chapter or book title
+ * @property {string} book            Title of the book a chapter belongs to; '' for whole books
+ * @property {string[]} authors
+ * @property {string} publisher
+ * @property {string} published       Publication date as given
+ */
+function parseBook(doc) {
+  return {
+    db: 'books',
+    uid: text(doc.uid),
+    accession: text(doc.chapteraccessionid || doc.accessionid || doc.bookaccessionid),
+    title: text(doc.title),
+    book: text(doc.booktitle || doc.bookname),
+    authors: list(doc.authors).map(author => text(typeof author === 'object' ? author.name : author)).filter(Boolean),
+    publisher: text(doc.publishername || doc.publisher),
+    published: text(doc.pubdate),
+  };
+}
+
+/**
+ * Every database `/api/search` and `/api/papers` accept. `source` is how
+ * full records are fetched: `efetch` for the article databases, parsed by
+ * lib/parser.js, or `esummary` with `parse` turning each ESummary document
+ * into a record. `recordId` is the ID a record is cached and listed under.
+ */
+export const DATABASES = {
+  pubmed: { source: 'efetch', recordType: 'paper', recordId: record => record.uid },
+  pmc: { source: 'efetch', recordType: 'paper', recordId: record => record.pmcid },
+  gene: { source: 'esummary', recordType: 'gene', parse: parseGene, recordId: record => record.uid },
+  protein: { source: 'esummary', recordType: 'sequence', parse: parseSequence('protein'), recordId: record => record.uid },
+  nuccore: { source: 'esummary', recordType: 'sequence', parse: parseSequence('nuccore'), recordId: record => record.uid },
+  clinvar: { source: 'esummary', recordType: 'clinvar', parse: parseClinVar, recordId: record => record.uid },
+  books: { source: 'esummary', recordType: 'book', parse: parseBook, recordId: record => record.uid },
+};
+
+export const DATABASE_NAMES = Object.keys(DATABASES);
+
+// 论文类数据库：引文导出、全文、ID 转换等只适用于它们
+export const ARTICLE_DATABASES = DATABASE_NAMES.filter(db => DATABASES[db].recordType === 'paper');
+
+/**
+ * Parses one ESummary `result` of an ESummary-backed database into records,
+ * in `uids` order. Documents NCBI reports an error for are skipped.
+ */
+export function parseSummaryRecords(db, result) {
+  const { parse } = DATABASES[db];
+  return list(result?.uids).map(uid => result[uid]).filter(doc => doc && !doc.error).map(parse);
+}
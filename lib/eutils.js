@@ -0,0 +1,307 @@
+// lib/eutils.js
+// 所有路由共用的 NCBI E-utilities 客户端：限速队列、API key、失败重试
+import axios from 'axios';
+import { currentRequest, logger } from './log.js';
+import { observeUpstream } from './metrics.js';
+
+export const EUTILS_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+/**
+ * Counts an NCBI call (retries included) against the current request, for
+ * the per-client usage report and the access log, and returns the headers
+ * that carry the request ID upstream.
+ */
+export function countUpstreamCall() {
+  const context = currentRequest();
+  if (!context) return {};
+  context.upstreamCalls++;
+  return { 'X-Request-Id': context.requestId };
+}
+
+// 指标的 outcome：有响应时为 HTTP 状态码，否则为错误码
+function upstreamOutcome(error) {
+  if (!error) return '200';
+  return error.status ? String(error.status) : error.code || 'error';
+}
+
+function retriesFromEnv(value) {
+  const retries = parseInt(value, 10);
+  return Number.isNaN(retries) || retries < 0 ? 3 : retries;
+}
+
+/**
+ * Reads the E-utilities settings from the environment.
+ * NCBI allows 3 requests/second without an API key and 10 with one.
+ * `NCBI_EUTILS_URL` points the client at another server, e.g. the fake
+ * E-utilities used by the tests.
+ */
+export function getEutilsConfig() {
+  const apiKey = process.env.NCBI_API_KEY || '';
+  return {
+    baseUrl: process.env.NCBI_EUTILS_URL || EUTILS_BASE_URL,
+    apiKey,
+    tool: process.env.NCBI_TOOL || 'my-ncbi-proxy-server-only',
+    email: process.env.NCBI_EMAIL || '',
+    requestsPerSecond: parseInt(process.env.NCBI_REQUESTS_PER_SECOND, 10) || (apiKey ? 10 : 3),
+    // 0 表示不重试；空值或非数字回退到 3，否则 attempt >= maxRetries 永远不成立，会一直重试
+    maxRetries: retriesFromEnv(process.env.NCBI_MAX_RETRIES),
+    retryBaseDelay: parseInt(process.env.NCBI_RETRY_BASE_DELAY_MS, 10) || 500,
+    timeout: parseInt(process.env.NCBI_TIMEOUT_MS, 10) || 30000,
+  };
+}
+
+/**
+ * Error raised for any failed E-utilities call. `status` is the upstream HTTP
+ * status (0 when no response arrived) and `details` is the upstream payload.
+ */
+export class EutilsError extends Error {
+  constructor(message, { utility, status = 0, code = '', details = null, retryAfter = 0 } = {}) {
+    super(message);
+    this.name = 'EutilsError';
+    this.utility = utility;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return RETRYABLE_STATUS.includes(this.status) || RETRYABLE_CODES.includes(this.code);
+  }
+
+  // 转换成返回给前端的 HTTP 状态码
+  get httpStatus() {
+    if (this.status === 429) return 429;
+    if (this.status >= 400 && this.status < 500) return this.status;
+    if (RETRYABLE_CODES.includes(this.code)) return 504;
+    return 502;
+  }
+}
+
+// 简单的限速队列：每个请求占用一个时间槽，槽与槽之间间隔 1000 / requestsPerSecond 毫秒
+let nextSlot = 0;
+
+function acquireSlot(requestsPerSecond) {
+  const interval = Math.ceil(1000 / requestsPerSecond);
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + interval;
+  const wait = slot - now;
+  return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 指数退避 + full jitter；上游给出 Retry-After 时以它为下限
+function backoffDelay(attempt, baseDelay, retryAfter) {
+  const exponential = baseDelay * 2 ** attempt;
+  const jittered = Math.random() * exponential;
+  return Math.max(jittered, retryAfter * 1000);
+}
+
+function parseRetryAfter(value) {
+  const seconds = parseInt(value, 10);
+  return isNaN(seconds) ? 0 : seconds;
+}
+
+function toEutilsError(utility, error) {
+  if (error instanceof EutilsError) {
+    return error;
+  }
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    return new EutilsError(`${utility} returned HTTP ${status}`, {
+      utility,
+      status,
+      details: data,
+      retryAfter: parseRetryAfter(headers?.['retry-after']),
+    });
+  }
+  return new EutilsError(`No response from ${utility}: ${error.message}`, {
+    utility,
+    code: error.code || '',
+    details: error.message,
+  });
+}
+
+// NCBI 限流时有时返回 200 + {"error":"API rate limit exceeded"}
+function rateLimitBody(data) {
+  if (data && typeof data === 'object' && typeof data.error === 'string' && /rate limit/i.test(data.error)) {
+    return data;
+  }
+  if (typeof data === 'string' && /API rate limit exceeded/i.test(data)) {
+    return data;
+  }
+  return null;
+}
+
+/**
+ * Calls an NCBI service through the shared queue. `utility` names the
+ * service in errors and logs. Credentials are appended to every request;
+ * 429, 5xx and timeouts are retried with exponential backoff, at most
+ * `options.maxRetries` times (default NCBI_MAX_RETRIES). With
+ * `options.method: 'post'` the parameters are sent as a form body instead
+ * of the query string. Resolves with the response body.
+ */
+export async function ncbiRequest(utility, url, params = {}, options = {}) {
+  const config = getEutilsConfig();
+  const query = { ...params, tool: config.tool };
+  if (config.email) query.email = config.email;
+  if (config.apiKey) query.api_key = config.apiKey;
+  Object.keys(query).forEach(key => (query[key] === undefined || query[key] === '') && delete query[key]);
+  const maxRetries = options.maxRetries ?? config.maxRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(config.requestsPerSecond);
+    const headers = countUpstreamCall();
+    const startedAt = process.hrtime.bigint();
+    let eutilsError;
+    try {
+      const requestOptions = {
+        headers,
+        timeout: options.timeout || config.timeout,
+        responseType: options.responseType || 'json',
+      };
+      // 长 ID 列表放在 POST body 中，不受 URL 长度限制
+      const response = options.method === 'post'
+        ? await axios.post(url, new URLSearchParams(query).toString(), {
+          ...requestOptions,
+          headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+        })
+        : await axios.get(url, { ...requestOptions, params: query });
+      const limited = rateLimitBody(response.data);
+      if (!limited) {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observeUpstream({ utility, outcome: upstreamOutcome(null), failed: false, seconds });
+        logger.debug('NCBI call', { utility, status: response.status, durationMs: Math.round(seconds * 1000), attempt });
+        return response.data;
+      }
+      eutilsError = new EutilsError(`${utility} rate limit exceeded`, { utility, status: 429, details: limited });
+    } catch (error) {
+      eutilsError = toEutilsError(utility, error);
+    }
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    observeUpstream({ utility, outcome: upstreamOutcome(eutilsError), failed: true, seconds });
+
+    if (!eutilsError.retryable || attempt >= maxRetries) {
+      throw eutilsError;
+    }
+    const delay = backoffDelay(attempt, config.retryBaseDelay, eutilsError.retryAfter);
+    logger.warn('NCBI call failed, retrying', { utility, outcome: upstreamOutcome(eutilsError), retry: attempt + 1, maxRetries, delayMs: Math.round(delay) });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Calls one E-utility (e.g. `esearch`, `efetch`) through `ncbiRequest`.
+ */
+export function eutilsRequest(utility, params = {}, options = {}) {
+  const { baseUrl } = getEutilsConfig();
+  return ncbiRequest(utility, `${baseUrl.replace(/\/$/, '')}/${utility}.fcgi`, params, options);
+}
+
+/**
+ * EInfo in JSON mode: without `db`, resolves with `einforesult`, whose
+ * `dblist` names every Entrez database.
+ */
+export async function einfo(params = {}, options = {}) {
+  const data = await eutilsRequest('einfo', { ...params, retmode: 'json' }, options);
+  const result = data?.einforesult;
+  if (!result) {
+    throw new EutilsError('EInfo returned an unexpected payload', { utility: 'einfo', details: data });
+  }
+  return result;
+}
+
+/**
+ * ESearch in JSON mode. Resolves with `esearchresult` and throws when NCBI
+ * reports an `ERROR` inside an otherwise successful response. `options` go
+ * to `eutilsRequest` (`method: 'post'` for long terms).
+ */
+export async function esearch(params, options = {}) {
+  const data = await eutilsRequest('esearch', { ...params, retmode: 'json' }, options);
+  const result = data?.esearchresult;
+  if (!result) {
+    throw new EutilsError('ESearch returned an unexpected payload', { utility: 'esearch', details: data });
+  }
+  if (result.ERROR) {
+    throw new EutilsError(`ESearch Error: ${result.ERROR}`, { utility: 'esearch', status: 400, details: result.ERROR });
+  }
+  return result;
+}
+
+/**
+ * EFetch in XML mode. Resolves with the raw XML string.
+ */
+export function efetch(params, options = {}) {
+  return eutilsRequest('efetch', { retmode: 'xml', ...params }, { ...options, responseType: 'text' });
+}
+
+/**
+ * ESummary (version 2.0) in JSON mode. Resolves with `result`, which holds
+ * `uids` plus one summary object per UID.
+ */
+export async function esummary(params) {
+  const data = await eutilsRequest('esummary', { ...params, version: '2.0', retmode: 'json' });
+  if (data?.error || data?.result?.ERROR) {
+    const detail = data.error || data.result.ERROR;
+    throw new EutilsError(`ESummary Error: ${detail}`, { utility: 'esummary', status: 400, details: detail });
+  }
+  return data?.result || { uids: [] };
+}
+
+/**
+ * EPost: uploads `ids` of `db` to the history server in a POST body.
+ * Resolves with `{ webenv, querykey, invalidIds }`; `invalidIds` are the
+ * ones NCBI did not accept. EPost only answers in XML.
+ */
+export async function epost(db, ids) {
+  const xml = await eutilsRequest('epost', { db, id: ids.join(',') }, { method: 'post', responseType: 'text' });
+  const tag = name => String(xml).match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1].trim() || '';
+  const error = tag('ERROR');
+  if (error) {
+    throw new EutilsError(`EPost Error: ${error}`, { utility: 'epost', status: 400, details: error });
+  }
+  const webenv = tag('WebEnv');
+  const querykey = tag('QueryKey');
+  if (!webenv || !querykey) {
+    throw new EutilsError('EPost returned no WebEnv or QueryKey', { utility: 'epost', details: xml });
+  }
+  const invalidList = String(xml).match(/<InvalidIdList>([\s\S]*?)<\/InvalidIdList>/)?.[1] || '';
+  const invalidIds = [...invalidList.matchAll(/<Id>([^<]*)<\/Id>/g)].map(match => match[1].trim());
+  return { webenv, querykey, invalidIds };
+}
+
+/**
+ * ELink in JSON mode. Resolves with the `linksets` array.
+ */
+export async function elink(params) {
+  const data = await eutilsRequest('elink', { ...params, retmode: 'json' });
+  if (data?.ERROR) {
+    throw new EutilsError(`ELink Error: ${data.ERROR}`, { utility: 'elink', status: 400, details: data.ERROR });
+  }
+  return data?.linksets || [];
+}
+
+/**
+ * Sends the consistent error body for a failed request:
+ * `{ error, details, upstream: { utility, status } }`.
+ */
+export function sendEutilsError(res, error, message) {
+  if (error instanceof EutilsError) {
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.httpStatus).json({
+      error: message,
+      details: error.details ?? error.message,
+      upstream: { utility: error.utility, status: error.status, code: error.code || undefined },
+    });
+  }
+  return res.status(500).json({ error: message, details: error.message });
+}
@@ -0,0 +1,144 @@
+// lib/facets.js
+// 检索结果的分面统计。先确定候选值，再对每个候选值做一次只取总数的 ESearch，得到的是整个结果集中的数量，而不只是当前页。
+// 年份不抽样：从整个结果集中最新的出版年份往前连续统计；期刊、文献类型和语言的候选值来自 ESummary 取的前 FACET_SAMPLE 条结果，
+// 样本之外的期刊等即使在整个结果集中更多，也不会出现在分面中
+import { esearch, esummary } from './eutils.js';
+import { cacheGet, cacheSet, facetsKey, SEARCH_TTL } from './cache.js';
+import { runLimited } from './limit.js';
+import { compileQuery } from './query.js';
+
+// 用来确定候选值的结果条数
+const FACET_SAMPLE = 100;
+// 每个分面最多统计的值，也就是每个分面最多的 ESearch 次数
+const FACET_SIZE = 8;
+// 同时进行的计数 ESearch，其余排队，不让一次统计占满 NCBI 的速率
+const FACET_CONCURRENCY = 3;
+
+const yearOf = doc => (doc.pubdate || doc.sortpubdate || '').match(/\d{4}/)?.[0] || '';
+
+// 样本中出现次数最多的值；labels 为值 -> 显示名称
+function mostFrequent(values, labels = {}) {
+  const counts = new Map();
+  for (const value of values.filter(Boolean)) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, FACET_SIZE).map(([value]) => ({ value, label: labels[value] || value }));
+}
+
+/**
+ * The facets `/api/search?facets=` can count. `candidates` picks the values
+ * to count: for `sampled` facets they are the top values among the ESummary
+ * documents of the first FACET_SAMPLE results rather than of the whole
+ * result set (the counts are for the whole set); years are the FACET_SIZE
+ * years up to the newest publication year of the whole set. `params` is the
+ * structured search filter for one value, so selecting a facet value is
+ * just adding those parameters to the search.
+ */
+export const FACETS = {
+  year: {
+    databases: ['pubmed', 'pmc'],
+    // 按年份倒序返回，没有命中的年份会被去掉
+    candidates: (docs, { newestYear }) => (newestYear
+      ? Array.from({ length: FACET_SIZE }, (_, i) => String(newestYear - i)).map(value => ({ value, label: value }))
+      : []),
+    params: value => ({ datefrom: value, dateto: value }),
+    byValue: true,
+  },
+  journal: {
+    databases: ['pubmed', 'pmc'],
+    candidates: docs => mostFrequent(docs.map(doc => doc.source), Object.fromEntries(docs.map(doc => [doc.source, doc.fulljournalname || doc.source]))),
+    params: value => ({ journal: value }),
+    sampled: true,
+  },
+  pubtype: {
+    databases: ['pubmed'],
+    candidates: docs => mostFrequent(docs.flatMap(doc => doc.pubtype || [])),
+    params: value => ({ pubtype: value }),
+    sampled: true,
+  },
+  language: {
+    databases: ['pubmed'],
+    candidates: docs => mostFrequent(docs.flatMap(doc => doc.lang || [])),
+    params: value => ({ language: value }),
+    sampled: true,
+  },
+  freefulltext: {
+    databases: ['pubmed'],
+    candidates: () => [{ value: 'true', label: 'Free full text' }],
+    params: () => ({ freefulltext: true }),
+  },
+  openaccess: {
+    databases: ['pubmed', 'pmc'],
+    candidates: () => [{ value: 'true', label: 'Open access' }],
+    params: () => ({ openaccess: true }),
+  },
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+/**
+ * The requested facets that cannot be counted for `db`.
+ */
+export function unavailableFacets(db, names) {
+  return names.filter(name => !FACETS[name].databases.includes(db));
+}
+
+// 整个结果集中最新的出版年份：按出版日期排序取第一条，再用 ESummary 读它的年份
+async function newestYear(db, term) {
+  const newest = await esearch({ db, term, sort: 'pub_date', retmax: 1 });
+  const uid = newest.idlist?.[0];
+  if (!uid) {
+    return null;
+  }
+  const summary = await esummary({ db, id: uid });
+  return parseInt(yearOf(summary[uid] || {}), 10) || null;
+}
+
+// 每个候选值一个计数任务
+function countTasks(name, db, term, docs, context) {
+  const facet = FACETS[name];
+  return facet.candidates(docs, context).map(({ value, label }) => async () => {
+    const params = facet.params(value);
+    const result = await esearch({ db, term: `(${term}) AND ${compileQuery(params, db)}`, rettype: 'count' });
+    return { value, label, count: parseInt(result.count, 10) || 0, params };
+  });
+}
+
+/**
+ * Counts each facet in `names` over the whole result set of `term`, using
+ * the search's history (`webenv`, `querykey`) for the sample of the
+ * `sampled` facets, with at most FACET_CONCURRENCY count searches in flight. Resolves with
+ * an object mapping each name to `[{ value, label, count, params }]`, where
+ * `params` are the `/api/search` parameters that select that value. Values
+ * with no hits are left out. Cached per term, so paging costs nothing.
+ */
+export async function computeFacets(db, term, names, { webenv, querykey, total }) {
+  if (total === 0) {
+    return Object.fromEntries(names.map(name => [name, []]));
+  }
+  const cacheKey = facetsKey(db, term, names);
+  const cached = await cacheGet(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let docs = [];
+  if (names.some(name => FACETS[name].sampled)) {
+    const summaries = await esummary({ db, query_key: querykey, WebEnv: webenv, retstart: 0, retmax: FACET_SAMPLE });
+    docs = (summaries.uids || []).map(uid => summaries[uid]).filter(Boolean);
+  }
+  const context = { newestYear: names.includes('year') ? await newestYear(db, term) : null };
+  // 所有分面的计数共用一个并发上限
+  const tasks = names.map(name => countTasks(name, db, term, docs, context));
+  const counted = await runLimited(tasks.flat(), FACET_CONCURRENCY);
+  const facets = {};
+  let offset = 0;
+  names.forEach((name, i) => {
+    const values = counted.slice(offset, offset + tasks[i].length).filter(entry => entry.count > 0);
+    offset += tasks[i].length;
+    facets[name] = FACETS[name].byValue ? values : values.sort((a, b) => b.count - a.count);
+  });
+
+  await cacheSet(cacheKey, facets, SEARCH_TTL);
+  return facets;
+}
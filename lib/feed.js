@@ -0,0 +1,105 @@
+// lib/feed.js
+// 把保存的检索新增的论文渲染为 Atom 1.0 或 RSS 2.0 订阅源
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+export function paperUrl(db, id) {
+  return db === 'pmc' ? `https://www.ncbi.nlm.nih.gov/pmc/articles/PMC${id}/` : `https://pubmed.ncbi.nlm.nih.gov/${id}/`;
+}
+
+function summaryOf(paper) {
+  const abstract = paper?.abstract || '';
+  return abstract.length > 500 ? `${abstract.slice(0, 497)}...` : abstract;
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.url)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.url)}"/>`,
+    `    <updated>${item.foundAt}</updated>`,
+    ...item.authors.slice(0, 3).map(name => `    <author><name>${escapeXml(name)}</name></author>`),
+    item.journal ? `    <category term="${escapeXml(item.journal)}"/>` : '',
+    item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : '',
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${feed.updated}</updated>`,
+    '  <author><name>NCBI proxy</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    `      <pubDate>${new Date(item.foundAt).toUTCString()}</pubDate>`,
+    item.authors.length > 0 ? `      <dc:creator>${escapeXml(item.authors.join(', '))}</dc:creator>` : '',
+    item.journal ? `      <category>${escapeXml(item.journal)}</category>` : '',
+    item.summary ? `      <description>${escapeXml(item.summary)}</description>` : '',
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.selfUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+export const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+};
+
+/**
+ * Builds the feed model for a saved search: one item per new ID in its
+ * recent runs, newest first. `papers` maps IDs to parsed records; IDs
+ * without a record still get an item titled with the ID.
+ */
+export function buildFeed(saved, papers, { selfUrl, limit }) {
+  const items = [];
+  for (const run of saved.runs) {
+    for (const id of run.newIds) {
+      if (items.length >= limit) break;
+      const paper = papers.get(id);
+      items.push({
+        url: paperUrl(saved.db, id),
+        title: paper?.title || `${saved.db === 'pmc' ? 'PMC' : 'PMID '}${id}`,
+        authors: paper?.authorList.map(author => author.name) || [],
+        journal: paper?.journal.title || '',
+        summary: summaryOf(paper),
+        foundAt: run.at,
+      });
+    }
+  }
+  return {
+    title: `${saved.name} — new papers`,
+    description: `New ${saved.db} results for: ${saved.term}`,
+    selfUrl,
+    updated: saved.lastRunAt,
+    items,
+  };
+}
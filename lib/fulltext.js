@@ -0,0 +1,333 @@
+// lib/fulltext.js
+// 把 PMC JATS XML 转成结构化的全文文档，并可渲染为 HTML 或 Markdown
+import { ASSET_NAME_PATTERN, PMC_ARTICLES_URL } from './oa.js';
+
+const ASSET_NAME = new RegExp(ASSET_NAME_PATTERN);
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function childElements(el, tagName) {
+  return Array.from(el.children).filter(child => child.tagName === tagName);
+}
+
+function childText(el, tagName) {
+  const child = childElements(el, tagName)[0];
+  return child ? cleanText(child.textContent) : '';
+}
+
+function captionText(el) {
+  const caption = childElements(el, 'caption')[0];
+  if (!caption) return '';
+  return Array.from(caption.children).map(child => cleanText(child.textContent)).filter(Boolean).join(' ');
+}
+
+// 图片经本服务的 /api/paper/{id}/asset 转发，前端不必跟随 PMC 网站的跳转，也没有跨域问题；
+// 不是 asset 能转发的文件名时才直接指向 PMC
+function imageUrl(pmcid, href) {
+  if (!href) return '';
+  if (/^https?:\/\//.test(href)) return href;
+  const file = /\.[a-z0-9]+$/i.test(href) ? href : `${href}.jpg`;
+  if (ASSET_NAME.test(file)) {
+    return `/api/paper/PMC${pmcid}/asset?name=${encodeURIComponent(file)}`;
+  }
+  return `${PMC_ARTICLES_URL}/PMC${pmcid}/bin/${file}`;
+}
+
+function parseFigure(fig, pmcid) {
+  const graphic = fig.querySelector('graphic');
+  return {
+    id: fig.getAttribute('id') || '',
+    label: childText(fig, 'label'),
+    caption: captionText(fig),
+    imageUrl: imageUrl(pmcid, graphic?.getAttribute('xlink:href')),
+  };
+}
+
+function parseTable(wrap) {
+  const rows = Array.from(wrap.querySelectorAll('tr')).map(tr => {
+    const inHead = tr.parentElement?.tagName === 'thead';
+    return Array.from(tr.children)
+      .filter(cell => cell.tagName === 'td' || cell.tagName === 'th')
+      .map(cell => ({
+        text: cleanText(cell.textContent),
+        header: inHead || cell.tagName === 'th',
+        colspan: parseInt(cell.getAttribute('colspan'), 10) || 1,
+        rowspan: parseInt(cell.getAttribute('rowspan'), 10) || 1,
+      }));
+  });
+  const foot = wrap.querySelector('table-wrap-foot');
+  return {
+    id: wrap.getAttribute('id') || '',
+    label: childText(wrap, 'label'),
+    caption: captionText(wrap),
+    rows,
+    foot: foot ? cleanText(foot.textContent) : '',
+  };
+}
+
+// 段落里可能嵌着图表，图表以引用块的形式放到段落之后
+function parseBlocks(el) {
+  const blocks = [];
+  switch (el.tagName) {
+    case 'p': {
+      const floats = Array.from(el.querySelectorAll('fig, table-wrap'));
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll('fig, table-wrap').forEach(node => node.remove());
+      const text = cleanText(clone.textContent);
+      if (text) blocks.push({ type: 'paragraph', text });
+      floats.forEach(node => blocks.push({ type: node.tagName === 'fig' ? 'figure' : 'table', ref: node.getAttribute('id') || '' }));
+      break;
+    }
+    case 'list':
+      blocks.push({
+        type: 'list',
+        ordered: el.getAttribute('list-type') === 'order',
+        items: childElements(el, 'list-item').map(item => cleanText(item.textContent)),
+      });
+      break;
+    case 'fig':
+      blocks.push({ type: 'figure', ref: el.getAttribute('id') || '' });
+      break;
+    case 'table-wrap':
+      blocks.push({ type: 'table', ref: el.getAttribute('id') || '' });
+      break;
+    case 'disp-formula':
+    case 'disp-quote':
+    case 'boxed-text':
+    case 'preformat': {
+      const text = cleanText(el.textContent);
+      if (text) blocks.push({ type: 'paragraph', text });
+      break;
+    }
+    default:
+      break;
+  }
+  return blocks;
+}
+
+function parseSection(sec) {
+  const section = { id: sec.getAttribute('id') || '', title: childText(sec, 'title'), content: [], sections: [] };
+  for (const child of Array.from(sec.children)) {
+    if (child.tagName === 'sec') {
+      section.sections.push(parseSection(child));
+    } else if (child.tagName !== 'title' && child.tagName !== 'label') {
+      section.content.push(...parseBlocks(child));
+    }
+  }
+  return section;
+}
+
+// 正文中不在 sec 里的段落放进一个无标题的 section
+function parseBody(body) {
+  const sections = [];
+  let loose = null;
+  for (const child of Array.from(body.children)) {
+    if (child.tagName === 'sec') {
+      loose = null;
+      sections.push(parseSection(child));
+    } else {
+      if (!loose) {
+        loose = { id: '', title: '', content: [], sections: [] };
+        sections.push(loose);
+      }
+      loose.content.push(...parseBlocks(child));
+    }
+  }
+  return sections.filter(section => section.content.length > 0 || section.sections.length > 0);
+}
+
+// element-citation 的各字段之间没有分隔符，这里逐个文本节点以空格拼接
+function citationText(el) {
+  const parts = [];
+  const walk = node => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === 3) {
+        parts.push(child.textContent);
+      } else if (child.nodeType === 1 && child.tagName !== 'pub-id' && child.tagName !== 'label') {
+        walk(child);
+      }
+    });
+  };
+  walk(el);
+  return cleanText(parts.join(' ')).replace(/\s+([.,;:)])/g, '$1').replace(/\(\s+/g, '(');
+}
+
+function parseReference(ref) {
+  const citation = ref.querySelector('element-citation, mixed-citation, citation') || ref;
+  const pubId = type => cleanText(ref.querySelector(`pub-id[pub-id-type='${type}']`)?.textContent);
+  return {
+    id: ref.getAttribute('id') || '',
+    label: childText(ref, 'label'),
+    citation: citationText(citation),
+    pmid: pubId('pmid'),
+    pmcid: pubId('pmcid').replace(/^PMC/i, ''),
+    doi: pubId('doi'),
+  };
+}
+
+/**
+ * Builds the structured full-text document for one JATS `<article>`.
+ * Returns null when the article has no `<body>`, which is how PMC serves
+ * articles whose publisher does not allow XML full-text download.
+ */
+export function parseFullText(article) {
+  const body = article.querySelector('body');
+  if (!body) {
+    return null;
+  }
+  const pmcid = cleanText(article.querySelector("article-id[pub-id-type='pmc']")?.textContent).replace(/^PMC/i, '');
+
+  const figures = Array.from(article.querySelectorAll('fig')).map(fig => parseFigure(fig, pmcid));
+  const tables = Array.from(article.querySelectorAll('table-wrap')).map(parseTable);
+  const footnotes = Array.from(new Set(article.querySelectorAll('back fn, author-notes fn'))).map(fn => ({
+    id: fn.getAttribute('id') || '',
+    label: childText(fn, 'label'),
+    text: cleanText(Array.from(fn.children).filter(child => child.tagName !== 'label').map(child => child.textContent).join(' ')),
+  }));
+  const references = Array.from(article.querySelectorAll('ref-list ref')).map(parseReference);
+
+  return {
+    pmcid,
+    pmid: cleanText(article.querySelector("article-id[pub-id-type='pmid']")?.textContent),
+    doi: cleanText(article.querySelector("article-id[pub-id-type='doi']")?.textContent),
+    title: cleanText(article.querySelector('article-title')?.textContent),
+    license: cleanText(article.querySelector('permissions license')?.textContent),
+    abstract: Array.from(article.querySelectorAll('front abstract p')).map(p => cleanText(p.textContent)).filter(Boolean),
+    sections: parseBody(body),
+    figures,
+    tables,
+    footnotes,
+    references,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownCell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+function figureHtml(figure) {
+  const img = figure.imageUrl ? `<img src="${escapeHtml(figure.imageUrl)}" alt="${escapeHtml(figure.label)}">` : '';
+  return `<figure id="${escapeHtml(figure.id)}">${img}<figcaption><strong>${escapeHtml(figure.label)}</strong> ${escapeHtml(figure.caption)}</figcaption></figure>`;
+}
+
+function tableHtml(table) {
+  const rows = table.rows.map(row => {
+    const cells = row.map(cell => {
+      const tag = cell.header ? 'th' : 'td';
+      const spans = `${cell.colspan > 1 ? ` colspan="${cell.colspan}"` : ''}${cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : ''}`;
+      return `<${tag}${spans}>${escapeHtml(cell.text)}</${tag}>`;
+    }).join('');
+    return `<tr>${cells}</tr>`;
+  }).join('');
+  const foot = table.foot ? `<tfoot><tr><td>${escapeHtml(table.foot)}</td></tr></tfoot>` : '';
+  return `<table id="${escapeHtml(table.id)}"><caption><strong>${escapeHtml(table.label)}</strong> ${escapeHtml(table.caption)}</caption>${rows}${foot}</table>`;
+}
+
+function figureMarkdown(figure) {
+  const img = figure.imageUrl ? `![${figure.label}](${figure.imageUrl})\n\n` : '';
+  return `${img}**${figure.label}** ${figure.caption}`.trim();
+}
+
+function tableMarkdown(table) {
+  const lines = [`**${table.label}** ${table.caption}`.trim()];
+  if (table.rows.length > 0) {
+    const width = Math.max(...table.rows.map(row => row.length));
+    const pad = row => [...row.map(cell => escapeMarkdownCell(cell.text)), ...Array(width - row.length).fill('')];
+    lines.push('', `| ${pad(table.rows[0]).join(' | ')} |`, `|${' --- |'.repeat(width)}`);
+    table.rows.slice(1).forEach(row => lines.push(`| ${pad(row).join(' | ')} |`));
+  }
+  if (table.foot) lines.push('', table.foot);
+  return lines.join('\n');
+}
+
+// 两种输出格式共用的遍历逻辑，figure/table 在首次被引用的位置输出，未被引用的放在正文末尾
+function render(doc, fmt) {
+  const figures = new Map(doc.figures.map(figure => [figure.id, figure]));
+  const tables = new Map(doc.tables.map(table => [table.id, table]));
+  const placed = new Set();
+  const out = [];
+
+  const block = item => {
+    if (item.type === 'paragraph') return fmt.paragraph(item.text);
+    if (item.type === 'list') return fmt.list(item);
+    const target = item.type === 'figure' ? figures.get(item.ref) : tables.get(item.ref);
+    if (!target || placed.has(item.ref)) return '';
+    placed.add(item.ref);
+    return item.type === 'figure' ? fmt.figure(target) : fmt.table(target);
+  };
+
+  const section = (sec, depth) => {
+    out.push(fmt.sectionStart(sec, Math.min(depth, 6)));
+    sec.content.forEach(item => out.push(block(item)));
+    sec.sections.forEach(child => section(child, depth + 1));
+    out.push(fmt.sectionEnd());
+  };
+
+  out.push(fmt.title(doc.title));
+  if (doc.abstract.length > 0) {
+    section({ title: 'Abstract', content: doc.abstract.map(text => ({ type: 'paragraph', text })), sections: [] }, 2);
+  }
+  doc.sections.forEach(sec => section(sec, 2));
+  doc.figures.filter(figure => !placed.has(figure.id)).forEach(figure => out.push(fmt.figure(figure)));
+  doc.tables.filter(table => !placed.has(table.id)).forEach(table => out.push(fmt.table(table)));
+  if (doc.footnotes.length > 0) out.push(fmt.footnotes(doc.footnotes));
+  if (doc.references.length > 0) out.push(fmt.references(doc.references));
+
+  return out.filter(Boolean).join('\n\n') + '\n';
+}
+
+const htmlFormat = {
+  title: title => `<h1>${escapeHtml(title)}</h1>`,
+  sectionStart: (sec, depth) => `<section${sec.id ? ` id="${escapeHtml(sec.id)}"` : ''}>${sec.title ? `<h${depth}>${escapeHtml(sec.title)}</h${depth}>` : ''}`,
+  sectionEnd: () => '</section>',
+  paragraph: text => `<p>${escapeHtml(text)}</p>`,
+  list: list => {
+    const tag = list.ordered ? 'ol' : 'ul';
+    return `<${tag}>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`;
+  },
+  figure: figureHtml,
+  table: tableHtml,
+  footnotes: footnotes => `<section class="footnotes"><h2>Footnotes</h2><ol>${footnotes.map(fn => `<li id="${escapeHtml(fn.id)}">${escapeHtml(fn.text)}</li>`).join('')}</ol></section>`,
+  references: references => {
+    const items = references.map(ref => {
+      const links = [
+        ref.pmid ? `<a href="https://pubmed.ncbi.nlm.nih.gov/${escapeHtml(ref.pmid)}/">PubMed</a>` : '',
+        ref.doi ? `<a href="https://doi.org/${escapeHtml(ref.doi)}">DOI</a>` : '',
+      ].filter(Boolean).join(' ');
+      return `<li id="${escapeHtml(ref.id)}">${escapeHtml(ref.citation)}${links ? ` ${links}` : ''}</li>`;
+    }).join('');
+    return `<section class="references"><h2>References</h2><ol>${items}</ol></section>`;
+  },
+};
+
+const markdownFormat = {
+  title: title => `# ${title}`,
+  sectionStart: (sec, depth) => (sec.title ? `${'#'.repeat(depth)} ${sec.title}` : ''),
+  sectionEnd: () => '',
+  paragraph: text => text,
+  list: list => list.items.map((item, index) => `${list.ordered ? `${index + 1}.` : '-'} ${item}`).join('\n'),
+  figure: figureMarkdown,
+  table: tableMarkdown,
+  footnotes: footnotes => ['## Footnotes', ...footnotes.map(fn => `- ${fn.label ? `${fn.label} ` : ''}${fn.text}`)].join('\n\n'),
+  references: references => ['## References', references.map((ref, index) => {
+    const links = [
+      ref.pmid ? `[PubMed](https://pubmed.ncbi.nlm.nih.gov/${ref.pmid}/)` : '',
+      ref.doi ? `[DOI](https://doi.org/${ref.doi})` : '',
+    ].filter(Boolean).join(' ');
+    return `${index + 1}. ${ref.citation}${links ? ` ${links}` : ''}`;
+  }).join('\n')].join('\n\n'),
+};
+
+export function renderFullTextHtml(doc) {
+  return `<article>\n${render(doc, htmlFormat)}</article>\n`;
+}
+
+export function renderFullTextMarkdown(doc) {
+  return render(doc, markdownFormat);
+}
@@ -0,0 +1,144 @@
+// lib/health.js
+// 健康检查：liveness 只说明进程在运行；readiness 实际调用一次 EInfo 并读写缓存，
+// 供监控判断 NCBI 是否可用、配置是否正确
+import fs from 'fs';
+import { einfo, getEutilsConfig } from './eutils.js';
+import { getCacheStore } from './cache.js';
+import { getClientConfig } from './clients.js';
+
+function readPackageVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version || '';
+  } catch (error) {
+    return process.env.npm_package_version || '';
+  }
+}
+
+const PACKAGE_VERSION = readPackageVersion();
+
+/**
+ * The running build: the package version and, when the platform provides
+ * it, the git commit (`VERCEL_GIT_COMMIT_SHA` or `GIT_COMMIT`).
+ */
+export function buildInfo() {
+  return {
+    version: PACKAGE_VERSION,
+    commit: (process.env.VERCEL_GIT_COMMIT_SHA || process.env.GIT_COMMIT || '').slice(0, 12),
+    node: process.version,
+  };
+}
+
+/**
+ * Reads the health-check settings: `HEALTH_TIMEOUT_MS` bounds each check and
+ * readiness results are reused for `HEALTH_CACHE_SECONDS`, so a monitor
+ * polling every few seconds does not spend the NCBI rate limit.
+ */
+export function getHealthConfig() {
+  const cacheSeconds = parseInt(process.env.HEALTH_CACHE_SECONDS, 10);
+  return {
+    timeout: parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 5000,
+    cacheSeconds: Number.isNaN(cacheSeconds) ? 10 : cacheSeconds,
+  };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 每项检查返回 { status: 'ok' | 'failing', latencyMs, error? }
+async function runCheck(check, timeout, name) {
+  const startedAt = Date.now();
+  try {
+    const detail = await withTimeout(check(), timeout, `${name} did not answer within ${timeout}ms`);
+    return { status: 'ok', latencyMs: Date.now() - startedAt, ...detail };
+  } catch (error) {
+    return { status: 'failing', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// 不重试：健康检查要反映 NCBI 此刻的状态
+async function checkEutils(timeout) {
+  const result = await einfo({}, { timeout, maxRetries: 0 });
+  const databases = result.dblist || [];
+  const missing = ['pubmed', 'pmc'].filter(db => !databases.includes(db));
+  if (missing.length > 0) {
+    throw new Error(`EInfo does not list ${missing.join(', ')}`);
+  }
+  return { databases: databases.length };
+}
+
+// 直接读写缓存存储，不经过会吞掉错误的 cacheGet / cacheSet
+async function checkCache() {
+  const store = getCacheStore();
+  const key = `health:probe:${process.pid}`;
+  const value = String(Date.now());
+  await store.set(key, value, 60);
+  const readBack = await store.get(key);
+  await store.delete(key);
+  if (readBack !== value) {
+    throw new Error('Cache store did not return the value just written');
+  }
+  return { store: store.constructor.name };
+}
+
+function configState() {
+  const eutils = getEutilsConfig();
+  const clients = getClientConfig();
+  return {
+    ncbiApiKey: Boolean(eutils.apiKey),
+    ncbiEmail: Boolean(eutils.email),
+    ncbiTool: eutils.tool,
+    requestsPerSecond: eutils.requestsPerSecond,
+    cacheStore: process.env.CACHE_STORE === 'file' ? 'file' : 'memory',
+    clientAuth: clients.mode,
+    corsOrigins: clients.corsOrigins,
+  };
+}
+
+/**
+ * Liveness: the process is up and serving. Never calls anything upstream.
+ */
+export function checkLiveness() {
+  return { status: 'ok', mode: 'live', uptime: Math.round(process.uptime()), build: buildInfo() };
+}
+
+let lastReadiness = null;
+
+/**
+ * Readiness: calls EInfo (no retries, bounded by HEALTH_TIMEOUT_MS) and
+ * round-trips a value through the cache store. `status` is `ok` when every
+ * check passes and `degraded` otherwise; the config state, build and
+ * uptime are reported either way. Results are reused for
+ * HEALTH_CACHE_SECONDS (`cached: true`).
+ */
+export async function checkReadiness() {
+  const { timeout, cacheSeconds } = getHealthConfig();
+  if (lastReadiness && Date.now() - lastReadiness.at < cacheSeconds * 1000) {
+    return { ...(await lastReadiness.report), cached: true };
+  }
+
+  const report = (async () => {
+    const [eutils, cache] = await Promise.all([
+      runCheck(() => checkEutils(timeout), timeout, 'E-utilities'),
+      runCheck(checkCache, timeout, 'Cache store'),
+    ]);
+    const checks = { eutils, cache };
+    return {
+      status: Object.values(checks).every(check => check.status === 'ok') ? 'ok' : 'degraded',
+      mode: 'ready',
+      checkedAt: new Date().toISOString(),
+      checks,
+      config: configState(),
+      uptime: Math.round(process.uptime()),
+      build: buildInfo(),
+      cached: false,
+    };
+  })();
+  // 同时到达的请求共用同一次检查
+  lastReadiness = { at: Date.now(), report };
+  return report;
+}
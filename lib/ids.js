@@ -0,0 +1,148 @@
+// lib/ids.js
+// 识别 DOI / PMID / PMCID / 作者手稿 ID，并通过 PMC ID Converter 互相转换
+import { ncbiRequest } from './eutils.js';
+import { cacheGet, cacheSet, PAPER_TTL } from './cache.js';
+
+// 可用 NCBI_IDCONV_URL 指向其他服务器，例如测试用的假服务
+export const IDCONV_URL = 'https://www.ncbi.nlm.nih.gov/pmc/utils/idconv/v1.0/';
+
+// ID Converter 每次最多接受 200 个 ID
+const IDCONV_BATCH_SIZE = 200;
+
+export function cleanPmcId(id) {
+  if (typeof id === 'string') {
+    return id.replace(/^(PMC|pmc)/i, '');
+  }
+  return id;
+}
+
+/**
+ * Works out what kind of identifier `raw` is and returns it in canonical
+ * form: PMCIDs get the `PMC` prefix, DOIs lose `doi:` / `https://doi.org/`.
+ * Bare numbers are PMIDs unless `numericType` says they are PMCIDs.
+ */
+export function detectIdType(raw, numericType = 'pmid') {
+  const value = String(raw || '').trim();
+  const doi = value.replace(/^(doi:\s*|https?:\/\/(dx\.)?doi\.org\/)/i, '');
+  if (/^10\.\d{4,9}\/\S+$/.test(doi)) {
+    return { type: 'doi', id: doi };
+  }
+  if (/^PMC\d+(\.\d+)?$/i.test(value)) {
+    return { type: 'pmcid', id: `PMC${value.slice(3)}` };
+  }
+  if (/^(NIHMS|EMS|PMCA|CAMS|HHMIMS)\d+$/i.test(value)) {
+    return { type: 'mid', id: value.toUpperCase() };
+  }
+  if (/^\d+$/.test(value)) {
+    return numericType === 'pmcid' ? { type: 'pmcid', id: `PMC${value}` } : { type: 'pmid', id: value };
+  }
+  return { type: 'unknown', id: value };
+}
+
+function idconvKey(type, id) {
+  return `idconv:${type}:${id.toLowerCase()}`;
+}
+
+function toRecord(requested, type, record) {
+  if (!record || record.status === 'error' || record.errmsg) {
+    return { requested, type, status: 'not_found', error: record?.errmsg || 'Identifier not found' };
+  }
+  return {
+    requested,
+    type,
+    status: 'ok',
+    pmid: record.pmid ? String(record.pmid) : '',
+    pmcid: record.pmcid || '',
+    doi: record.doi || '',
+    mid: record.mid || '',
+  };
+}
+
+// 同一批中的 ID 类型相同，按返回记录中的对应字段匹配回请求的 ID
+async function convertBatch(type, ids) {
+  const data = await ncbiRequest('idconv', process.env.NCBI_IDCONV_URL || IDCONV_URL, { ids: ids.join(','), idtype: type, format: 'json', versions: 'no' });
+  const records = data?.records || [];
+  const byId = new Map();
+  for (const record of records) {
+    const key = String(record['requested-id'] || record[type] || '').toLowerCase();
+    if (key) byId.set(key, record);
+  }
+  return ids.map(id => byId.get(id.toLowerCase()));
+}
+
+/**
+ * Maps every identifier to the full ID set `{ pmid, pmcid, doi, mid }`.
+ * Results keep the input order; unrecognised or unknown IDs come back with
+ * `status: 'invalid'` or `'not_found'` instead of failing the whole batch.
+ */
+export async function convertIds(rawIds, { numericType = 'pmid' } = {}) {
+  const detected = rawIds.map(raw => ({ raw, ...detectIdType(raw, numericType) }));
+  const results = new Array(detected.length);
+  const pending = {};
+
+  for (let i = 0; i < detected.length; i++) {
+    const { raw, type, id } = detected[i];
+    if (type === 'unknown') {
+      results[i] = { requested: raw, type, status: 'invalid', error: 'Unrecognised identifier' };
+      continue;
+    }
+    const cached = await cacheGet(idconvKey(type, id));
+    if (cached) {
+      results[i] = { ...cached, requested: raw };
+      continue;
+    }
+    (pending[type] = pending[type] || []).push(i);
+  }
+
+  for (const [type, indexes] of Object.entries(pending)) {
+    for (let start = 0; start < indexes.length; start += IDCONV_BATCH_SIZE) {
+      const batch = indexes.slice(start, start + IDCONV_BATCH_SIZE);
+      const records = await convertBatch(type, batch.map(i => detected[i].id));
+      for (let j = 0; j < batch.length; j++) {
+        const { raw, id } = detected[batch[j]];
+        const result = toRecord(raw, type, records[j]);
+        results[batch[j]] = result;
+        if (result.status === 'ok') {
+          await cacheSet(idconvKey(type, id), result, PAPER_TTL);
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Decides which database and ID the single-paper routes should fetch.
+ * PMIDs and PMCIDs are used directly; DOIs and manuscript IDs go through
+ * the ID Converter, preferring `prefer` when both a PMID and PMCID exist.
+ * Resolves with `{ db, id, type }`, or null when nothing matches.
+ */
+export async function resolvePaperId(raw, { numericType = 'pmid', prefer = 'pubmed' } = {}) {
+  const { type, id } = detectIdType(raw, numericType);
+  if (type === 'unknown') {
+    return null;
+  }
+  if (type === 'pmid' && prefer === 'pubmed') {
+    return { db: 'pubmed', id, type };
+  }
+  if (type === 'pmcid') {
+    // PMCID 直接在 PMC 中获取，不需要额外一次转换
+    return { db: 'pmc', id: cleanPmcId(id), type };
+  }
+
+  const [record] = await convertIds([id], { numericType });
+  if (record.status !== 'ok') {
+    return null;
+  }
+  if (prefer === 'pmc' && record.pmcid) {
+    return { db: 'pmc', id: cleanPmcId(record.pmcid), type };
+  }
+  if (record.pmid) {
+    return { db: 'pubmed', id: record.pmid, type };
+  }
+  if (record.pmcid) {
+    return { db: 'pmc', id: cleanPmcId(record.pmcid), type };
+  }
+  return null;
+}
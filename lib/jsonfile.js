@@ -0,0 +1,44 @@
+// lib/jsonfile.js
+// 存放在本地 JSON 文件中的小型数据（保存的检索、客户端密钥），写入时先写临时文件再改名，避免写到一半的文件
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * A JSON document kept in `file`. `read()` resolves with `initial()` when the
+ * file does not exist yet. `update(mutate)` reads the document, lets
+ * `mutate` change it in place and writes it back; updates from the same
+ * process run one after another so concurrent requests do not overwrite
+ * each other. Resolves with what `mutate` returned.
+ */
+export function createJsonFile(file, initial = () => ({})) {
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return initial();
+      throw error;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  let queue = Promise.resolve();
+
+  function update(mutate) {
+    const result = queue.then(async () => {
+      const data = await read();
+      const value = await mutate(data);
+      await write(data);
+      return value;
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { file, read, update };
+}
@@ -0,0 +1,20 @@
+// lib/limit.js
+// 限制同时进行的异步任务数，避免一次请求把 NCBI 的速率配额和连接全部占满
+
+/**
+ * Runs `tasks` (functions returning promises) with at most `limit` running
+ * at once. Resolves with their results in task order; rejects with the
+ * first error, like Promise.all.
+ */
+export async function runLimited(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
@@ -0,0 +1,58 @@
+// lib/links.js
+// 通过 ELink 获取相似文章、被引和参考文献
+import { elink } from './eutils.js';
+import { cacheGet, cacheSet, linksKey, PAPER_TTL } from './cache.js';
+
+/**
+ * ELink link names per source database and link type. `targetDb` is the
+ * database the linked IDs belong to; `scores` asks ELink for neighbor scores.
+ */
+export const LINK_TYPES = {
+  pubmed: {
+    similar: { linkname: 'pubmed_pubmed', targetDb: 'pubmed', scores: true },
+    citedby: { linkname: 'pubmed_pubmed_citedin', targetDb: 'pubmed' },
+    references: { linkname: 'pubmed_pubmed_refs', targetDb: 'pubmed' },
+  },
+  pmc: {
+    citedby: { linkname: 'pmc_pmc_citedby', targetDb: 'pmc' },
+    references: { linkname: 'pmc_refs_pubmed', targetDb: 'pubmed' },
+  },
+};
+
+// neighbor_score 模式下 links 是 { id, score } 对象，普通模式下是 ID 字符串
+function normalizeLink(link) {
+  if (typeof link === 'object' && link !== null) {
+    return { id: String(link.id), score: link.score !== undefined ? Number(link.score) : undefined };
+  }
+  return { id: String(link) };
+}
+
+/**
+ * Resolves with every linked ID for one paper, highest score first for
+ * similar articles. The paper itself is dropped from its own neighbours.
+ */
+export async function fetchLinks(db, id, type) {
+  const definition = LINK_TYPES[db][type];
+  const cacheKey = linksKey(db, type, id);
+  const cached = await cacheGet(cacheKey);
+  if (cached) {
+    return { ...definition, links: cached, cacheStatus: 'HIT' };
+  }
+
+  const linksets = await elink({
+    dbfrom: db,
+    db: definition.targetDb,
+    id,
+    linkname: definition.linkname,
+    cmd: definition.scores ? 'neighbor_score' : undefined,
+  });
+
+  const linksetdb = (linksets[0]?.linksetdbs || []).find(set => set.linkname === definition.linkname);
+  let links = (linksetdb?.links || []).map(normalizeLink).filter(link => !(definition.targetDb === db && link.id === String(id)));
+  if (definition.scores) {
+    links = links.sort((a, b) => (b.score || 0) - (a.score || 0));
+  }
+
+  await cacheSet(cacheKey, links, PAPER_TTL);
+  return { ...definition, links, cacheStatus: 'MISS' };
+}
@@ -0,0 +1,62 @@
+// lib/log.js
+// 结构化日志：每行一个 JSON 对象，自动带上当前请求的 requestId，便于在 Vercel / 日志平台中按字段查询
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// 每个请求的上下文 { requestId, method, path, route, startedAt, upstreamCalls }，由 lib/requests.js 创建
+export const requestContext = new AsyncLocalStorage();
+
+export function currentRequest() {
+  return requestContext.getStore();
+}
+
+/**
+ * The minimum level written, from `LOG_LEVEL` (`debug`, `info`, `warn`,
+ * `error` or `silent`); `info` by default.
+ */
+export function getLogLevel() {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return level in LEVELS ? level : 'info';
+}
+
+// Error 对象本身不能被 JSON.stringify，展开成普通字段
+function serialize(value, withStack) {
+  if (!(value instanceof Error)) return value;
+  const { name, message } = value;
+  const extra = {};
+  for (const key of ['utility', 'status', 'code']) {
+    if (value[key] !== undefined && value[key] !== '') extra[key] = value[key];
+  }
+  return { name, message, ...extra, ...(withStack && value.stack ? { stack: value.stack } : {}) };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) return;
+  const context = currentRequest();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context ? { requestId: context.requestId } : {}),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value, level === 'error');
+  }
+  // 按级别写入 stdout / stderr，Vercel 据此区分日志级别
+  const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  output(JSON.stringify(entry));
+}
+
+/**
+ * Writes one JSON line per call: `{ time, level, msg, requestId, ...fields }`.
+ * Errors in `fields` are reduced to their name, message, upstream status
+ * and (at `error` level) stack. Keep fields small: log counts, not ID lists
+ * or upstream payloads.
+ */
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
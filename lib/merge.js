@@ -0,0 +1,159 @@
+// lib/merge.js
+// PubMed 记录与其 PMC 副本的合并规则，/api/papers、/api/paper/[id]、检索的 include=records 等路由共用。
+// 每组字段按 PAPER_MERGE_PRECEDENCE 取 PubMed、PMC 或信息更多的一方，并记录来源和两边不一致的字段
+import { logger } from './log.js';
+
+export const MERGE_SOURCES = ['pubmed', 'pmc', 'richer'];
+
+// 只比较字母和数字，忽略大小写、标点和空白的差异
+const normalize = value => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const differs = (a, b) => a !== '' && b !== '' && a !== b;
+const firstPage = pages => normalize(String(pages || '').split('-')[0]);
+
+/**
+ * The field groups merged from a PMC copy. `fields` are the record fields
+ * taken together from one source (deprecated fields follow the field they
+ * are derived from); `richness` ranks how much a source has, compared
+ * element by element; `conflicts` says whether both sources have a value
+ * and the values disagree.
+ */
+export const MERGE_FIELDS = {
+  title: {
+    fields: ['title'],
+    isEmpty: record => !record.title,
+    richness: record => [record.title.length],
+    conflicts: (a, b) => differs(normalize(a.title), normalize(b.title)),
+  },
+  abstract: {
+    fields: ['abstract', 'abstractSections', 'articletitle'],
+    isEmpty: record => !record.abstract,
+    // 带标签的结构化摘要优先于拆成段落的摘要
+    richness: record => [record.abstractSections.filter(section => section.label).length, record.abstract.length],
+    conflicts: (a, b) => differs(
+      normalize(a.abstractSections.map(section => section.text).join(' ')),
+      normalize(b.abstractSections.map(section => section.text).join(' ')),
+    ),
+  },
+  authors: {
+    fields: ['authorList', 'affiliations', 'sortfirstauthor', 'authors', 'authorsArray'],
+    isEmpty: record => record.authorList.length === 0,
+    richness: record => [
+      record.authorList.length,
+      record.authorList.filter(author => author.orcid).length,
+      record.authorList.filter(author => author.affiliations.length > 0).length,
+    ],
+    conflicts: (a, b) => differs(
+      a.authorList.map(author => normalize(author.family || author.collective)).join('|'),
+      b.authorList.map(author => normalize(author.family || author.collective)).join('|'),
+    ),
+  },
+  journal: {
+    fields: ['journal', 'source'],
+    isEmpty: record => !record.journal.title && !record.journal.volume,
+    richness: record => [Object.values(record.journal).filter(Boolean).length],
+    // 印刷版和电子版的 ISSN、页码的缩写写法（149-57）不算冲突
+    conflicts: (a, b) => differs(normalize(a.journal.volume), normalize(b.journal.volume))
+      || differs(normalize(a.journal.issue), normalize(b.journal.issue))
+      || differs(firstPage(a.journal.pages), firstPage(b.journal.pages)),
+  },
+  published: {
+    fields: ['published', 'pubdate'],
+    isEmpty: record => !record.published.year,
+    richness: record => [[record.published.year, record.published.month, record.published.day].filter(Boolean).length],
+    // 电子版和印刷版的日期本来就不同，只有年份不同才算冲突
+    conflicts: (a, b) => differs(a.published.year, b.published.year),
+  },
+};
+
+/**
+ * Fields only a PMC record has (licence, the hint derived from it and the
+ * PDF link); a merged record always takes them from the PMC copy.
+ */
+export const PMC_ONLY_FIELDS = ['pdfUrl', 'licenseHint', 'oaStatus', 'license'];
+
+let parsedPrecedence = { raw: undefined, precedence: null };
+
+/**
+ * The source each field group is taken from: the defaults (`richer`)
+ * overridden by PAPER_MERGE_PRECEDENCE, e.g. `abstract=pubmed,title=pmc`.
+ * Unknown groups or sources are logged and ignored.
+ */
+export function mergePrecedence() {
+  const raw = process.env.PAPER_MERGE_PRECEDENCE || '';
+  if (parsedPrecedence.raw === raw) {
+    return parsedPrecedence.precedence;
+  }
+  const precedence = Object.fromEntries(Object.keys(MERGE_FIELDS).map(group => [group, 'richer']));
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [group, source] = entry.split('=').map(part => part.trim());
+    if (MERGE_FIELDS[group] && MERGE_SOURCES.includes(source)) {
+      precedence[group] = source;
+    } else {
+      logger.warn('Ignoring invalid PAPER_MERGE_PRECEDENCE entry', { entry, groups: Object.keys(MERGE_FIELDS), sources: MERGE_SOURCES });
+    }
+  }
+  parsedPrecedence = { raw, precedence };
+  return precedence;
+}
+
+// 逐项比较 richness，a 更多时为正数
+function compareRichness(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+// 一方为空时总是取另一方；richer 在两边一样多时取 PubMed
+function chooseSource(rule, pubmed, pmc, preferred) {
+  if (rule.isEmpty(pmc)) {
+    return 'pubmed';
+  }
+  if (rule.isEmpty(pubmed)) {
+    return 'pmc';
+  }
+  if (preferred !== 'richer') {
+    return preferred;
+  }
+  return compareRichness(rule.richness(pmc), rule.richness(pubmed)) > 0 ? 'pmc' : 'pubmed';
+}
+
+/**
+ * `provenance` and `conflicts` of a record that was not merged (a PMC
+ * record, or a PubMed record without a PMC copy): every field group and
+ * PMC-only field is attributed to `db`, and nothing conflicts.
+ */
+export function unmergedProvenance(db) {
+  const provenance = Object.fromEntries([...Object.keys(MERGE_FIELDS), ...PMC_ONLY_FIELDS].map(group => [group, db]));
+  return { provenance, conflicts: [] };
+}
+
+/**
+ * Merges the PMC copy into a PubMed record following `precedence` (see
+ * mergePrecedence). The result is the PubMed record plus `provenance`, the
+ * source of each field group and of the PMC-only fields, and `conflicts`,
+ * the groups where both sources had a value and they disagree.
+ */
+export function mergePmcCopy(pubmed, pmc, precedence = mergePrecedence()) {
+  const merged = { ...pubmed };
+  const provenance = {};
+  const conflicts = [];
+  for (const [group, rule] of Object.entries(MERGE_FIELDS)) {
+    const source = chooseSource(rule, pubmed, pmc, precedence[group]);
+    const record = source === 'pmc' ? pmc : pubmed;
+    for (const field of rule.fields) {
+      merged[field] = record[field];
+    }
+    provenance[group] = source;
+    if (rule.conflicts(pubmed, pmc)) {
+      conflicts.push(group);
+    }
+  }
+  for (const field of PMC_ONLY_FIELDS) {
+    merged[field] = pmc[field];
+    provenance[field] = 'pmc';
+  }
+  return { ...merged, provenance, conflicts };
+}
@@ -0,0 +1,187 @@
+// lib/mesh.js
+// MeSH 主题词表：通过 mesh 数据库的 ESummary 查询主题词的定义、入口词和树号，
+// 浏览上下位词，并把自由文本的概念扩展为主题词加入口词的检索式
+import { esearch, esummary } from './eutils.js';
+import { cacheGet, cacheSet, meshKey, meshTermKey, PAPER_TTL } from './cache.js';
+
+// 扩展检索式中最多使用的入口词数量，避免检索式过长
+const MAX_EXPANSION_TERMS = 20;
+
+// 只处理主题词（D 开头），不包括副主题词（Q）和补充概念（C）
+const isDescriptor = doc => /^D\d+$/.test(doc?.ds_meshui || '');
+
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// ds_idxlinks 中每个树号一项：{ parent, treenum, children }，parent 和 children 是 mesh 数据库的 UID
+function toEntry(doc) {
+  const terms = doc.ds_meshterms || [];
+  const tree = (doc.ds_idxlinks || []).map(link => ({
+    treeNumber: link.treenum || '',
+    parent: link.parent ? String(link.parent) : '',
+    children: (link.children || []).map(String),
+  }));
+  return {
+    descriptor: {
+      uid: String(doc.uid),
+      ui: doc.ds_meshui,
+      heading: terms[0] || '',
+      scopeNote: (doc.ds_scopenote || '').trim(),
+      entryTerms: terms.slice(1),
+      treeNumbers: tree.map(link => link.treeNumber).filter(Boolean),
+    },
+    tree,
+  };
+}
+
+/**
+ * Resolves with `{ entries, hit }`: `{ descriptor, tree }` for each MeSH UID
+ * that is a descriptor, keyed by UID, and whether all of them came from the
+ * cache. Entries are cached like paper records.
+ */
+async function fetchEntries(uids) {
+  const entries = {};
+  const missing = [];
+  for (const uid of uids) {
+    const cached = await cacheGet(meshKey(uid));
+    if (cached) {
+      entries[uid] = cached;
+    } else {
+      missing.push(uid);
+    }
+  }
+  if (missing.length > 0) {
+    const summaries = await esummary({ db: 'mesh', id: missing.join(',') });
+    for (const uid of summaries.uids || []) {
+      if (!isDescriptor(summaries[uid])) continue;
+      entries[uid] = toEntry(summaries[uid]);
+      await cacheSet(meshKey(uid), entries[uid], PAPER_TTL);
+    }
+  }
+  return { entries, hit: missing.length === 0 };
+}
+
+// MeSH UI（D064113）、mesh 数据库的 UID（68064113）或主题词 / 入口词 -> { uid, hit }；找不到时 uid 为 null
+async function resolveUid(id) {
+  const text = String(id).trim();
+  if (/^\d+$/.test(text)) {
+    return { uid: text, hit: true };
+  }
+  const cacheKey = meshTermKey(text);
+  const cached = await cacheGet(cacheKey);
+  if (cached) {
+    return { uid: cached.uid, hit: true };
+  }
+
+  const isUi = /^D\d+$/i.test(text);
+  const result = await esearch({ db: 'mesh', term: isUi ? text.toUpperCase() : `"${text.replace(/"/g, '')}"[MeSH Terms]`, retmax: 20 });
+  const ids = result.idlist || [];
+  let uid = null;
+  if (ids.length > 0) {
+    const { entries } = await fetchEntries(ids);
+    const descriptors = ids.map(candidate => entries[candidate]?.descriptor).filter(Boolean);
+    // 优先选择 UI、主题词或入口词与输入完全相同的主题词
+    const exact = descriptors.find(descriptor => (isUi
+      ? sameText(descriptor.ui, text)
+      : [descriptor.heading, ...descriptor.entryTerms].some(term => sameText(term, text))));
+    uid = (exact || (isUi ? null : descriptors[0]))?.uid || null;
+  }
+  await cacheSet(cacheKey, { uid }, PAPER_TTL);
+  return { uid, hit: false };
+}
+
+const cacheStatus = (...hits) => (hits.every(Boolean) ? 'HIT' : 'MISS');
+
+/**
+ * Looks up one MeSH descriptor by UI (`D064113`), mesh UID (`68064113`),
+ * heading or entry term. Resolves with `{ descriptor, cacheStatus }`, where
+ * `descriptor` is `{ uid, ui, heading, scopeNote, entryTerms, treeNumbers }`
+ * or null when there is no such descriptor.
+ */
+export async function lookupDescriptor(id) {
+  const resolved = await resolveUid(id);
+  if (!resolved.uid) {
+    return { descriptor: null, cacheStatus: cacheStatus(resolved.hit) };
+  }
+  const { entries, hit } = await fetchEntries([resolved.uid]);
+  return { descriptor: entries[resolved.uid]?.descriptor || null, cacheStatus: cacheStatus(resolved.hit, hit) };
+}
+
+// 树号去掉最后一段即为上位词的树号
+const parentTreeNumber = treeNumber => treeNumber.split('.').slice(0, -1).join('.');
+
+/**
+ * The descriptor with its broader and narrower descriptors, one item per
+ * tree position: `{ descriptor, parents, children, cacheStatus }`, where
+ * each related item is `{ uid, ui, heading, treeNumber }`. Top-level
+ * descriptors (e.g. `E05`) have no parents. Resolves with null for an
+ * unknown descriptor.
+ */
+export async function browseDescriptor(id) {
+  const resolved = await resolveUid(id);
+  if (!resolved.uid) {
+    return null;
+  }
+  const own = await fetchEntries([resolved.uid]);
+  const entry = own.entries[resolved.uid];
+  if (!entry) {
+    return null;
+  }
+
+  const relatedUids = [...new Set(entry.tree.flatMap(link => [link.parent, ...link.children]).filter(Boolean))];
+  const { entries: related, hit } = await fetchEntries(relatedUids);
+  const item = (relatedUid, treeNumber) => {
+    const descriptor = related[relatedUid]?.descriptor;
+    return descriptor ? [{ uid: descriptor.uid, ui: descriptor.ui, heading: descriptor.heading, treeNumber }] : [];
+  };
+
+  const parents = entry.tree.flatMap(link => (link.parent ? item(link.parent, parentTreeNumber(link.treeNumber)) : []));
+  // 下位词的树号取其位于本树号之下的那一个
+  const children = entry.tree.flatMap(link => link.children.flatMap(childUid => {
+    const childTree = related[childUid]?.tree || [];
+    const position = childTree.find(child => parentTreeNumber(child.treeNumber) === link.treeNumber);
+    return item(childUid, position?.treeNumber || '');
+  }));
+  return { descriptor: entry.descriptor, parents, children, cacheStatus: cacheStatus(resolved.hit, own.hit, hit) };
+}
+
+// 只扩展单纯的概念：不含字段标签、引号、括号、通配符或布尔运算符
+function isPlainConcept(text) {
+  return /^[\p{L}\p{N}\s',.-]+$/u.test(text) && !/\b(AND|OR|NOT)\b/.test(text);
+}
+
+// 去掉形如 "Editing, Gene" 的倒装入口词，它们与正序的写法检索结果相同
+function expansionTerms(descriptor) {
+  const seen = new Set();
+  return [descriptor.heading, ...descriptor.entryTerms]
+    .filter(term => !term.includes(', '))
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_EXPANSION_TERMS);
+}
+
+/**
+ * Rewrites a free-text concept as its MeSH heading plus entry terms:
+ * `("Gene Editing"[mh] OR "Gene Editing"[tiab] OR "Genome Editing"[tiab])`.
+ * Only applies when the concept is a descriptor's heading or one of its
+ * entry terms. Resolves with `{ concept, applied, query, ui, heading,
+ * terms }`; when nothing was applied `query` is the concept unchanged and
+ * `reason` says why.
+ */
+export async function expandConcept(concept) {
+  const text = String(concept).trim().replace(/\s+/g, ' ');
+  if (!isPlainConcept(text)) {
+    return { concept: text, applied: false, query: text, reason: 'Only plain concepts without field tags, quotes or operators are expanded' };
+  }
+  const { descriptor } = await lookupDescriptor(text);
+  if (!descriptor || ![descriptor.heading, ...descriptor.entryTerms].some(term => sameText(term, text))) {
+    return { concept: text, applied: false, query: text, reason: 'No MeSH descriptor has this heading or entry term' };
+  }
+
+  const terms = expansionTerms(descriptor);
+  const query = `("${descriptor.heading}"[mh] OR ${terms.map(term => `"${term}"[tiab]`).join(' OR ')})`;
+  return { concept: text, applied: true, query, ui: descriptor.ui, heading: descriptor.heading, terms };
+}
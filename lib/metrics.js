@@ -0,0 +1,131 @@
+// lib/metrics.js
+// 进程内的 Prometheus 指标：接口请求数与耗时、NCBI 各服务的调用耗时与错误、缓存命中，
+// 由 /api/metrics 以文本格式输出。每个进程（每个 Vercel 实例）各自计数
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const names = Object.keys(all);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(all[name])}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, seconds) {
+    const key = labelKey(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry.counts[i]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(labels, { le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const httpRequests = new Counter('http_requests_total', 'API requests by route, method and status');
+const httpDuration = new Histogram('http_request_duration_seconds', 'API request latency by route and method', HTTP_BUCKETS);
+const upstreamRequests = new Counter('ncbi_requests_total', 'Calls to NCBI by service and outcome (HTTP status, or the error code when no response arrived)');
+const upstreamErrors = new Counter('ncbi_request_errors_total', 'Failed calls to NCBI by service, including ones that were retried');
+const upstreamDuration = new Histogram('ncbi_request_duration_seconds', 'NCBI call latency by service', UPSTREAM_BUCKETS);
+const cacheLookups = new Counter('cache_lookups_total', 'Cache lookups by cache and result (hit or miss)');
+
+const METRICS = [httpRequests, httpDuration, upstreamRequests, upstreamErrors, upstreamDuration, cacheLookups];
+
+/**
+ * Records one finished API request. `route` is the route template, e.g.
+ * `/api/paper/{id}`, never the raw path, so the label set stays bounded.
+ */
+export function observeHttpRequest({ route, method, status, seconds }) {
+  httpRequests.inc({ route, method, status });
+  httpDuration.observe({ route, method }, seconds);
+}
+
+/**
+ * Records one attempt at an NCBI call. `outcome` is the HTTP status, or the
+ * error code (e.g. `ECONNABORTED`) when no response arrived.
+ */
+export function observeUpstream({ utility, outcome, failed, seconds }) {
+  upstreamRequests.inc({ utility, outcome });
+  if (failed) upstreamErrors.inc({ utility });
+  upstreamDuration.observe({ utility }, seconds);
+}
+
+export function observeCache(cache, hit) {
+  cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * All metrics in the Prometheus text exposition format (version 0.0.4).
+ */
+export function renderMetrics() {
+  const memory = process.memoryUsage();
+  const lines = METRICS.flatMap(metric => metric.render());
+  lines.push(
+    '# HELP process_uptime_seconds Seconds since the process started',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`,
+    '# HELP process_resident_memory_bytes Resident memory size in bytes',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`,
+    '# HELP nodejs_heap_used_bytes V8 heap in use in bytes',
+    '# TYPE nodejs_heap_used_bytes gauge',
+    `nodejs_heap_used_bytes ${memory.heapUsed}`,
+  );
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,161 @@
+// lib/oa.js
+// PMC Open Access Web Service：查询文章是否属于开放获取子集、许可证和真实的 PDF / 压缩包地址，
+// 并把这些文件以流的形式转发给前端（支持 Range）
+import axios from 'axios';
+import { JSDOM } from 'jsdom';
+import { countUpstreamCall, ncbiRequest, EutilsError } from './eutils.js';
+import { observeUpstream } from './metrics.js';
+import { cacheControl, cacheGet, cacheSet, oaKey, PAPER_TTL } from './cache.js';
+
+// 可用 NCBI_OA_URL 指向其他服务器，例如测试用的假服务
+export const OA_SERVICE_URL = 'https://www.ncbi.nlm.nih.gov/pmc/utils/oa/oa.fcgi';
+
+// 文章图片等文件所在的 PMC 网站，同样可用 NCBI_PMC_ARTICLES_URL 指向测试用的假服务
+export const PMC_ARTICLES_URL = 'https://www.ncbi.nlm.nih.gov/pmc/articles';
+
+// /api/paper/{id}/asset 可以转发的文件名：文章 bin/ 目录下的图片，不含路径
+export const ASSET_NAME_PATTERN = '^[\\w-][\\w.-]*\\.(jpe?g|JPE?G|png|PNG|gif|GIF|tiff?|TIFF?|svg|SVG)$';
+
+// 只转发这些上游响应头
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// OA 服务返回的是 ftp:// 地址，同一路径也可以通过 HTTPS 访问
+function httpsUrl(href) {
+  return (href || '').replace(/^ftp:\/\/ftp\.ncbi\.nlm\.nih\.gov\//i, 'https://ftp.ncbi.nlm.nih.gov/');
+}
+
+/**
+ * Looks a PMCID up in the PMC OA service. Resolves with
+ * `{ pmcid, oaStatus, license, retracted, links: { pdf, tgz }, reason }`
+ * where `oaStatus` is `open_access`, `not_open_access` or `not_in_pmc`.
+ */
+export async function fetchOaRecord(pmcid) {
+  const cached = await cacheGet(oaKey(pmcid));
+  if (cached) {
+    return cached;
+  }
+
+  const xml = await ncbiRequest('oa', process.env.NCBI_OA_URL || OA_SERVICE_URL, { id: `PMC${pmcid}` }, { responseType: 'text' });
+  const doc = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+
+  const result = { pmcid, oaStatus: 'not_in_pmc', license: '', retracted: false, links: {}, reason: '' };
+  const error = doc.querySelector('error');
+  const record = doc.querySelector('record');
+  if (error) {
+    const code = error.getAttribute('code') || '';
+    result.oaStatus = code === 'idIsNotOpenAccess' ? 'not_open_access' : 'not_in_pmc';
+    result.reason = (error.textContent || code).trim();
+  } else if (record) {
+    result.oaStatus = 'open_access';
+    result.license = record.getAttribute('license') || '';
+    result.retracted = record.getAttribute('retracted') === 'yes';
+    for (const link of Array.from(record.querySelectorAll('link'))) {
+      result.links[link.getAttribute('format')] = httpsUrl(link.getAttribute('href'));
+    }
+  } else {
+    throw new EutilsError('PMC OA service returned an unexpected payload', { utility: 'oa', details: xml });
+  }
+
+  await cacheSet(oaKey(pmcid), result, PAPER_TTL);
+  return result;
+}
+
+/**
+ * Upstream URL of a figure or supplementary image in an article's PMC
+ * `bin/` folder. `name` must be a plain file name, never a path.
+ */
+export function assetUrl(pmcid, name) {
+  const base = (process.env.NCBI_PMC_ARTICLES_URL || PMC_ARTICLES_URL).replace(/\/$/, '');
+  return `${base}/PMC${pmcid}/bin/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Streams `url` to the client. The client's Range header is forwarded and
+ * 200 / 206 / 416 are passed through with their content headers, so PDF
+ * viewers can load the file in chunks. `filename` sets an inline
+ * Content-Disposition. With `accept` (a RegExp), a response whose
+ * Content-Type does not match is dropped with a 502 EutilsError instead of
+ * being served from this origin.
+ */
+export async function proxyFile(req, res, url, { filename, contentType, accept } = {}) {
+  const headers = countUpstreamCall();
+  if (req.headers.range) headers.Range = req.headers.range;
+  if (req.headers['if-range']) headers['If-Range'] = req.headers['if-range'];
+
+  let upstream;
+  const startedAt = process.hrtime.bigint();
+  try {
+    upstream = await axios.get(url, {
+      headers,
+      responseType: 'stream',
+      timeout: parseInt(process.env.NCBI_TIMEOUT_MS, 10) || 30000,
+      maxRedirects: 5,
+      validateStatus: status => status === 200 || status === 206 || status === 416,
+    });
+  } catch (error) {
+    const status = error.response?.status || 0;
+    error.response?.data?.destroy?.();
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    observeUpstream({ utility: 'pmc-asset', outcome: status ? String(status) : error.code || 'error', failed: true, seconds });
+    throw new EutilsError(status ? `Asset download returned HTTP ${status}` : `No response from asset server: ${error.message}`, {
+      utility: 'pmc-asset',
+      status,
+      code: error.code || '',
+      details: url,
+    });
+  }
+
+  // PMC 网站可能用 200 返回 HTML（如机器人验证页），不能当作文件从本服务的源转发
+  const upstreamType = String(upstream.headers['content-type'] || '');
+  if (accept && upstream.status !== 416 && !accept.test(upstreamType)) {
+    upstream.data.destroy();
+    observeUpstream({ utility: 'pmc-asset', outcome: 'unexpected_type', failed: true, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9 });
+    throw new EutilsError(`Asset server returned ${upstreamType || 'no Content-Type'} instead of the expected file`, {
+      utility: 'pmc-asset',
+      status: 502,
+      details: url,
+    });
+  }
+
+  // 只计到响应头到达为止，文件传输时间取决于客户端
+  observeUpstream({ utility: 'pmc-asset', outcome: String(upstream.status), failed: false, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9 });
+
+  for (const name of PASSTHROUGH_HEADERS) {
+    if (upstream.headers[name]) res.setHeader(name, upstream.headers[name]);
+  }
+  if (contentType) res.setHeader('Content-Type', contentType);
+  if (!upstream.headers['accept-ranges']) res.setHeader('Accept-Ranges', 'bytes');
+  if (filename) res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', cacheControl(req, PAPER_TTL, { revalidate: false }));
+  res.statusCode = upstream.status;
+
+  await new Promise((resolve, reject) => {
+    upstream.data.on('error', reject);
+    res.on('close', () => {
+      upstream.data.destroy();
+      resolve();
+    });
+    upstream.data.pipe(res);
+    upstream.data.on('end', resolve);
+  });
+}
+
+/**
+ * Sends the 404 / 403 for an article whose files must not be proxied.
+ * Returns true when a response was sent.
+ */
+export function refuseNonOpenAccess(res, record) {
+  if (record.oaStatus === 'not_in_pmc') {
+    res.status(404).json({ error: 'Article is not in PMC.', details: record.reason });
+    return true;
+  }
+  if (record.oaStatus === 'not_open_access') {
+    res.status(403).json({
+      error: 'Article is not in the PMC Open Access subset; its files cannot be redistributed.',
+      reason: record.reason,
+      oaStatus: record.oaStatus,
+    });
+    return true;
+  }
+  return false;
+}
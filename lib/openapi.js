@@ -0,0 +1,1179 @@
+// lib/openapi.js
+// 所有路由的 OpenAPI 3 描述，由 /api/openapi.json 提供给前端生成类型化客户端；
+// 处理函数用同一份 schema 校验请求参数，开发环境下还会校验响应
+import { coerceParameter, validateSchema } from './schema.js';
+import { logger } from './log.js';
+import { BULK_FORMATS } from './bulk.js';
+import { CITATION_FORMATS } from './citation.js';
+import { FEED_FORMATS } from './feed.js';
+import { LINK_TYPES } from './links.js';
+import { QUERY_FIELDS, RETRACTED_OPTIONS, SORT_OPTIONS } from './query.js';
+import { MIN_PREFIX, SUGGESTION_TYPES } from './suggest.js';
+import { RECORD_SCHEMA_VERSION } from './parser.js';
+import { DATABASE_NAMES } from './databases.js';
+import { FACET_NAMES } from './facets.js';
+import { MERGE_FIELDS, PMC_ONLY_FIELDS } from './merge.js';
+import { ASSET_NAME_PATTERN } from './oa.js';
+
+export const API_VERSION = '1.0.0';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+// 一次 /api/papers 请求最多的 ID 数，与 /api/bulk 的上限相同
+const MAX_PAPER_IDS = 10000;
+// 论文类数据库；检索和 /api/papers 还支持 lib/databases.js 中的其他数据库
+const DATABASES = ['pubmed', 'pmc'];
+const SUMMARY_RECORDS = ['GeneRecord', 'SequenceRecord', 'ClinVarRecord', 'BookRecord'].map(ref);
+
+const AUTHOR = {
+  type: 'object',
+  required: ['name', 'family', 'given', 'initials', 'collective', 'orcid', 'affiliations'],
+  properties: {
+    name: string('Display name, "Given Family" or the group name'),
+    family: string(''),
+    given: string(''),
+    initials: string(''),
+    collective: string('Group author name; family and given are empty'),
+    orcid: string('Bare ORCID iD, e.g. 0000-0002-1825-0097'),
+    affiliations: arrayOf({ type: 'string' }),
+  },
+};
+
+const PAPER_PROPERTIES = {
+  schemaVersion: integer(`Record layout version, currently ${RECORD_SCHEMA_VERSION}`),
+  db: string('Database the record was parsed from', { enum: DATABASES }),
+  uid: string('PMID, kept for older clients'),
+  pmid: string(''),
+  pmcid: string('Without the PMC prefix'),
+  doi: string(''),
+  title: string(''),
+  abstract: string("Flattened abstract, '' when there is none"),
+  abstractSections: arrayOf({
+    type: 'object',
+    properties: { label: string(''), category: string(''), text: string('') },
+  }),
+  authorList: arrayOf(ref('Author')),
+  affiliations: arrayOf({ type: 'string' }),
+  journal: {
+    type: 'object',
+    properties: {
+      title: string(''),
+      isoAbbreviation: string(''),
+      issn: string(''),
+      volume: string(''),
+      issue: string(''),
+      pages: string(''),
+    },
+  },
+  published: ref('PublicationDate'),
+  language: string(''),
+  keywords: arrayOf({ type: 'string' }),
+  mesh: arrayOf({
+    type: 'object',
+    properties: {
+      descriptor: string(''),
+      ui: string(''),
+      majorTopic: { type: 'boolean' },
+      qualifiers: arrayOf({ type: 'string' }),
+    },
+  }),
+  publicationTypes: arrayOf({ type: 'string' }),
+  grants: arrayOf({ type: 'object', properties: { id: string(''), agency: string(''), country: string('') } }),
+  notices: arrayOf(ref('Notice'), { description: 'Retractions, errata and expressions of concern linked in PubMed; always empty for PMC records' }),
+  pdfUrl: string("PDF link stated in the PMC article, '' when there is none"),
+  licenseHint: string('What the licence in the PMC article XML suggests; /api/paper/{id}/oa has the OA-subset status', { enum: ['open_access', 'not_open_access', 'not_in_pmc', 'unknown'] }),
+  license: string('Normalised licence, e.g. "CC BY"'),
+  articletitle: string('Deprecated: abstract with a placeholder when empty'),
+  sortfirstauthor: string('Deprecated: first author display name'),
+  authors: string('Deprecated: comma-separated display names'),
+  authorsArray: arrayOf({ type: 'string' }, { description: 'Deprecated: display names' }),
+  source: string('Deprecated: journal name as shown in lists'),
+  pubdate: string('Deprecated: same as published.iso'),
+  oaStatus: string('Deprecated: same as licenseHint', { enum: ['open_access', 'not_open_access', 'not_in_pmc', 'unknown'] }),
+  provenance: {
+    type: 'object',
+    description: 'The source of each field group; a record that was not merged with a PMC copy has a single source',
+    properties: Object.fromEntries([...Object.keys(MERGE_FIELDS), ...PMC_ONLY_FIELDS].map(group => [group, string('', { enum: ['pubmed', 'pmc'] })])),
+  },
+  conflicts: arrayOf({ type: 'string', enum: Object.keys(MERGE_FIELDS) }, { description: 'Field groups where PubMed and its PMC copy disagree; empty when the record was not merged' }),
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: string('Human-readable summary'),
+      details: { description: 'Upstream message, or the list of validation problems' },
+      reason: string('Why open-access content was refused'),
+      upstream: {
+        type: 'object',
+        description: 'Present when an NCBI service failed',
+        properties: { utility: string(''), status: { type: 'integer' }, code: string('') },
+      },
+    },
+  },
+  Author: AUTHOR,
+  Notice: {
+    type: 'object',
+    required: ['type', 'pmid', 'source'],
+    properties: {
+      type: string('', { enum: ['retraction', 'erratum', 'expression_of_concern'] }),
+      pmid: string("PMID of the notice, '' when PubMed does not link one"),
+      source: string('Citation of the notice'),
+    },
+  },
+  PublicationDate: {
+    type: 'object',
+    required: ['year', 'month', 'day', 'iso', 'raw'],
+    properties: {
+      year: string(''),
+      month: string("Two digits or ''"),
+      day: string("Two digits or ''"),
+      iso: string('YYYY-MM-DD, YYYY-MM or YYYY'),
+      raw: string('The date as printed, e.g. "2019 Nov-Dec"'),
+    },
+  },
+  PaperRecord: {
+    type: 'object',
+    required: ['schemaVersion', 'db', 'uid', 'pmid', 'pmcid', 'doi', 'title', 'abstract', 'authorList', 'journal', 'published', 'pdfUrl', 'licenseHint', 'oaStatus', 'license'],
+    properties: PAPER_PROPERTIES,
+  },
+  PartialPaperRecord: {
+    type: 'object',
+    description: 'A PaperRecord, or only the properties listed in fields=',
+    properties: PAPER_PROPERTIES,
+  },
+  // 非论文数据库的记录由 ESummary 解析，字段见 lib/databases.js
+  GeneRecord: {
+    type: 'object',
+    required: ['db'],
+    properties: {
+      db: string('', { enum: ['gene'] }),
+      uid: string('Gene ID'),
+      symbol: string(''),
+      description: string(''),
+      aliases: arrayOf({ type: 'string' }),
+      organism: {
+        type: 'object',
+        properties: { scientificName: string(''), commonName: string(''), taxId: string('') },
+      },
+      chromosome: string(''),
+      mapLocation: string(''),
+      summary: string(''),
+      locations: arrayOf({
+        type: 'object',
+        properties: { accession: string(''), start: integer('1-based', { nullable: true }), stop: integer('1-based', { nullable: true }) },
+      }),
+      status: string('', { enum: ['live', 'secondary', 'discontinued'] }),
+    },
+  },
+  SequenceRecord: {
+    type: 'object',
+    required: ['db'],
+    properties: {
+      db: string('', { enum: ['protein', 'nuccore'] }),
+      uid: string('GI number'),
+      accession: string('Accession with version, e.g. NM_000546.6'),
+      title: string(''),
+      organism: { type: 'object', properties: { scientificName: string(''), taxId: string('') } },
+      length: integer('Residues or base pairs', { nullable: true }),
+      moleculeType: string('e.g. aa, mRNA, DNA'),
+      topology: string(''),
+      sourceDb: string('e.g. refseq, insd'),
+      created: string('YYYY/MM/DD'),
+      updated: string('YYYY/MM/DD'),
+    },
+  },
+  ClinVarRecord: {
+    type: 'object',
+    required: ['db'],
+    properties: {
+      db: string('', { enum: ['clinvar'] }),
+      uid: string('Variation ID'),
+      accession: string('VCV accession'),
+      title: string(''),
+      variationType: string(''),
+      classification: {
+        type: 'object',
+        description: 'Germline classification',
+        properties: { description: string('e.g. Pathogenic'), reviewStatus: string(''), lastEvaluated: string('') },
+      },
+      conditions: arrayOf({ type: 'string' }),
+      genes: arrayOf({ type: 'object', properties: { symbol: string(''), geneId: string('') } }),
+      proteinChange: string(''),
+      locations: arrayOf({
+        type: 'object',
+        properties: {
+          assembly: string(''),
+          chromosome: string(''),
+          start: integer('', { nullable: true }),
+          stop: integer('', { nullable: true }),
+        },
+      }),
+    },
+  },
+  BookRecord: {
+    type: 'object',
+    required: ['db'],
+    properties: {
+      db: string('', { enum: ['books'] }),
+      uid: string(''),
+      accession: string('Bookshelf accession, e.g. NBK1116'),
+      title: string('Chapter or book title'),
+      book: string("Title of the book a chapter belongs to; '' for whole books"),
+      authors: arrayOf({ type: 'string' }),
+      publisher: string(''),
+      published: string(''),
+    },
+  },
+  SearchPage: {
+    type: 'object',
+    required: ['ids', 'total', 'retstart', 'retmax', 'query', 'querytranslation', 'sort'],
+    properties: {
+      ids: arrayOf({ type: 'string' }),
+      total: integer('Number of hits'),
+      retstart: integer(''),
+      retmax: integer(''),
+      query: string('Entrez term compiled from the parameters'),
+      querytranslation: string("NCBI's interpretation of the term"),
+      sort: string(''),
+      didYouMean: string('ESpell correction of the query; only on the first page of searches with few hits'),
+      expansion: ref('MeshExpansion'),
+      retracted: {
+        type: 'object',
+        required: ['total', 'ids'],
+        description: 'With retracted=flag: retracted publications in the whole result set and on this page',
+        properties: {
+          total: integer('Retracted publications in the whole result set'),
+          ids: arrayOf({ type: 'string' }, { description: 'IDs on this page that are retracted' }),
+        },
+      },
+      facets: {
+        type: 'object',
+        description: 'With facets=: counts over the whole result set, one list per requested facet',
+        additionalProperties: arrayOf(ref('FacetValue')),
+      },
+      summaries: arrayOf({ type: 'object', description: 'ESummary document' }, { description: 'With include=summaries' }),
+      records: arrayOf({ oneOf: [ref('PartialPaperRecord'), ...SUMMARY_RECORDS] }, { description: 'With include=records' }),
+    },
+  },
+  FacetValue: {
+    type: 'object',
+    required: ['value', 'label', 'count', 'params'],
+    properties: {
+      value: string(''),
+      label: string('e.g. the full journal name'),
+      count: integer('Hits in the whole result set'),
+      params: { type: 'object', description: 'Search parameters that select this value, e.g. {"pubtype":"Review"}' },
+    },
+  },
+  MeshDescriptor: {
+    type: 'object',
+    required: ['uid', 'ui', 'heading', 'scopeNote', 'entryTerms', 'treeNumbers'],
+    properties: {
+      uid: string('UID in the mesh database'),
+      ui: string('MeSH unique ID, e.g. D064113'),
+      heading: string('Preferred term'),
+      scopeNote: string(''),
+      entryTerms: arrayOf({ type: 'string' }, { description: 'Synonyms and variants that map to the heading' }),
+      treeNumbers: arrayOf({ type: 'string' }, { description: 'Positions in the MeSH trees, e.g. E05.393.350.500' }),
+    },
+  },
+  MeshTree: {
+    type: 'object',
+    required: ['descriptor', 'parents', 'children'],
+    properties: {
+      descriptor: ref('MeshDescriptor'),
+      parents: arrayOf(ref('MeshTreeItem'), { description: 'One broader descriptor per tree number; empty at the top of a tree' }),
+      children: arrayOf(ref('MeshTreeItem'), { description: 'Narrower descriptors under every tree number' }),
+    },
+  },
+  MeshTreeItem: {
+    type: 'object',
+    required: ['uid', 'ui', 'heading', 'treeNumber'],
+    properties: {
+      uid: string(''),
+      ui: string(''),
+      heading: string(''),
+      treeNumber: string('Tree number of this item'),
+    },
+  },
+  MeshExpansion: {
+    type: 'object',
+    description: 'With expand=mesh: how the term was rewritten',
+    required: ['concept', 'applied', 'query'],
+    properties: {
+      concept: string('The term as given'),
+      applied: { type: 'boolean' },
+      query: string('The term that was searched in its place'),
+      ui: string('Descriptor used'),
+      heading: string(''),
+      terms: arrayOf({ type: 'string' }, { description: 'Heading and entry terms searched in title and abstract' }),
+      reason: string('Why nothing was applied'),
+    },
+  },
+  SpellResult: {
+    type: 'object',
+    required: ['query', 'corrected'],
+    properties: {
+      query: string(''),
+      corrected: string("ESpell's correction, '' when it has none"),
+    },
+  },
+  Autocomplete: {
+    type: 'object',
+    required: ['q', 'suggestions'],
+    properties: {
+      q: string(''),
+      suggestions: arrayOf({
+        type: 'object',
+        required: ['type', 'field', 'value', 'label', 'id'],
+        properties: {
+          type: string('', { enum: SUGGESTION_TYPES }),
+          field: string('The /api/search parameter value belongs in'),
+          value: string('MeSH preferred term, journal abbreviation or author name'),
+          label: string('Text to show, e.g. "Editing, Gene → Gene Editing" for a MeSH entry term'),
+          id: string('MeSH unique ID or ISSN, when there is one'),
+        },
+      }),
+    },
+  },
+  PaperList: {
+    type: 'object',
+    required: ['papers', 'total'],
+    properties: {
+      papers: arrayOf({ oneOf: [ref('PaperRecord'), ...SUMMARY_RECORDS] }),
+      total: { type: 'integer' },
+      results: arrayOf(ref('FetchStatus'), { description: 'One entry per requested ID, in request order' }),
+    },
+  },
+  FetchStatus: {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      id: string('The cleaned ID'),
+      status: string('error when the batch holding the ID failed; the ID may exist', { enum: ['found', 'not_found', 'error'] }),
+      error: string('Why the batch failed'),
+    },
+  },
+  IdRecord: {
+    type: 'object',
+    required: ['requested', 'type', 'status'],
+    properties: {
+      requested: string('The identifier as sent'),
+      type: string('Detected identifier type', { enum: ['doi', 'pmid', 'pmcid', 'mid', 'unknown'] }),
+      status: string('`invalid` when the identifier is not recognised', { enum: ['ok', 'not_found', 'invalid'] }),
+      pmid: string(''),
+      pmcid: string('With the PMC prefix'),
+      doi: string(''),
+      mid: string('Author manuscript ID'),
+      error: string(''),
+    },
+  },
+  LinkPage: {
+    type: 'object',
+    required: ['id', 'db', 'type', 'linkname', 'targetDb', 'total', 'retstart', 'retmax', 'links'],
+    properties: {
+      id: string(''),
+      db: string('', { enum: DATABASES }),
+      type: string(''),
+      linkname: string('ELink link name, e.g. pubmed_pubmed'),
+      targetDb: string('', { enum: DATABASES }),
+      total: { type: 'integer' },
+      retstart: { type: 'integer' },
+      retmax: { type: 'integer' },
+      links: arrayOf({ type: 'object', required: ['id'], properties: { id: string(''), score: { type: 'number' } } }),
+      papers: arrayOf(ref('PaperRecord'), { description: 'With records=true' }),
+    },
+  },
+  FullText: {
+    type: 'object',
+    required: ['pmcid', 'title', 'sections'],
+    properties: {
+      pmcid: string(''),
+      pmid: string(''),
+      doi: string(''),
+      title: string(''),
+      license: string('Licence statement as printed'),
+      abstract: arrayOf({ type: 'string' }),
+      sections: arrayOf({ type: 'object', description: 'Nested { title, paragraphs, sections }' }),
+      figures: arrayOf({ type: 'object', properties: { id: string(''), label: string(''), caption: string(''), imageUrl: string('/api/paper/{id}/asset path on this server, or an absolute URL') } }),
+      tables: arrayOf({ type: 'object' }),
+      footnotes: arrayOf({ type: 'object' }),
+      references: arrayOf({ type: 'object' }),
+    },
+  },
+  OpenAccessStatus: {
+    type: 'object',
+    required: ['pmcid', 'oaStatus', 'license', 'retracted', 'pdfUrl', 'links'],
+    properties: {
+      pmcid: string('With the PMC prefix'),
+      oaStatus: string('', { enum: ['open_access', 'not_open_access', 'not_in_pmc'] }),
+      license: string('Licence reported by the PMC OA service'),
+      retracted: { type: 'boolean' },
+      reason: string('Why the article is not in the OA subset'),
+      pdfUrl: string("Path of this service's PDF proxy, '' when there is no PDF"),
+      links: { type: 'object', description: 'Upstream file URLs by format (pdf, tgz)', additionalProperties: { type: 'string' } },
+    },
+  },
+  SavedSearch: {
+    type: 'object',
+    required: ['id', 'name', 'db', 'term', 'sort', 'params', 'createdAt', 'lastRunAt', 'runs', 'seenCount'],
+    properties: {
+      id: string(''),
+      name: string(''),
+      db: string('', { enum: DATABASES }),
+      term: string('Compiled Entrez term'),
+      sort: string(''),
+      params: { type: 'object', description: 'Search parameters as submitted' },
+      owner: string('ID of the client that created it; null when CLIENT_AUTH was off', { nullable: true }),
+      createdAt: string('', { format: 'date-time' }),
+      lastRunAt: string('', { format: 'date-time' }),
+      runs: arrayOf({
+        type: 'object',
+        properties: { at: string('', { format: 'date-time' }), mindate: string(''), newIds: arrayOf({ type: 'string' }) },
+      }),
+      seenCount: { type: 'integer' },
+    },
+  },
+  SavedSearchList: {
+    type: 'object',
+    required: ['searches', 'total'],
+    properties: { searches: arrayOf(ref('SavedSearch')), total: { type: 'integer' } },
+  },
+  SavedSearchRun: {
+    type: 'object',
+    required: ['id', 'name', 'db', 'ranAt', 'since', 'newIds', 'total'],
+    properties: {
+      id: string(''),
+      name: string(''),
+      db: string('', { enum: DATABASES }),
+      ranAt: string('', { format: 'date-time' }),
+      since: string('Entrez date the run searched from'),
+      newIds: arrayOf({ type: 'string' }),
+      total: { type: 'integer' },
+      records: arrayOf(ref('PaperRecord'), { description: 'With records=true' }),
+    },
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'mode', 'uptime', 'build'],
+    properties: {
+      status: string('', { enum: ['ok', 'degraded'] }),
+      mode: string('', { enum: ['live', 'ready'] }),
+      checkedAt: string('', { format: 'date-time' }),
+      checks: {
+        type: 'object',
+        description: 'mode=ready: one entry per check (eutils, cache)',
+        additionalProperties: {
+          type: 'object',
+          required: ['status', 'latencyMs'],
+          properties: {
+            status: string('', { enum: ['ok', 'failing'] }),
+            latencyMs: { type: 'integer' },
+            error: string(''),
+          },
+        },
+      },
+      config: {
+        type: 'object',
+        description: 'mode=ready: which settings are in effect; secrets are only reported as present or not',
+        properties: {
+          ncbiApiKey: { type: 'boolean' },
+          ncbiEmail: { type: 'boolean' },
+          ncbiTool: string(''),
+          requestsPerSecond: { type: 'integer' },
+          cacheStore: string('', { enum: ['memory', 'file'] }),
+          clientAuth: string('', { enum: ['off', 'optional', 'required'] }),
+          corsOrigins: arrayOf({ type: 'string' }),
+        },
+      },
+      uptime: integer('Seconds since the process started'),
+      build: {
+        type: 'object',
+        properties: { version: string(''), commit: string('Short git commit, when the platform provides it'), node: string('') },
+      },
+      cached: { type: 'boolean', description: 'mode=ready: reused from the last HEALTH_CACHE_SECONDS' },
+    },
+  },
+  Client: {
+    type: 'object',
+    required: ['id', 'name', 'keyPrefix', 'rateLimit', 'dailyQuota', 'createdAt', 'revokedAt'],
+    properties: {
+      id: string(''),
+      name: string(''),
+      keyPrefix: string('First characters of the key, for recognising it'),
+      rateLimit: integer('Requests per minute; null uses CLIENT_RATE_LIMIT', { nullable: true }),
+      dailyQuota: integer('Requests per UTC day; null uses CLIENT_DAILY_QUOTA', { nullable: true }),
+      createdAt: string('', { format: 'date-time' }),
+      revokedAt: string('', { format: 'date-time', nullable: true }),
+    },
+  },
+  IssuedClient: {
+    type: 'object',
+    required: ['id', 'name', 'keyPrefix', 'key', 'createdAt'],
+    properties: {
+      id: string(''),
+      name: string(''),
+      keyPrefix: string(''),
+      key: string('The API key; only returned once'),
+      rateLimit: integer('', { nullable: true }),
+      dailyQuota: integer('', { nullable: true }),
+      createdAt: string('', { format: 'date-time' }),
+      revokedAt: string('', { format: 'date-time', nullable: true }),
+    },
+  },
+  ClientList: {
+    type: 'object',
+    required: ['clients', 'total'],
+    properties: { clients: arrayOf(ref('Client')), total: { type: 'integer' } },
+  },
+  UsageCounters: {
+    type: 'object',
+    required: ['requests', 'upstreamCalls', 'bytes', 'rejected'],
+    properties: {
+      requests: integer('Requests let through'),
+      upstreamCalls: integer('Calls made to NCBI on their behalf'),
+      bytes: integer('Response bytes sent'),
+      rejected: integer('Requests refused with 429'),
+    },
+  },
+  UsageReport: {
+    type: 'object',
+    required: ['since', 'clients'],
+    properties: {
+      since: string('First UTC day included, YYYY-MM-DD'),
+      clients: arrayOf({
+        type: 'object',
+        required: ['id', 'name', 'revoked', 'totals', 'daily'],
+        properties: {
+          id: string('Client ID, or anonymous'),
+          name: string(''),
+          revoked: { type: 'boolean' },
+          totals: ref('UsageCounters'),
+          daily: arrayOf({
+            type: 'object',
+            required: ['day', 'requests', 'upstreamCalls', 'bytes', 'rejected'],
+            properties: {
+              day: string('YYYY-MM-DD'),
+              requests: { type: 'integer' },
+              upstreamCalls: { type: 'integer' },
+              bytes: { type: 'integer' },
+              rejected: { type: 'integer' },
+            },
+          }, { description: 'Newest day first' }),
+        },
+      }),
+    },
+  },
+};
+
+// ---- 参数 ----
+
+const query = (name, schema, extra = {}) => ({ name, in: 'query', schema, ...extra });
+const dbParam = defaultDb => query('db', { type: 'string', enum: DATABASES, default: defaultDb });
+const retstartParam = query('retstart', integer('Offset of the first result', { minimum: 0, default: 0 }));
+const retmaxParam = (max, defaultValue) => query('retmax', integer('Page size', { minimum: 1, maximum: max, default: defaultValue }));
+const paperIdParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'PMID, PMCID (with or without the PMC prefix), DOI or author manuscript ID',
+  schema: { type: 'string', pattern: '^[^\\s$]+$' },
+};
+const meshIdParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'MeSH unique ID (D064113), mesh database UID, heading or entry term',
+  schema: { type: 'string', minLength: 1 },
+};
+const clientIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } };
+const savedIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } };
+const idListParam = max => query('ids', arrayOf({ oneOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] }, { minItems: 1, maxItems: max }), {
+  explode: false,
+  description: 'Comma-separated identifiers',
+});
+
+// 结构化检索参数：GET 时在 query 中，保存检索时也可以放在 JSON body 中
+const SEARCH_FIELDS = {
+  term: string('Raw Entrez query'),
+  ...Object.fromEntries(Object.entries(QUERY_FIELDS).map(([name, { tag, join }]) => [
+    name,
+    arrayOf({ type: 'string' }, { description: `[${tag}] values, repeated or separated by ";", combined with ${join}` }),
+  ])),
+  datefrom: string('Publication date from, YYYY, YYYY/MM or YYYY/MM/DD', { pattern: '^\\d{4}([-/]\\d{1,2}){0,2}$' }),
+  dateto: string('Publication date to, YYYY, YYYY/MM or YYYY/MM/DD', { pattern: '^\\d{4}([-/]\\d{1,2}){0,2}$' }),
+  freefulltext: { type: 'boolean', description: 'PubMed only: free full text' },
+  openaccess: { type: 'boolean', description: 'Open-access subset' },
+  retracted: string('PubMed only: exclude retracted publications, or flag them (flag is only for /api/search; /api/saved rejects it)', { enum: RETRACTED_OPTIONS }),
+  query: string('JSON boolean group tree, e.g. {"or":[{"field":"mesh","value":"Neoplasms"}]}'),
+  sort: string('', { enum: [...new Set([...Object.keys(SORT_OPTIONS), ...Object.values(SORT_OPTIONS)])] }),
+};
+const searchParams = Object.entries(SEARCH_FIELDS).map(([name, schema]) => query(name, schema));
+
+// ---- 响应 ----
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(ref('Error'), description);
+const binary = (contentType, description) => ({ description, content: { [contentType]: { schema: { type: 'string', format: 'binary' } } } });
+const text = (contentTypes, description = 'OK') => ({
+  description,
+  content: Object.fromEntries(contentTypes.map(type => [type.split(';')[0], { schema: { type: 'string' } }])),
+});
+
+const ERRORS = {
+  400: error('Invalid parameters'),
+  401: error('Missing, invalid or revoked API key (CLIENT_AUTH)'),
+  429: error('Client rate limit, daily quota or NCBI rate limit; see Retry-After'),
+  502: error('NCBI returned an error'),
+  default: error('Unexpected error'),
+};
+const NOT_MODIFIED = { 304: { description: 'Not modified (If-None-Match matched the ETag)' } };
+
+const PATHS = {
+  '/api/search': {
+    get: {
+      summary: 'Search PubMed, PMC or another supported Entrez database',
+      parameters: [
+        query('db', { type: 'string', enum: DATABASE_NAMES, default: 'pmc' }),
+        retstartParam,
+        retmaxParam(10000, 10),
+        query('include', string('Also return summaries or full records for the page (retmax at most 200)', { enum: ['ids', 'summaries', 'records'], default: 'ids' })),
+        query('fields', arrayOf({ type: 'string' }), { explode: false, description: 'Comma-separated record fields to keep' }),
+        query('facets', arrayOf({ type: 'string', enum: FACET_NAMES }), { explode: false, description: 'Comma-separated facets to count; year and journal also for pmc, the rest pubmed only (openaccess for both)' }),
+        query('expand', string('mesh: rewrite a free-text term as its MeSH heading plus entry terms', { enum: ['none', 'mesh'], default: 'none' })),
+        ...searchParams,
+      ],
+      responses: { 200: json(ref('SearchPage')), ...NOT_MODIFIED, ...ERRORS },
+    },
+  },
+  '/api/mesh/{id}': {
+    get: {
+      summary: 'One MeSH descriptor: scope note, entry terms and tree numbers',
+      parameters: [meshIdParam],
+      responses: { 200: json(ref('MeshDescriptor')), ...NOT_MODIFIED, 404: error('No such descriptor'), ...ERRORS },
+    },
+  },
+  '/api/mesh/{id}/tree': {
+    get: {
+      summary: 'Broader and narrower descriptors of a MeSH descriptor',
+      parameters: [meshIdParam],
+      responses: { 200: json(ref('MeshTree')), ...NOT_MODIFIED, 404: error('No such descriptor'), ...ERRORS },
+    },
+  },
+  '/api/spell': {
+    get: {
+      summary: 'Spelling suggestion for a query (ESpell)',
+      parameters: [
+        query('term', string('', { minLength: 1 }), { required: true }),
+        dbParam('pubmed'),
+      ],
+      responses: { 200: json(ref('SpellResult')), ...NOT_MODIFIED, ...ERRORS },
+    },
+  },
+  '/api/autocomplete': {
+    get: {
+      summary: 'MeSH term, journal and author suggestions for a search box',
+      parameters: [
+        query('q', string(`What has been typed; shorter than ${MIN_PREFIX} characters returns nothing`), { required: true }),
+        query('types', arrayOf({ type: 'string', enum: SUGGESTION_TYPES }, { minItems: 1, default: SUGGESTION_TYPES }), { explode: false, description: 'Comma-separated suggestion types' }),
+        query('limit', integer('Suggestions per type', { minimum: 1, maximum: 20, default: 5 })),
+      ],
+      responses: { 200: json(ref('Autocomplete')), ...NOT_MODIFIED, ...ERRORS },
+    },
+  },
+  '/api/papers': {
+    post: {
+      summary: 'Fetch full records by ID',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['ids'],
+              additionalProperties: false,
+              properties: {
+                ids: arrayOf({ oneOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] }, { minItems: 1, maxItems: MAX_PAPER_IDS, description: 'PMIDs, PMCIDs or UIDs of the chosen database. Long lists are posted with EPost and fetched in batches' }),
+                db: { type: 'string', enum: DATABASE_NAMES, default: 'pmc' },
+                // 旧前端总会带上 retmax，接受但不使用
+                retmax: integer('Ignored; every ID in `ids` is returned', { deprecated: true }),
+              },
+            },
+          },
+        },
+      },
+      responses: { 200: json(ref('PaperList')), ...NOT_MODIFIED, ...ERRORS },
+    },
+  },
+  '/api/paper/{id}': {
+    get: {
+      summary: 'One full record',
+      parameters: [paperIdParam, query('db', { type: 'string', enum: DATABASES }, { description: 'db=pmc reads bare numbers as PMCIDs' })],
+      responses: { 200: json(ref('PaperRecord')), ...NOT_MODIFIED, 404: error('No article for this identifier'), ...ERRORS },
+    },
+  },
+  '/api/paper/{id}/fulltext': {
+    get: {
+      summary: 'Structured full text of a PMC open-access article',
+      parameters: [paperIdParam, query('format', { type: 'string', enum: ['json', 'html', 'markdown'], default: 'json' })],
+      responses: {
+        200: {
+          description: 'OK',
+          content: {
+            'application/json': { schema: ref('FullText') },
+            'text/html': { schema: { type: 'string' } },
+            'text/markdown': { schema: { type: 'string' } },
+          },
+        },
+        ...NOT_MODIFIED,
+        404: error('Not in PMC, or no full text'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/paper/{id}/links': {
+    get: {
+      summary: 'Similar articles, citing articles and references',
+      parameters: [
+        paperIdParam,
+        query('type', { type: 'string', enum: [...new Set(Object.values(LINK_TYPES).flatMap(Object.keys))], default: 'similar' }, { description: 'PMC supports citedby and references' }),
+        dbParam('pubmed'),
+        retstartParam,
+        retmaxParam(200, 20),
+        query('records', { type: 'boolean', default: false }, { description: 'Include full records of the page' }),
+      ],
+      responses: { 200: json(ref('LinkPage')), ...NOT_MODIFIED, 404: error('No record for this identifier'), ...ERRORS },
+    },
+  },
+  '/api/paper/{id}/oa': {
+    get: {
+      summary: 'Open-access status and licence from the PMC OA service',
+      parameters: [paperIdParam],
+      responses: { 200: json(ref('OpenAccessStatus')), ...NOT_MODIFIED, 404: error('No PMC copy'), ...ERRORS },
+    },
+  },
+  '/api/paper/{id}/pdf': {
+    get: {
+      summary: 'Stream the PDF of an open-access article; supports Range',
+      parameters: [paperIdParam],
+      responses: {
+        200: binary('application/pdf', 'The PDF'),
+        206: binary('application/pdf', 'The requested byte range'),
+        403: error('Not in the PMC Open Access subset'),
+        404: error('No PMC copy or no PDF'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/paper/{id}/asset': {
+    get: {
+      summary: 'Stream a figure image of an open-access article',
+      parameters: [
+        paperIdParam,
+        query('name', { type: 'string', pattern: ASSET_NAME_PATTERN }, { required: true, description: 'Image file name from the full text, e.g. fig1.jpg' }),
+      ],
+      responses: {
+        200: binary('image/*', 'The image'),
+        206: binary('image/*', 'The requested byte range'),
+        403: error('Not in the PMC Open Access subset'),
+        404: error('No PMC copy'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/ids': {
+    get: {
+      summary: 'Convert between DOI, PMID, PMCID and manuscript IDs',
+      parameters: [
+        idListParam(1000),
+        query('numeric', { type: 'string', enum: ['pmid', 'pmcid'], default: 'pmid' }, { description: 'How to read bare numbers' }),
+      ],
+      responses: { 200: json({ type: 'object', required: ['records', 'total'], properties: { records: arrayOf(ref('IdRecord')), total: { type: 'integer' } } }), ...ERRORS },
+    },
+  },
+  '/api/export': {
+    get: {
+      summary: 'Export citations by ID or search term',
+      parameters: [
+        idListParam(500),
+        query('term', string('Search and export the first retmax hits when ids is empty')),
+        dbParam('pubmed'),
+        query('format', { type: 'string', enum: Object.keys(CITATION_FORMATS), default: 'bibtex' }),
+        retmaxParam(500, 100),
+      ],
+      responses: {
+        200: text(Object.values(CITATION_FORMATS).map(format => format.contentType), 'Citation file'),
+        404: error('No records found'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/bulk': {
+    get: {
+      summary: 'Stream every record of a search as NDJSON or CSV',
+      parameters: [
+        query('format', { type: 'string', enum: Object.keys(BULK_FORMATS), default: 'ndjson' }),
+        query('batch', integer('Records per EFetch batch', { minimum: 1, maximum: 500, default: 200 })),
+        query('max', integer('Most records to export', { minimum: 1, maximum: 10000, default: 10000 })),
+        query('cursor', string('Resume cursor from a progress line; replaces the search parameters')),
+        dbParam('pubmed'),
+        retstartParam,
+        ...searchParams,
+      ],
+      responses: {
+        200: text(Object.values(BULK_FORMATS).map(format => format.contentType), 'Record stream'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/saved': {
+    get: {
+      summary: 'List saved searches',
+      responses: { 200: json(ref('SavedSearchList')), default: ERRORS.default },
+    },
+    post: {
+      summary: 'Save a search; accepts the /api/search parameters',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                name: string('Defaults to the term'),
+                db: { type: 'string', enum: DATABASES, default: 'pubmed' },
+                ...SEARCH_FIELDS,
+                query: { oneOf: [SEARCH_FIELDS.query, { type: 'object' }] },
+              },
+            },
+          },
+        },
+      },
+      responses: { 201: json(ref('SavedSearch'), 'Created'), ...ERRORS },
+    },
+  },
+  '/api/saved/{id}': {
+    get: {
+      summary: 'One saved search',
+      parameters: [savedIdParam],
+      responses: { 200: json(ref('SavedSearch')), 404: error('Not found'), default: ERRORS.default },
+    },
+    delete: {
+      summary: 'Delete a saved search',
+      parameters: [savedIdParam],
+      responses: { 204: { description: 'Deleted' }, 404: error('Not found'), default: ERRORS.default },
+    },
+  },
+  '/api/saved/{id}/run': {
+    post: {
+      summary: 'Run a saved search and return the IDs added since the last run',
+      parameters: [savedIdParam, query('records', { type: 'boolean', default: false }, { description: 'Include full records (at most 200)' })],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: { type: 'object', additionalProperties: false, properties: { records: { type: 'boolean' } } },
+          },
+        },
+      },
+      responses: { 200: json(ref('SavedSearchRun')), 404: error('Not found'), ...ERRORS },
+    },
+  },
+  '/api/saved/{id}/feed': {
+    get: {
+      summary: 'Atom or RSS feed of new results',
+      parameters: [savedIdParam, query('format', { type: 'string', enum: Object.keys(FEED_FORMATS), default: 'atom' })],
+      responses: {
+        200: text(Object.values(FEED_FORMATS).map(format => format.contentType), 'Feed'),
+        404: error('Not found'),
+        ...ERRORS,
+      },
+    },
+  },
+  '/api/clients': {
+    get: {
+      summary: 'List API clients (admin token)',
+      responses: { 200: json(ref('ClientList')), 401: ERRORS[401], 403: error('CLIENT_ADMIN_TOKEN is not set'), default: ERRORS.default },
+    },
+    post: {
+      summary: 'Issue an API key (admin token)',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name'],
+              properties: {
+                name: string('Who the key is for', { minLength: 1, maxLength: 200 }),
+                rateLimit: integer('Requests per minute, 0 for unlimited; defaults to CLIENT_RATE_LIMIT', { minimum: 0 }),
+                dailyQuota: integer('Requests per UTC day, 0 for unlimited; defaults to CLIENT_DAILY_QUOTA', { minimum: 0 }),
+              },
+            },
+          },
+        },
+      },
+      responses: { 201: json(ref('IssuedClient'), 'Created'), 400: ERRORS[400], 401: ERRORS[401], 403: error('CLIENT_ADMIN_TOKEN is not set'), default: ERRORS.default },
+    },
+  },
+  '/api/clients/{id}': {
+    get: {
+      summary: 'One API client (admin token)',
+      parameters: [clientIdParam],
+      responses: { 200: json(ref('Client')), 401: ERRORS[401], 403: error('CLIENT_ADMIN_TOKEN is not set'), 404: error('Not found'), default: ERRORS.default },
+    },
+    delete: {
+      summary: 'Revoke an API key (admin token); its usage is kept',
+      parameters: [clientIdParam],
+      responses: { 200: json(ref('Client')), 401: ERRORS[401], 403: error('CLIENT_ADMIN_TOKEN is not set'), 404: error('Not found'), default: ERRORS.default },
+    },
+  },
+  '/api/usage': {
+    get: {
+      summary: 'Requests, NCBI calls and bytes per client and day; clients see only their own key',
+      parameters: [
+        query('days', integer('Number of UTC days, today included', { minimum: 1, maximum: 90, default: 7 })),
+        query('client', string('Admin token only: limit the report to one client ID')),
+      ],
+      responses: { 200: json(ref('UsageReport')), ...ERRORS },
+    },
+  },
+  '/api/metrics': {
+    get: {
+      summary: 'Prometheus metrics of this process: requests, latency, NCBI calls and cache hits',
+      responses: { 200: text(['text/plain; version=0.0.4'], 'Prometheus text format'), ...ERRORS },
+    },
+  },
+  '/api/openapi.json': {
+    get: {
+      summary: 'This document',
+      responses: { 200: json({ type: 'object' }) },
+    },
+  },
+  '/api/health': {
+    get: {
+      summary: 'Liveness, or readiness with an EInfo call, a cache round trip and the config state',
+      parameters: [query('mode', { type: 'string', enum: ['live', 'ready'], default: 'live' })],
+      responses: {
+        200: json(ref('Health')),
+        503: json(ref('Health'), 'Degraded: NCBI or the cache store is failing'),
+        400: ERRORS[400],
+      },
+    },
+  },
+};
+
+// /api/ids 与 /api/export 的 POST 接受与 GET 相同的参数，也可以放在 JSON body 中（ids 可以是数组）
+for (const path of ['/api/ids', '/api/export']) {
+  const { get } = PATHS[path];
+  PATHS[path].post = {
+    ...get,
+    requestBody: {
+      required: false,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.fromEntries(get.parameters.map(parameter => [parameter.name, parameter.schema])),
+          },
+        },
+      },
+    },
+  };
+}
+
+// 代码生成工具用 operationId 命名方法，例如 GET /api/paper/{id}/links -> getPaperByIdLinks
+for (const [path, operations] of Object.entries(PATHS)) {
+  const name = path.split('/').slice(2).map(segment => (segment.startsWith('{')
+    ? 'ById'
+    : segment.split('.').map(part => part[0].toUpperCase() + part.slice(1)).join(''))).join('');
+  for (const [method, operation] of Object.entries(operations)) {
+    operation.operationId = `${method}${name}`;
+  }
+}
+
+/**
+ * The OpenAPI 3 document describing every route, served at
+ * `/api/openapi.json`.
+ */
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'NCBI proxy API',
+    version: API_VERSION,
+    description: 'PubMed / PMC search, records, full text, citations and saved searches on top of NCBI E-utilities.',
+  },
+  paths: PATHS,
+  components: {
+    schemas: SCHEMAS,
+    // 只有 CLIENT_AUTH=optional / required 时才检查 key
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Client API key, or CLIENT_ADMIN_TOKEN for /api/clients' },
+      apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key', description: 'The same key, for clients that cannot set headers (feed readers)' },
+    },
+  },
+  security: [{}, { bearerAuth: [] }, { apiKeyQuery: [] }],
+};
+
+const COMPONENTS = SCHEMAS;
+
+// 路径模板按段比较，静态段优先，与 server.js 的路由规则一致
+const rankTemplate = segments => segments.map(segment => (segment.startsWith('{') ? '1' : '0')).join('');
+const TEMPLATES = Object.keys(PATHS)
+  .map(template => ({ template, segments: template.split('/').filter(Boolean) }))
+  .sort((a, b) => rankTemplate(a.segments).localeCompare(rankTemplate(b.segments)));
+
+/**
+ * The spec path a request path belongs to, e.g. `/api/paper/123/links` ->
+ * `/api/paper/{id}/links`, or null when no route matches. Used as the
+ * bounded `route` label in logs and metrics.
+ */
+export function routeTemplate(pathname) {
+  const parts = pathname.replace(/\.js$/, '').split('/').filter(Boolean);
+  const match = TEMPLATES.find(({ segments }) => segments.length === parts.length
+    && segments.every((segment, i) => segment.startsWith('{') || segment === parts[i]));
+  return match ? match.template : null;
+}
+
+function operationFor(path, method) {
+  const operation = PATHS[path]?.[method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`No OpenAPI operation for ${method} ${path}`);
+  }
+  return operation;
+}
+
+function readParameters(operation, req, problems) {
+  const input = {};
+  for (const parameter of operation.parameters || []) {
+    const raw = req.query?.[parameter.name];
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        problems.push({ in: parameter.in, path: parameter.name, message: `${parameter.name} is required` });
+      } else if (parameter.schema.default !== undefined) {
+        input[parameter.name] = parameter.schema.default;
+      }
+      continue;
+    }
+    const value = coerceParameter(parameter, raw, COMPONENTS);
+    for (const problem of validateSchema(parameter.schema, value, { components: COMPONENTS, path: parameter.name })) {
+      problems.push({ in: parameter.in, ...problem });
+    }
+    input[parameter.name] = value;
+  }
+  return input;
+}
+
+// 表单提交的字符串按属性的类型转换，与 query 参数一致
+function readBody(operation, req, problems) {
+  const requestBody = operation.requestBody;
+  if (!requestBody) return {};
+  const body = req.body;
+  const present = body !== undefined && body !== null && body !== '' && !(Buffer.isBuffer(body) && body.length === 0);
+  if (!present) {
+    if (requestBody.required) problems.push({ in: 'body', path: 'body', message: 'A JSON request body is required' });
+    return {};
+  }
+  const schema = requestBody.content['application/json'].schema;
+  if (typeof body !== 'object' || Array.isArray(body) || Buffer.isBuffer(body)) {
+    problems.push({ in: 'body', path: 'body', message: 'The request body must be a JSON object' });
+    return {};
+  }
+  const input = {};
+  for (const [key, value] of Object.entries(body)) {
+    const property = schema.properties?.[key];
+    const coercible = property && typeof value === 'string' && property.type && property.type !== 'string';
+    input[key] = coercible ? coerceParameter({ schema: property, explode: false }, value, COMPONENTS) : value;
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (input[key] === undefined && property.default !== undefined) input[key] = property.default;
+  }
+  for (const problem of validateSchema(schema, input, { components: COMPONENTS })) {
+    problems.push({ in: 'body', ...problem });
+  }
+  return input;
+}
+
+function responseSchema(operation, status, contentType) {
+  const response = operation.responses[status] || operation.responses[`${String(status)[0]}XX`] || operation.responses.default;
+  if (!response) return { undocumented: true };
+  return { schema: response.content?.[contentType]?.schema };
+}
+
+/**
+ * Where outgoing JSON is checked against the spec: `VALIDATE_RESPONSES`
+ * (`off`, `warn`, `strict`), defaulting to `warn` when
+ * `NODE_ENV=development`. `strict` replaces a non-conforming response with a
+ * 500 so drift shows up in tests.
+ */
+export function responseValidationMode() {
+  const mode = process.env.VALIDATE_RESPONSES || (process.env.NODE_ENV === 'development' ? 'warn' : 'off');
+  return ['warn', 'strict'].includes(mode) ? mode : 'off';
+}
+
+function checkResponses(req, res, path, operation, mode) {
+  const check = body => {
+    const contentType = String(res.getHeader('Content-Type') || 'application/json').split(';')[0].trim();
+    if (contentType !== 'application/json') return [];
+    const { schema, undocumented } = responseSchema(operation, res.statusCode, contentType);
+    if (undocumented) return [{ path: 'status', message: `status ${res.statusCode} is not documented` }];
+    return schema ? validateSchema(schema, body, { components: COMPONENTS, path: 'response' }) : [];
+  };
+  const report = (body, send) => {
+    const problems = check(body);
+    if (problems.length === 0) return null;
+    logger.warn('Response does not match the OpenAPI spec', { method: req.method, route: path, status: res.statusCode, problems: problems.map(problem => problem.message) });
+    if (mode !== 'strict') return null;
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return send(JSON.stringify({ error: 'Response does not match the API specification', details: problems }));
+  };
+
+  const json = res.json.bind(res);
+  const send = res.send.bind(res);
+  res.json = body => report(body, send) || json(body);
+  res.send = body => {
+    if (typeof body === 'string' && /json/.test(String(res.getHeader('Content-Type') || ''))) {
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        parsed = undefined;
+      }
+      if (parsed !== undefined) return report(parsed, send) || send(body);
+    }
+    return send(body);
+  };
+}
+
+/**
+ * Validates the query, path parameters and JSON body of `req` against the
+ * operation for `path` (as written in the spec, e.g. `/api/paper/{id}`) and
+ * answers 400 with every problem when they do not match. Returns the
+ * parameters and body merged into one object, converted to their declared
+ * types and with defaults filled in, or null when the 400 was sent.
+ */
+export function validateRequest(req, res, path) {
+  const operation = operationFor(path, req.method);
+  const problems = [];
+  const input = { ...readParameters(operation, req, problems), ...readBody(operation, req, problems) };
+
+  if (problems.length > 0) {
+    res.status(400).json({ error: `Invalid request: ${problems.map(problem => problem.message).join('; ')}`, details: problems });
+    return null;
+  }
+
+  const mode = responseValidationMode();
+  if (mode !== 'off') {
+    checkResponses(req, res, path, operation, mode);
+  }
+  return input;
+}
@@ -0,0 +1,187 @@
+// lib/papers.js
+// 按 ID 批量获取并解析记录，/api/papers 和其他需要完整记录的路由共用。PubMed / PMC 为论文记录，
+// 其他数据库的记录由 lib/databases.js 从 ESummary 解析
+import { JSDOM } from 'jsdom';
+import { efetch, epost, esummary } from './eutils.js';
+import { DATABASES, parseSummaryRecords } from './databases.js';
+import { cacheGet, cacheSet, paperKey, PAPER_TTL } from './cache.js';
+import { runLimited } from './limit.js';
+import { logger } from './log.js';
+import { mergePmcCopy, mergePrecedence } from './merge.js';
+import { parseArticles } from './parser.js';
+
+/**
+ * Parses an EFetch XML document of `db` into paper records, in document order.
+ */
+function parsePaperXml(db, xml) {
+  const dom = new JSDOM(xml, { contentType: "text/xml" });
+  return parseArticles(db, dom.window.document);
+}
+
+// 长 ID 列表分批获取：超过一批时先用 EPost 上传到 history server，再按 retstart / retmax 分批取回，
+// 同时进行的批次不超过 PAPERS_FETCH_CONCURRENCY
+const batchSize = () => parseInt(process.env.PAPERS_BATCH_SIZE, 10) || 200;
+const fetchConcurrency = () => parseInt(process.env.PAPERS_FETCH_CONCURRENCY, 10) || 2;
+
+// 按数据库的取数方式获取并解析一批记录；params 为 ID 列表或 history server 的位置
+async function fetchChunk(db, params) {
+  if (DATABASES[db].source === 'esummary') {
+    return parseSummaryRecords(db, await esummary({ db, ...params }));
+  }
+  return parsePaperXml(db, await efetch({ db, ...params }));
+}
+
+/**
+ * Fetches the records of `ids` in batches of PAPERS_BATCH_SIZE. A failed
+ * batch does not fail the others: resolves with `{ records, errors,
+ * invalidIds }`, where `errors` are the errors of failed batches (or of
+ * EPost) and `invalidIds` the IDs EPost rejected.
+ */
+async function fetchInBatches(db, ids) {
+  const size = batchSize();
+  const settle = promise => promise.then(records => ({ records }), error => ({ error }));
+  let chunks;
+  let invalidIds = [];
+  if (ids.length <= size) {
+    chunks = [() => settle(fetchChunk(db, { id: ids.join(',') }))];
+  } else {
+    let history;
+    try {
+      history = await epost(db, ids);
+    } catch (error) {
+      return { records: [], errors: [error], invalidIds };
+    }
+    invalidIds = history.invalidIds;
+    const posted = ids.length - invalidIds.length;
+    chunks = [];
+    for (let retstart = 0; retstart < posted; retstart += size) {
+      chunks.push(() => settle(fetchChunk(db, { WebEnv: history.webenv, query_key: history.querykey, retstart, retmax: size })));
+    }
+  }
+
+  const settled = await runLimited(chunks, fetchConcurrency());
+  return {
+    records: settled.flatMap(chunk => chunk.records || []),
+    errors: settled.filter(chunk => chunk.error).map(chunk => chunk.error),
+    invalidIds,
+  };
+}
+
+// PMC 副本获取失败、没有合并的 PubMed 记录：照常返回，但不写入缓存
+const missingPmcCopy = new WeakSet();
+
+// 为有 PMC 版本的 PubMed 记录合并 PMC 副本（规则见 lib/merge.js），PMC 记录同样分批获取；失败时记录日志并保留 PubMed 的字段
+async function enrichWithPmc(papers) {
+  const pmcIds = [...new Set(papers.filter(p => p.pmcid).map(p => p.pmcid))];
+  if (pmcIds.length === 0) {
+    return;
+  }
+  const { records, errors } = await fetchInBatches('pmc', pmcIds);
+  const pmcPapers = new Map(records.map(pmcPaper => [pmcPaper.pmcid, pmcPaper]));
+  if (errors.length > 0) {
+    logger.warn('Fetching PMC copies failed', { requested: pmcIds.length, fetched: pmcPapers.size, error: errors[0] });
+  }
+  const precedence = mergePrecedence();
+  papers.forEach((paper, index) => {
+    const pmcPaper = paper.pmcid && pmcPapers.get(paper.pmcid);
+    if (pmcPaper) {
+      papers[index] = mergePmcCopy(paper, pmcPaper, precedence);
+    } else if (paper.pmcid && errors.length > 0) {
+      missingPmcCopy.add(paper);
+    }
+  });
+}
+
+// 写入缓存，跳过缺少 PMC 副本的记录，下次请求时再补全
+async function cachePapers(db, papers) {
+  for (const paper of papers) {
+    if (!missingPmcCopy.has(paper)) {
+      await cacheSet(paperKey(db, DATABASES[db].recordId(paper)), paper, PAPER_TTL);
+    }
+  }
+}
+
+/**
+ * Fetches and parses records for already-cleaned IDs of one database,
+ * serving cached records first. Lists longer than PAPERS_BATCH_SIZE are
+ * posted with EPost and fetched in batches, at most PAPERS_FETCH_CONCURRENCY
+ * at a time. PubMed records with a PMC copy are merged with it by
+ * lib/merge.js; databases other than PubMed and PMC give the ESummary-based records of
+ * lib/databases.js.
+ *
+ * Resolves with `{ papers, results, cacheStatus }`, papers in the order of
+ * `cleanedIds` and `results` one `{ id, status, error? }` per ID, where
+ * status is `found`, `not_found` or `error` (its batch failed). Rejects
+ * only when nothing was found and a batch failed.
+ */
+export async function fetchPapers(db, cleanedIds) {
+  // 先从缓存中取已解析过的论文，只向 NCBI 请求未命中的 ID
+  const cachedPapers = new Map();
+  for (const id of cleanedIds) {
+    const cachedPaper = await cacheGet(paperKey(db, id));
+    if (cachedPaper) {
+      cachedPapers.set(id, cachedPaper);
+    }
+  }
+  const missingIds = [...new Set(cleanedIds.filter(id => !cachedPapers.has(id)))];
+
+  if (missingIds.length === 0) {
+    logger.debug('Papers served from cache', { db, count: cleanedIds.length });
+    const results = cleanedIds.map(id => ({ id, status: 'found' }));
+    return { papers: cleanedIds.map(id => cachedPapers.get(id)), results, cacheStatus: 'HIT' };
+  }
+
+  logger.debug('Fetching papers', { db, requested: cleanedIds.length, cached: cachedPapers.size, missing: missingIds.length });
+
+  const { records, errors, invalidIds } = await fetchInBatches(db, missingIds);
+  if (records.length === 0 && cachedPapers.size === 0 && errors.length > 0) {
+    throw errors[0];
+  }
+  if (db === 'pubmed') {
+    await enrichWithPmc(records);
+  }
+  await cachePapers(db, records);
+  const fetchedPapers = new Map(records.map(record => [DATABASES[db].recordId(record), record]));
+
+  // 没有取到的 ID：EPost 拒绝的或所有批次都成功时为 not_found，否则无法确定，记为 error
+  const batchError = errors[0]?.message;
+  const results = cleanedIds.map(id => {
+    if (cachedPapers.has(id) || fetchedPapers.has(id)) {
+      return { id, status: 'found' };
+    }
+    if (batchError && !invalidIds.includes(id)) {
+      return { id, status: 'error', error: batchError };
+    }
+    return { id, status: 'not_found' };
+  });
+
+  // 按请求中的 ID 顺序合并缓存命中和新获取的论文
+  const mergedPapers = cleanedIds.map(id => cachedPapers.get(id) || fetchedPapers.get(id)).filter(Boolean);
+  const cacheStatus = cachedPapers.size > 0 ? 'PARTIAL' : 'MISS';
+
+  return { papers: mergedPapers, results, cacheStatus };
+}
+
+/**
+ * Fetches one page of a search straight from the history server, so a
+ * search needs no separate ID round trip. Resolves with the parsed papers in
+ * history order.
+ */
+export async function fetchPapersFromHistory(db, { webenv, querykey, retstart, retmax }) {
+  const papers = await fetchChunk(db, { WebEnv: webenv, query_key: querykey, retstart, retmax });
+  if (db === 'pubmed') {
+    await enrichWithPmc(papers);
+  }
+  await cachePapers(db, papers);
+  return papers;
+}
+
+/**
+ * Keeps only the requested top-level fields of a record; `fields` null keeps all.
+ */
+export function pickFields(record, fields) {
+  if (!fields) {
+    return record;
+  }
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+}
@@ -0,0 +1,439 @@
+// lib/parser.js
+// PubMed 与 PMC EFetch XML 的唯一解析入口，所有路由返回同一种论文记录
+import { unmergedProvenance } from './merge.js';
+
+/**
+ * Bumped whenever a field is renamed, removed or changes meaning.
+ */
+export const RECORD_SCHEMA_VERSION = 5;
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name          Display name, "Given Family" or the group name
+ * @property {string} family
+ * @property {string} given
+ * @property {string} initials
+ * @property {string} collective    Group author name; family/given are empty
+ * @property {string} orcid         Bare ORCID iD, e.g. "0000-0002-1825-0097"
+ * @property {string[]} affiliations
+ */
+
+/**
+ * @typedef {Object} PublicationDate
+ * @property {string} year
+ * @property {string} month   Two digits or ''
+ * @property {string} day     Two digits or ''
+ * @property {string} iso     YYYY-MM-DD, YYYY-MM or YYYY
+ * @property {string} raw     The date as printed, e.g. "2019 Nov-Dec"
+ */
+
+/**
+ * @typedef {Object} Notice
+ * @property {'retraction'|'erratum'|'expression_of_concern'} type
+ * @property {string} pmid          PMID of the notice, '' when PubMed does not link one
+ * @property {string} source        Citation of the notice, e.g. "Nature. 2020 Jan;577(7788):E1"
+ */
+
+/**
+ * @typedef {Object} PaperRecord
+ * @property {number} schemaVersion   RECORD_SCHEMA_VERSION
+ * @property {'pubmed'|'pmc'} db      Database the record was parsed from
+ * @property {string} uid             PMID (kept for older clients)
+ * @property {string} pmid
+ * @property {string} pmcid           Without the "PMC" prefix
+ * @property {string} doi
+ * @property {string} title
+ * @property {string} abstract        Flattened abstract, '' when there is none
+ * @property {{label: string, category: string, text: string}[]} abstractSections
+ * @property {Author[]} authorList
+ * @property {string[]} affiliations  Every distinct affiliation, in order
+ * @property {{title: string, isoAbbreviation: string, issn: string, volume: string, issue: string, pages: string}} journal
+ * @property {PublicationDate} published
+ * @property {string} language
+ * @property {string[]} keywords
+ * @property {{descriptor: string, ui: string, majorTopic: boolean, qualifiers: string[]}[]} mesh
+ * @property {string[]} publicationTypes
+ * @property {{id: string, agency: string, country: string}[]} grants
+ * @property {Notice[]} notices       Retractions, errata and expressions of concern; always [] for PMC records
+ * @property {string} pdfUrl          PDF link stated in the PMC article, '' when there is none
+ * @property {'open_access'|'not_open_access'|'not_in_pmc'|'unknown'} licenseHint
+ *   What the licence in the PMC article XML suggests; `unknown` for PubMed records with a PMC
+ *   copy that was not fetched. Membership of the OA subset comes from /api/paper/{id}/oa
+ * @property {string} license         Normalised licence, e.g. "CC BY" or "CC0", '' when unknown
+ * @property {Object<string, 'pubmed'|'pmc'>} provenance  Source of each field group (see lib/merge.js)
+ * @property {string[]} conflicts     Field groups where PubMed and its PMC copy disagree; [] when not merged
+ * @property {string} articletitle    Deprecated: abstract with a placeholder when empty
+ * @property {string} sortfirstauthor Deprecated: first author's display name
+ * @property {string} authors         Deprecated: comma-separated display names
+ * @property {string[]} authorsArray  Deprecated: display names
+ * @property {string} source          Deprecated: journal name as shown in lists
+ * @property {string} pubdate         Deprecated: same as published.iso
+ * @property {string} oaStatus        Deprecated: same as licenseHint
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const PMC_ARTICLE_BASE = 'https://www.ncbi.nlm.nih.gov/pmc/articles';
+
+function clean(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+function text(el, selector) {
+  return clean(el?.querySelector(selector)?.textContent);
+}
+
+function unique(values) {
+  return Array.from(new Set(values.filter(Boolean)));
+}
+
+function initialsOf(given) {
+  return given.split(/[\s-]+/).filter(Boolean).map(part => part[0].toUpperCase()).join('');
+}
+
+export function cleanOrcid(value) {
+  const match = clean(value).match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+  return match ? match[1].toUpperCase() : '';
+}
+
+// "Jan" / "January" / "1" / "01" -> "01"
+function normalizeMonth(value) {
+  const raw = clean(value);
+  if (!raw) return '';
+  const numeric = parseInt(raw, 10);
+  if (!isNaN(numeric)) {
+    return numeric >= 1 && numeric <= 12 ? String(numeric).padStart(2, '0') : '';
+  }
+  const index = MONTHS.indexOf(raw.slice(0, 3).toLowerCase());
+  return index === -1 ? '' : String(index + 1).padStart(2, '0');
+}
+
+/**
+ * Normalizes a PubMed `<PubDate>` / JATS `<pub-date>` style date. `raw` may
+ * be a MedlineDate such as "1998 Dec-1999 Jan" or "2000 Spring", in which case
+ * the first year and month are used.
+ */
+export function normalizeDate({ year = '', month = '', day = '', raw = '' } = {}) {
+  let y = clean(year);
+  let m = normalizeMonth(month);
+  if (!y && raw) {
+    y = raw.match(/\d{4}/)?.[0] || '';
+    const monthToken = raw.match(/\b([A-Za-z]{3})[a-z]*\b/);
+    m = monthToken ? normalizeMonth(monthToken[1]) : '';
+  }
+  const d = m && parseInt(day, 10) ? String(parseInt(day, 10)).padStart(2, '0') : '';
+  const iso = [y, m, d].filter(Boolean).join('-');
+  return {
+    year: y,
+    month: m,
+    day: d,
+    iso,
+    raw: clean(raw) || [clean(year), clean(month), clean(day)].filter(Boolean).join(' '),
+  };
+}
+
+function withLegacyFields(record, { abstractFallback, source }) {
+  const names = record.authorList.map(author => author.name).filter(Boolean);
+  return {
+    ...record,
+    articletitle: record.abstract || abstractFallback,
+    sortfirstauthor: names.length > 0 ? names[0] : 'Unknown',
+    authors: names.join(', '),
+    authorsArray: names,
+    source,
+    pubdate: record.published.iso,
+    oaStatus: record.licenseHint,
+  };
+}
+
+function pubmedAuthor(authorEl) {
+  const family = text(authorEl, 'LastName');
+  const given = text(authorEl, 'ForeName');
+  const collective = text(authorEl, 'CollectiveName');
+  const orcidEl = Array.from(authorEl.querySelectorAll('Identifier')).find(el => el.getAttribute('Source') === 'ORCID');
+  return {
+    name: `${given} ${family}`.trim() || collective,
+    family,
+    given,
+    initials: text(authorEl, 'Initials') || initialsOf(given),
+    collective: family ? '' : collective,
+    orcid: cleanOrcid(orcidEl?.textContent),
+    affiliations: Array.from(authorEl.querySelectorAll('AffiliationInfo > Affiliation')).map(el => clean(el.textContent)).filter(Boolean),
+  };
+}
+
+function pubmedDate(pubmedArticle) {
+  const pubDate = pubmedArticle.querySelector('JournalIssue > PubDate');
+  const date = normalizeDate({
+    year: text(pubDate, 'Year'),
+    month: text(pubDate, 'Month'),
+    day: text(pubDate, 'Day'),
+    raw: text(pubDate, 'MedlineDate'),
+  });
+  if (date.year) {
+    return date;
+  }
+  // 没有期刊出版日期时退回到电子出版日期或进入 PubMed 的日期
+  const fallback = pubmedArticle.querySelector('ArticleDate')
+    || Array.from(pubmedArticle.querySelectorAll('History > PubMedPubDate')).find(el => el.getAttribute('PubStatus') === 'pubmed');
+  return normalizeDate({ year: text(fallback, 'Year'), month: text(fallback, 'Month'), day: text(fallback, 'Day') });
+}
+
+// CommentsCorrections 的 RefType -> 通知类型；只收录指向本文的通知（...In），不包括通知本身指向原文的 ...Of / ...For
+const NOTICE_TYPES = {
+  RetractionIn: 'retraction',
+  ErratumIn: 'erratum',
+  ExpressionOfConcernIn: 'expression_of_concern',
+};
+
+function pubmedNotices(pubmedArticle, publicationTypes) {
+  const notices = Array.from(pubmedArticle.querySelectorAll('CommentsCorrectionsList > CommentsCorrections'))
+    .filter(el => NOTICE_TYPES[el.getAttribute('RefType')])
+    .map(el => ({ type: NOTICE_TYPES[el.getAttribute('RefType')], pmid: text(el, 'PMID'), source: text(el, 'RefSource') }));
+  // 文献类型为 Retracted Publication 但没有链接撤稿声明时同样要提示
+  if (publicationTypes.includes('Retracted Publication') && !notices.some(notice => notice.type === 'retraction')) {
+    notices.unshift({ type: 'retraction', pmid: '', source: '' });
+  }
+  return notices;
+}
+
+/**
+ * Whether a paper record has been retracted. Records cached before
+ * `notices` existed count as not retracted.
+ */
+export function isRetracted(record) {
+  return (record.notices || []).some(notice => notice.type === 'retraction');
+}
+
+/**
+ * Parses one `<PubmedArticle>` element into a PaperRecord.
+ * @returns {PaperRecord}
+ */
+export function parsePubmedArticle(pubmedArticle) {
+  const articleIds = Array.from(pubmedArticle.querySelectorAll('PubmedData > ArticleIdList > ArticleId'));
+  const articleId = type => clean(articleIds.find(el => el.getAttribute('IdType') === type)?.textContent);
+  const doiLocation = Array.from(pubmedArticle.querySelectorAll('Article > ELocationID')).find(el => el.getAttribute('EIdType') === 'doi');
+  const journalIssue = pubmedArticle.querySelector('Journal > JournalIssue');
+  const publicationTypes = Array.from(pubmedArticle.querySelectorAll('PublicationTypeList > PublicationType')).map(el => clean(el.textContent));
+
+  const abstractSections = Array.from(pubmedArticle.querySelectorAll('Abstract > AbstractText')).map(el => ({
+    label: el.getAttribute('Label') || '',
+    category: el.getAttribute('NlmCategory') || '',
+    text: clean(el.textContent),
+  }));
+  const authorList = Array.from(pubmedArticle.querySelectorAll('AuthorList > Author')).map(pubmedAuthor).filter(author => author.name);
+  const pmid = text(pubmedArticle, 'MedlineCitation > PMID');
+  const pmcid = articleId('pmc').replace(/^PMC/i, '');
+  const journalTitle = text(pubmedArticle, 'Journal > Title');
+  const medlineTa = text(pubmedArticle, 'MedlineJournalInfo > MedlineTA');
+
+  const record = {
+    schemaVersion: RECORD_SCHEMA_VERSION,
+    db: 'pubmed',
+    uid: pmid,
+    pmid,
+    pmcid,
+    doi: clean(doiLocation?.textContent) || articleId('doi'),
+    title: text(pubmedArticle, 'Article > ArticleTitle'),
+    abstract: abstractSections.map(section => (section.label ? `${section.label}: ${section.text}` : section.text)).join(' '),
+    abstractSections,
+    authorList,
+    affiliations: unique(authorList.flatMap(author => author.affiliations)),
+    journal: {
+      title: journalTitle,
+      isoAbbreviation: text(pubmedArticle, 'Journal > ISOAbbreviation') || medlineTa,
+      issn: text(pubmedArticle, 'Journal > ISSN'),
+      volume: text(journalIssue, 'Volume'),
+      issue: text(journalIssue, 'Issue'),
+      pages: text(pubmedArticle, 'Pagination > MedlinePgn'),
+    },
+    published: pubmedDate(pubmedArticle),
+    language: text(pubmedArticle, 'Article > Language'),
+    keywords: Array.from(pubmedArticle.querySelectorAll('KeywordList > Keyword')).map(el => clean(el.textContent)).filter(Boolean),
+    mesh: Array.from(pubmedArticle.querySelectorAll('MeshHeadingList > MeshHeading')).map(heading => {
+      const descriptor = heading.querySelector('DescriptorName');
+      const qualifiers = Array.from(heading.querySelectorAll('QualifierName'));
+      return {
+        descriptor: clean(descriptor?.textContent),
+        ui: descriptor?.getAttribute('UI') || '',
+        majorTopic: descriptor?.getAttribute('MajorTopicYN') === 'Y' || qualifiers.some(el => el.getAttribute('MajorTopicYN') === 'Y'),
+        qualifiers: qualifiers.map(el => clean(el.textContent)),
+      };
+    }),
+    publicationTypes,
+    grants: Array.from(pubmedArticle.querySelectorAll('GrantList > Grant')).map(grant => ({
+      id: text(grant, 'GrantID'),
+      agency: text(grant, 'Agency'),
+      country: text(grant, 'Country'),
+    })),
+    notices: pubmedNotices(pubmedArticle, publicationTypes),
+    // PubMed 不包含 PMC 的许可证信息，需要合并 PMC 记录或查询 /api/paper/{id}/oa
+    pdfUrl: '',
+    licenseHint: pmcid ? 'unknown' : 'not_in_pmc',
+    license: '',
+    // 合并 PMC 副本时由 mergePmcCopy 替换
+    ...unmergedProvenance('pubmed'),
+  };
+
+  return withLegacyFields(record, { abstractFallback: 'No abstract available.', source: medlineTa || journalTitle });
+}
+
+function pmcAuthor(contrib, affiliationsById) {
+  const family = text(contrib, 'name surname');
+  const given = text(contrib, 'name given-names');
+  const collective = text(contrib, 'collab');
+  const orcidEl = Array.from(contrib.querySelectorAll('contrib-id')).find(el => /orcid/i.test(el.getAttribute('contrib-id-type') || el.textContent));
+  const affiliations = [
+    ...Array.from(contrib.querySelectorAll("xref[ref-type='aff']")).flatMap(xref => (xref.getAttribute('rid') || '').split(/\s+/)).map(rid => affiliationsById.get(rid)),
+    ...Array.from(contrib.querySelectorAll('aff')).map(affText),
+  ];
+  return {
+    name: `${given} ${family}`.trim() || collective,
+    family,
+    given,
+    initials: initialsOf(given),
+    collective: family ? '' : collective,
+    orcid: cleanOrcid(orcidEl?.textContent),
+    affiliations: unique(affiliations),
+  };
+}
+
+// aff 中的 label（上标数字）不属于机构名称
+function affText(aff) {
+  const clone = aff.cloneNode(true);
+  clone.querySelectorAll('label, sup').forEach(node => node.remove());
+  return clean(clone.textContent);
+}
+
+// 只返回文章中明确给出的 PDF，不再拼接 /pdf/ 目录地址（很多文章并没有 PDF）
+function pmcPdfUrl(article, pmcid) {
+  const selfUri = article.querySelector('self-uri');
+  if (selfUri) {
+    const selfUriContent = selfUri.getAttribute('content-type');
+    const selfUriHref = selfUri.getAttribute('xlink:href');
+    if (selfUriContent && selfUriContent.toLowerCase().includes('pdf') && selfUriHref) {
+      return /^https?:\/\//.test(selfUriHref) ? selfUriHref : `${PMC_ARTICLE_BASE}/PMC${pmcid}/pdf/${selfUriHref}`;
+    }
+  }
+  for (const link of Array.from(article.querySelectorAll('ext-link'))) {
+    const href = link.getAttribute('xlink:href');
+    if (href && href.toLowerCase().endsWith('.pdf')) {
+      return href;
+    }
+  }
+  return '';
+}
+
+const CC_LICENSE_URL = /creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)/i;
+
+/**
+ * Normalises a JATS `<license>` to the short form the PMC OA service uses,
+ * e.g. "CC BY", "CC BY-NC-ND" or "CC0". Other licences keep their
+ * `license-type`; '' when the article has none.
+ */
+export function normalizeLicense(licenseEl) {
+  if (!licenseEl) return '';
+  const href = licenseEl.getAttribute('xlink:href')
+    || licenseEl.querySelector('ext-link')?.getAttribute('xlink:href')
+    || Array.from(licenseEl.querySelectorAll('*')).find(el => el.localName === 'license_ref')?.textContent
+    || '';
+  const match = CC_LICENSE_URL.exec(href) || CC_LICENSE_URL.exec(licenseEl.textContent);
+  if (match) {
+    return match[1].toLowerCase() === 'publicdomain' ? (match[2].toLowerCase() === 'zero' ? 'CC0' : 'Public Domain') : `CC ${match[2].toUpperCase()}`;
+  }
+  const type = licenseEl.getAttribute('license-type') || '';
+  return type === 'open-access' ? 'Open Access' : type;
+}
+
+// 只是根据许可证推测，文章是否在开放获取子集中以 OA 服务（lib/oa.js）为准
+function licenseHintOf(license) {
+  return /^(CC|Open Access|Public Domain)/.test(license) ? 'open_access' : 'not_open_access';
+}
+
+/**
+ * Parses one JATS `<article>` element from PMC EFetch into a PaperRecord.
+ * @returns {PaperRecord}
+ */
+export function parsePmcArticle(article) {
+  const meta = article.querySelector('front article-meta') || article;
+  const articleId = type => text(meta, `article-id[pub-id-type='${type}']`);
+  const pmcid = (articleId('pmc') || articleId('pmcid')).replace(/^PMC/i, '');
+  const pmid = articleId('pmid');
+
+  const affiliationsById = new Map(Array.from(article.querySelectorAll('front aff')).map(aff => [aff.getAttribute('id'), affText(aff)]));
+  const authorList = Array.from(meta.querySelectorAll("contrib[contrib-type='author']")).map(contrib => pmcAuthor(contrib, affiliationsById)).filter(author => author.name);
+
+  const abstractEl = Array.from(meta.querySelectorAll('abstract')).find(el => !el.getAttribute('abstract-type')) || meta.querySelector('abstract');
+  const labelledSections = abstractEl ? Array.from(abstractEl.querySelectorAll('sec')) : [];
+  const abstractSections = labelledSections.length > 0
+    ? labelledSections.map(sec => ({ label: text(sec, 'title'), category: '', text: Array.from(sec.querySelectorAll('p')).map(p => clean(p.textContent)).join(' ') }))
+    : Array.from(abstractEl?.querySelectorAll('p') || []).map(p => ({ label: '', category: '', text: clean(p.textContent) }));
+
+  const pubDate = ['epub', 'ppub', 'collection']
+    .map(type => meta.querySelector(`pub-date[pub-type='${type}'], pub-date[date-type='pub'][publication-format='${type === 'epub' ? 'electronic' : 'print'}']`))
+    .find(Boolean) || meta.querySelector('pub-date');
+  const fpage = text(meta, 'fpage');
+  const lpage = text(meta, 'lpage');
+  const journalTitle = text(article, 'journal-meta journal-title');
+  const license = normalizeLicense(meta.querySelector('permissions license'));
+
+  const record = {
+    schemaVersion: RECORD_SCHEMA_VERSION,
+    db: 'pmc',
+    uid: pmid,
+    pmid,
+    pmcid,
+    doi: articleId('doi'),
+    title: text(meta, 'title-group > article-title'),
+    abstract: abstractSections.map(section => (section.label ? `${section.label}: ${section.text}` : section.text)).join(' '),
+    abstractSections,
+    authorList,
+    affiliations: unique([...authorList.flatMap(author => author.affiliations), ...affiliationsById.values()]),
+    journal: {
+      title: journalTitle,
+      isoAbbreviation: text(article, "journal-meta journal-id[journal-id-type='iso-abbrev']") || text(article, "journal-meta journal-id[journal-id-type='nlm-ta']"),
+      issn: text(article, "journal-meta issn[pub-type='ppub']") || text(article, 'journal-meta issn'),
+      volume: text(meta, 'volume'),
+      issue: text(meta, 'issue'),
+      pages: fpage ? (lpage && lpage !== fpage ? `${fpage}-${lpage}` : fpage) : text(meta, 'elocation-id'),
+    },
+    published: normalizeDate({
+      year: text(pubDate, 'year'),
+      month: text(pubDate, 'month') || text(pubDate, 'season'),
+      day: text(pubDate, 'day'),
+    }),
+    language: article.getAttribute('xml:lang') || '',
+    keywords: Array.from(meta.querySelectorAll('kwd-group kwd')).map(el => clean(el.textContent)).filter(Boolean),
+    mesh: [],
+    publicationTypes: unique([
+      article.getAttribute('article-type'),
+      ...Array.from(meta.querySelectorAll("article-categories subj-group[subj-group-type='heading'] > subject")).map(el => clean(el.textContent)),
+    ]),
+    grants: Array.from(meta.querySelectorAll('funding-group award-group')).map(group => ({
+      id: text(group, 'award-id'),
+      agency: text(group, 'funding-source institution') || text(group, 'funding-source'),
+      country: '',
+    })),
+    // PMC 的 JATS XML 中没有统一的撤稿和勘误链接，以 PubMed 记录为准
+    notices: [],
+    pdfUrl: pmcPdfUrl(article, pmcid),
+    licenseHint: licenseHintOf(license),
+    license,
+    ...unmergedProvenance('pmc'),
+  };
+
+  return withLegacyFields(record, { abstractFallback: 'No abstract available.', source: journalTitle });
+}
+
+/**
+ * Parses every article in an EFetch XML document of `db`, in document order.
+ * @returns {PaperRecord[]}
+ */
+export function parseArticles(db, xmlDoc) {
+  if (db === 'pubmed') {
+    return Array.from(xmlDoc.querySelectorAll('PubmedArticle')).map(parsePubmedArticle);
+  }
+  if (db === 'pmc') {
+    return Array.from(xmlDoc.querySelectorAll('article')).map(parsePmcArticle);
+  }
+  throw new Error(`Unsupported database for EFetch: ${db}`);
+}
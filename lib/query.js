@@ -0,0 +1,201 @@
+// lib/query.js
+// 把结构化的检索参数编译成 Entrez 检索式
+
+/**
+ * Structured parameters and the Entrez field tag each one searches.
+ * `join` is how several values of the same parameter are combined.
+ */
+export const QUERY_FIELDS = {
+  author: { tag: 'au', join: 'AND' },
+  journal: { tag: 'ta', join: 'OR' },
+  title: { tag: 'ti', join: 'AND' },
+  words: { tag: 'tiab', join: 'AND' },
+  mesh: { tag: 'mh', join: 'AND' },
+  pubtype: { tag: 'pt', join: 'OR' },
+  language: { tag: 'la', join: 'OR' },
+};
+
+// 前端可用的简短排序名 -> ESearch 的 sort 参数
+export const SORT_OPTIONS = {
+  relevance: 'relevance',
+  pubdate: 'pub_date',
+  firstauthor: 'Author',
+  journal: 'JournalName',
+};
+
+const FILTERS = {
+  pubmed: {
+    freefulltext: '"free full text"[sb]',
+    openaccess: '"pubmed pmc open access"[filter]',
+    retracted: '"retracted publication"[pt]',
+  },
+  pmc: {
+    openaccess: '"open access"[filter]',
+  },
+};
+
+export const RETRACTED_OPTIONS = ['include', 'exclude', 'flag'];
+
+/**
+ * The clause matching retracted publications in `db`, or undefined where
+ * retractions are not indexed (only PubMed has the publication type).
+ */
+export function retractedClause(db) {
+  return FILTERS[db]?.retracted;
+}
+
+/**
+ * Raised for structured input that cannot be compiled; handlers answer 400.
+ */
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// 用双引号包裹为短语，去掉会破坏检索式的字符；保留末尾的 * 通配符
+function quote(value) {
+  const cleaned = String(value).replace(/["[\]()]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned) {
+    throw new QueryError('Empty value in structured query');
+  }
+  return `"${cleaned}"`;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.flatMap(item => String(item).split(';')).map(item => item.trim()).filter(Boolean);
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1' || value === 'y';
+}
+
+// 接受 YYYY、YYYY/MM、YYYY/MM/DD 以及用 - 分隔的写法
+function normalizeDate(value, name) {
+  const match = String(value).trim().match(/^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?$/);
+  if (!match) {
+    throw new QueryError(`${name} must be YYYY, YYYY/MM or YYYY/MM/DD`);
+  }
+  return [match[1], match[2]?.padStart(2, '0'), match[3]?.padStart(2, '0')].filter(Boolean).join('/');
+}
+
+function group(clauses, operator) {
+  if (clauses.length === 1) return clauses[0];
+  return `(${clauses.join(` ${operator} `)})`;
+}
+
+function fieldClause(field, value) {
+  const definition = QUERY_FIELDS[field];
+  if (!definition) {
+    throw new QueryError(`Unknown query field: ${field}. Supported fields: ${Object.keys(QUERY_FIELDS).join(', ')}`);
+  }
+  return `${quote(value)}[${definition.tag}]`;
+}
+
+/**
+ * Compiles a boolean group tree:
+ * `{ and: [node] }`, `{ or: [node] }`, `{ not: node }`,
+ * `{ field: 'author', value: 'smith j' }` or `{ term: 'raw entrez' }`.
+ */
+export function compileGroup(node) {
+  if (!node || typeof node !== 'object') {
+    throw new QueryError('Query groups must be objects');
+  }
+  if (Array.isArray(node.and) || Array.isArray(node.or)) {
+    const operator = node.and ? 'AND' : 'OR';
+    const children = node.and || node.or;
+    if (children.length === 0) {
+      throw new QueryError(`Empty ${operator} group`);
+    }
+    return group(children.map(compileGroup), operator);
+  }
+  if (node.not) {
+    // Entrez 的 NOT 是二元运算，单独出现时以 all[sb] 作为左操作数
+    return `(all[sb] NOT ${compileGroup(node.not)})`;
+  }
+  if (node.field) {
+    return fieldClause(node.field, node.value);
+  }
+  if (node.term) {
+    return `(${node.term})`;
+  }
+  throw new QueryError('Query group nodes need one of: and, or, not, field, term');
+}
+
+/**
+ * Builds the Entrez term for `/api/search`. Every supplied part is ANDed:
+ * the raw `term`, each structured field, the date range, the full-text
+ * filters, the retraction filter and the JSON `query` group tree. Returns ''
+ * when nothing was given.
+ */
+export function compileQuery(input, db) {
+  const rawTerm = input.term ? String(input.term).trim() : '';
+  const clauses = [];
+
+  for (const [field, { join }] of Object.entries(QUERY_FIELDS)) {
+    const values = toList(input[field]);
+    if (values.length > 0) {
+      clauses.push(group(values.map(value => fieldClause(field, value)), join));
+    }
+  }
+
+  if (input.datefrom || input.dateto) {
+    const from = input.datefrom ? normalizeDate(input.datefrom, 'datefrom') : '1800';
+    const to = input.dateto ? normalizeDate(input.dateto, 'dateto') : '3000';
+    clauses.push(`${from}:${to}[dp]`);
+  }
+
+  for (const filter of ['freefulltext', 'openaccess']) {
+    if (isTrue(input[filter])) {
+      const clause = FILTERS[db]?.[filter];
+      if (!clause) {
+        throw new QueryError(`${filter} is not available for db=${db}`);
+      }
+      clauses.push(clause);
+    }
+  }
+
+  // exclude 去掉撤稿的文献；flag 不改变检索式，由 /api/search 另外标出撤稿的文献
+  if (input.retracted && input.retracted !== 'include') {
+    const clause = retractedClause(db);
+    if (!clause) {
+      throw new QueryError(`retracted=${input.retracted} is not available for db=${db}`);
+    }
+    if (input.retracted === 'exclude') {
+      clauses.push(`(all[sb] NOT ${clause})`);
+    }
+  }
+
+  if (input.query) {
+    let tree = input.query;
+    if (typeof tree === 'string') {
+      try {
+        tree = JSON.parse(tree);
+      } catch (error) {
+        throw new QueryError(`query must be a JSON group tree: ${error.message}`);
+      }
+    }
+    clauses.push(compileGroup(tree));
+  }
+
+  // 只有原始检索词时保持原样，不额外加括号
+  if (clauses.length === 0) {
+    return rawTerm;
+  }
+  return [rawTerm && `(${rawTerm})`, ...clauses].filter(Boolean).join(' AND ');
+}
+
+/**
+ * Maps the `sort` parameter to the ESearch value; unknown names are rejected.
+ */
+export function resolveSort(sort) {
+  if (!sort) return undefined;
+  const value = SORT_OPTIONS[sort] || Object.values(SORT_OPTIONS).find(option => option === sort);
+  if (!value) {
+    throw new QueryError(`Invalid sort. Supported sort options: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+  return value;
+}
@@ -0,0 +1,65 @@
+// lib/requests.js
+// 请求的开始与结束：分配请求 ID 并建立请求上下文，结束时写一行访问日志并记录接口指标
+import crypto from 'crypto';
+import { logger, requestContext } from './log.js';
+import { observeHttpRequest } from './metrics.js';
+
+const CONTEXT = Symbol('requestContext');
+
+// 沿用前面的代理给出的请求 ID，格式不可信时重新生成
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function incomingRequestId(req) {
+  const id = req.headers['x-request-id'];
+  return typeof id === 'string' && REQUEST_ID_PATTERN.test(id) ? id : '';
+}
+
+/**
+ * Starts the request context for `req`: a request ID (the caller's
+ * `X-Request-Id` when it looks safe, otherwise a new UUID) echoed in the
+ * `X-Request-Id` response header, read by the logger and sent with every
+ * NCBI call. When the response closes, one `Request completed` line is
+ * logged and the request is counted in the metrics under `context.route`.
+ * Calling it again for the same request re-enters the same context.
+ *
+ * Must run before the first `await` of the request so the context reaches
+ * everything the handler calls.
+ */
+export function beginRequest(req, res) {
+  if (req[CONTEXT]) {
+    requestContext.enterWith(req[CONTEXT]);
+    return req[CONTEXT];
+  }
+
+  const context = {
+    requestId: incomingRequestId(req) || crypto.randomUUID(),
+    method: req.method,
+    // 只记录路径，查询参数中可能带有 api_key
+    path: new URL(req.url || '/', 'http://localhost').pathname,
+    route: null,
+    clientId: undefined,
+    upstreamCalls: 0,
+    startedAt: process.hrtime.bigint(),
+  };
+  req[CONTEXT] = context;
+  req.requestId = context.requestId;
+  requestContext.enterWith(context);
+  res.setHeader('X-Request-Id', context.requestId);
+
+  res.once('close', () => {
+    const seconds = Number(process.hrtime.bigint() - context.startedAt) / 1e9;
+    const route = context.route || 'unmatched';
+    observeHttpRequest({ route, method: context.method, status: res.statusCode, seconds });
+    requestContext.run(context, () => logger.info('Request completed', {
+      method: context.method,
+      path: context.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      upstreamCalls: context.upstreamCalls,
+      client: context.clientId,
+      aborted: res.writableFinished ? undefined : true,
+    }));
+  });
+  return context;
+}
@@ -0,0 +1,164 @@
+// lib/saved.js
+// 保存的检索：存放在本地 JSON 文件中，记录检索式和已经见过的 ID，重新运行时只返回新增的文献
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { esearch } from './eutils.js';
+import { createJsonFile } from './jsonfile.js';
+
+export const SAVED_SEARCHES_FILE = process.env.SAVED_SEARCHES_FILE || path.join(os.tmpdir(), 'ncbi-proxy', 'saved-searches.json');
+
+// ESearch 单次最多返回 10000 个 ID
+const MAX_SEEN_IDS = 10000;
+// 每个检索只保留最近的运行记录，订阅源从这里取条目
+const MAX_RUNS = 20;
+
+export class SavedSearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SavedSearchError';
+    this.status = status;
+  }
+}
+
+const { read: readAll, update } = createJsonFile(SAVED_SEARCHES_FILE);
+
+// ESearch 的 mindate / maxdate 格式为 YYYY/MM/DD
+function entrezDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '/');
+}
+
+/**
+ * The public view of a saved search: everything except the full list of
+ * seen IDs, which is only reported as a count.
+ */
+export function describeSavedSearch(saved) {
+  const { seenIds, feed, ...rest } = saved;
+  return { ...rest, seenCount: seenIds.length };
+}
+
+/**
+ * The feed's own cursor (`lastRunAt`, `seenIds`, `runs`). Refreshing the
+ * feed advances only this cursor, so it never takes new IDs away from the
+ * next `POST /run`. Until the feed is first refreshed it starts from the
+ * state of the manual runs.
+ */
+export function feedState(saved) {
+  return saved.feed || { lastRunAt: saved.lastRunAt, seenIds: saved.seenIds, runs: saved.runs };
+}
+
+// authorizeClient 在 CLIENT_AUTH 不是 off 时把调用者记在 req.client；off 时没有身份，所有检索共用
+// （IncomingMessage 自带的 client 属性是 socket，没有 id）
+function ownerOf(req) {
+  return req.client?.id || null;
+}
+
+/**
+ * Whether the caller may see, run or delete a saved search: its owner (the
+ * client that created it) and the admin can; with CLIENT_AUTH=off everyone
+ * can. Anonymous callers of CLIENT_AUTH=optional share the `anonymous` owner.
+ */
+export function isVisibleTo(saved, req) {
+  const owner = ownerOf(req);
+  return !owner || Boolean(req.client.admin) || saved.owner === owner;
+}
+
+/**
+ * The saved searches the caller may see (see isVisibleTo), oldest first.
+ */
+export async function listSavedSearches(req) {
+  const searches = await readAll();
+  return Object.values(searches)
+    .filter(saved => isVisibleTo(saved, req))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getSavedSearch(id) {
+  const searches = await readAll();
+  return searches[id] || null;
+}
+
+/**
+ * Saves a compiled search for the calling client and records the IDs it
+ * currently matches, so the first run only reports papers added afterwards.
+ */
+export async function createSavedSearch(req, { name, db, term, sort, params }) {
+  const baseline = await esearch({ db, term, sort, retmax: MAX_SEEN_IDS });
+  const now = new Date().toISOString();
+  const saved = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: name || term,
+    db,
+    term,
+    sort: sort || '',
+    params,
+    owner: ownerOf(req),
+    createdAt: now,
+    lastRunAt: now,
+    seenIds: baseline.idlist || [],
+    runs: [],
+  };
+  await update(searches => {
+    searches[saved.id] = saved;
+  });
+  return saved;
+}
+
+export async function deleteSavedSearch(id) {
+  return update(searches => {
+    if (!searches[id]) return false;
+    delete searches[id];
+    return true;
+  });
+}
+
+/**
+ * Re-runs a saved search limited to papers that entered Entrez since the
+ * previous run (`datetype=edat`, `mindate` one day before the last run since
+ * Entrez dates have no time), and returns the IDs not seen before.
+ * `cursor` is `run` for manual runs or `feed` for feed refreshes (see
+ * feedState); each only advances its own state.
+ */
+export async function runSavedSearch(id, { cursor = 'run' } = {}) {
+  const saved = await getSavedSearch(id);
+  if (!saved) {
+    throw new SavedSearchError('Saved search not found', 404);
+  }
+  const stateOf = search => (cursor === 'feed' ? feedState(search) : search);
+
+  const now = new Date();
+  const since = new Date(new Date(stateOf(saved).lastRunAt).getTime() - 24 * 60 * 60 * 1000);
+  const result = await esearch({
+    db: saved.db,
+    term: saved.term,
+    sort: saved.sort || undefined,
+    datetype: 'edat',
+    mindate: entrezDate(since),
+    maxdate: entrezDate(now),
+    retmax: MAX_SEEN_IDS,
+  });
+
+  const run = {
+    at: now.toISOString(),
+    mindate: entrezDate(since),
+    newIds: [],
+  };
+
+  return update(searches => {
+    const current = searches[id];
+    if (!current) {
+      throw new SavedSearchError('Saved search not found', 404);
+    }
+    if (cursor === 'feed') {
+      current.feed = { ...feedState(current) };
+    }
+    const state = stateOf(current);
+    const seen = new Set(state.seenIds);
+    run.newIds = (result.idlist || []).filter(uid => !seen.has(uid));
+    // 新 ID 放在最前面，超出上限时丢弃最早见过的
+    state.seenIds = [...run.newIds, ...state.seenIds].slice(0, MAX_SEEN_IDS);
+    state.lastRunAt = run.at;
+    state.runs = [run, ...state.runs].slice(0, MAX_RUNS);
+    return { saved: current, run };
+  });
+}
@@ -0,0 +1,151 @@
+// lib/schema.js
+// OpenAPI 3.0 所用 JSON Schema 子集的校验器：只实现 lib/openapi.js 中用到的关键字，不引入额外依赖
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function resolveRef(schema, components) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const name = resolved.$ref.replace('#/components/schemas/', '');
+    resolved = components[name];
+    if (!resolved) {
+      throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+  }
+  return resolved;
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates `value` against `schema` and returns a list of
+ * `{ path, message }` problems, empty when the value is valid. Supports
+ * `$ref` to `components`, `type`, `nullable`, `enum`, `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `pattern`, `items`, `minItems`, `maxItems`,
+ * `properties`, `required`, `additionalProperties` and `oneOf`.
+ */
+export function validateSchema(schema, value, { components = {}, path = '' } = {}) {
+  const errors = [];
+  const fail = message => errors.push({ path: path || 'value', message: `${path || 'value'} ${message}` });
+  schema = resolveRef(schema, components);
+  if (!schema) return errors;
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) fail(`must be ${schema.type}, not null`);
+    return errors;
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => validateSchema(option, value, { components, path }).length === 0);
+    if (matching.length !== 1) {
+      fail(matching.length === 0 ? 'does not match any allowed form' : 'matches more than one allowed form');
+    }
+    return errors;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}, got ${describeType(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, { components, path: join(path, i) })));
+    }
+  }
+
+  if (matchesType('object', value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: `${join(path, key)} is required` });
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, { components, path: join(path, key) }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: `${join(path, key)} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, { components, path: join(path, key) }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function coerceScalar(schema, raw) {
+  const value = String(raw).trim();
+  switch (schema?.type) {
+    case 'integer':
+    case 'number':
+      return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Turns a raw query-string value (a string, or an array for repeated keys)
+ * into the type its parameter schema declares. Arrays accept repeated keys;
+ * with `explode: false` each value is also split on commas. Values that do
+ * not convert are returned unchanged so validation reports them.
+ */
+export function coerceParameter(parameter, raw, components = {}) {
+  const schema = resolveRef(parameter.schema, components);
+  if (schema?.type === 'array') {
+    let values = (Array.isArray(raw) ? raw : [raw]).map(String);
+    if (parameter.explode === false) {
+      values = values.flatMap(value => value.split(','));
+    }
+    return values.map(value => value.trim()).filter(Boolean).map(value => coerceScalar(resolveRef(schema.items, components), value));
+  }
+  return coerceScalar(schema, Array.isArray(raw) ? raw[raw.length - 1] : raw);
+}
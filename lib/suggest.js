@@ -0,0 +1,183 @@
+// lib/suggest.js
+// 拼写建议（ESpell）和输入联想（MeSH 主题词、期刊名、作者名）。
+// 联想结果放在一个小的进程内缓存中，前缀的全部结果已知时，更长的前缀直接在本地过滤，不再访问 NCBI
+import { JSDOM } from 'jsdom';
+import { esearch, esummary, eutilsRequest, EutilsError } from './eutils.js';
+import { cacheGet, cacheSet, MemoryStore, spellKey, PAPER_TTL } from './cache.js';
+import { logger } from './log.js';
+
+// 命中数少于此值时 /api/search 附带拼写建议
+export const SPARSE_RESULTS = 5;
+
+/**
+ * Runs ESpell on `term`. Resolves with `{ query, corrected }`, where
+ * `corrected` is '' when ESpell has nothing better than the query itself.
+ * Results are cached like paper records.
+ */
+export async function spellCheck(db, term) {
+  const key = spellKey(db, term);
+  const cached = await cacheGet(key);
+  if (cached) {
+    return { ...cached, cacheStatus: 'HIT' };
+  }
+
+  const xml = await eutilsRequest('espell', { db, term }, { responseType: 'text' });
+  const doc = new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+  if (!doc.querySelector('eSpellResult')) {
+    throw new EutilsError('ESpell returned an unexpected payload', { utility: 'espell', details: xml });
+  }
+  const error = doc.querySelector('ERROR')?.textContent.trim();
+  if (error) {
+    throw new EutilsError(`ESpell Error: ${error}`, { utility: 'espell', status: 400, details: error });
+  }
+
+  const corrected = doc.querySelector('CorrectedQuery')?.textContent.trim() || '';
+  const result = {
+    query: term,
+    corrected: corrected && corrected.toLowerCase() !== term.toLowerCase() ? corrected : '',
+  };
+  await cacheSet(key, result, PAPER_TTL);
+  return { ...result, cacheStatus: 'MISS' };
+}
+
+/**
+ * The "did you mean" term for a search, or '' when there is none. Never
+ * throws: a failing ESpell must not fail the search itself.
+ */
+export async function didYouMean(db, term) {
+  try {
+    return (await spellCheck(db, term)).corrected;
+  } catch (error) {
+    logger.warn('Spelling suggestion failed', { db, error });
+    return '';
+  }
+}
+
+// ---- 输入联想 ----
+
+// Entrez 的截词检索（term*）要求 * 前至少有 4 个字符
+export const MIN_PREFIX = 4;
+// 每种类型向 NCBI 请求的条数；命中数不超过它时说明该前缀的结果已经完整
+const FETCH_SIZE = 20;
+const AUTOCOMPLETE_TTL = 60 * 60;
+
+const localCache = new MemoryStore({ maxEntries: parseInt(process.env.AUTOCOMPLETE_CACHE_SIZE, 10) || 1000 });
+const inFlight = new Map();
+
+const startsWith = (text, prefix) => text.toLowerCase().startsWith(prefix);
+
+// 每种联想：ESearch 的数据库和检索式、缓存时保留的 ESummary 字段，以及从文档中取出以前缀开头的条目。
+// field 是 /api/search 中对应的参数名，前端可以直接把 value 填进去
+const SOURCES = {
+  mesh: {
+    field: 'mesh',
+    db: 'mesh',
+    keep: ['ds_meshui', 'ds_meshterms'],
+    term: prefix => `${prefix}*`,
+    items: (docs, prefix) => docs.flatMap(doc => {
+      const terms = doc.ds_meshterms || [];
+      const match = terms.find(term => startsWith(term, prefix));
+      return match ? [{ value: terms[0], label: match === terms[0] ? terms[0] : `${match} → ${terms[0]}`, id: doc.ds_meshui || '' }] : [];
+    }),
+  },
+  journal: {
+    field: 'journal',
+    db: 'nlmcatalog',
+    keep: ['titlemainlist', 'medlineta', 'isoabbreviation', 'issnlist'],
+    term: prefix => `${prefix}*[Title] AND ncbijournals[Filter]`,
+    items: (docs, prefix) => docs.flatMap(doc => {
+      const title = (doc.titlemainlist?.[0]?.title || '').replace(/\.$/, '');
+      const abbreviation = doc.medlineta || doc.isoabbreviation || '';
+      if (!startsWith(title, prefix) && !startsWith(abbreviation, prefix)) return [];
+      return [{ value: abbreviation || title, label: title, id: doc.issnlist?.[0]?.issn || '' }];
+    }),
+  },
+  // 作者没有单独的数据库：检索以前缀开头的作者的文章，再统计其中匹配的作者名，按出现次数排序
+  author: {
+    field: 'author',
+    db: 'pubmed',
+    keep: ['authors'],
+    term: prefix => `${prefix}*[Author]`,
+    items: (docs, prefix) => {
+      const counts = new Map();
+      for (const doc of docs) {
+        for (const author of doc.authors || []) {
+          if (author.authtype === 'Author' && startsWith(author.name, prefix)) {
+            counts.set(author.name, (counts.get(author.name) || 0) + 1);
+          }
+        }
+      }
+      return [...counts].sort((a, b) => b[1] - a[1]).map(([name]) => ({ value: name, label: name, id: '' }));
+    },
+  },
+};
+
+export const SUGGESTION_TYPES = Object.keys(SOURCES);
+
+function normalizePrefix(q) {
+  return q.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+async function fetchSuggestions(type, prefix) {
+  const source = SOURCES[type];
+  const result = await esearch({ db: source.db, term: source.term(prefix), retmax: FETCH_SIZE });
+  const ids = result.idlist || [];
+  let docs = [];
+  if (ids.length > 0) {
+    const summaries = await esummary({ db: source.db, id: ids.join(',') });
+    docs = (summaries.uids || []).map(uid => summaries[uid]).filter(Boolean)
+      .map(doc => Object.fromEntries(source.keep.map(field => [field, doc[field]])));
+  }
+  // 命中数不超过 FETCH_SIZE 时已取到全部结果，更长的前缀可以在本地过滤
+  return { docs, complete: (parseInt(result.count, 10) || 0) <= FETCH_SIZE };
+}
+
+// 依次查找：本前缀的缓存、结果完整的更短前缀的缓存、NCBI（同一前缀同时只请求一次）
+async function lookup(type, prefix) {
+  const items = entry => SOURCES[type].items(entry.docs, prefix);
+  const key = `${type}:${prefix}`;
+  const cached = await localCache.get(key);
+  if (cached) {
+    return { items: items(cached), hit: true };
+  }
+  for (let length = prefix.length - 1; length >= MIN_PREFIX; length--) {
+    const shorter = await localCache.get(`${type}:${prefix.slice(0, length)}`);
+    if (shorter?.complete) {
+      return { items: items(shorter), hit: true };
+    }
+  }
+
+  if (!inFlight.has(key)) {
+    const pending = fetchSuggestions(type, prefix)
+      .then(async entry => {
+        await localCache.set(key, entry, AUTOCOMPLETE_TTL);
+        return entry;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return { items: items(await inFlight.get(key)), hit: false };
+}
+
+/**
+ * Suggestions for what the user has typed so far, up to `limit` per type,
+ * in the order of `types`. Each suggestion is `{ type, field, value, label,
+ * id }`: `field` is the /api/search parameter `value` belongs in. Prefixes
+ * shorter than MIN_PREFIX return nothing without calling NCBI.
+ * `cacheStatus` is HIT when no NCBI call was needed.
+ */
+export async function autocomplete(q, { types = SUGGESTION_TYPES, limit = 5 } = {}) {
+  const prefix = normalizePrefix(q);
+  if (prefix.length < MIN_PREFIX) {
+    return { q, suggestions: [], cacheStatus: 'HIT' };
+  }
+  const results = await Promise.all(types.map(type => lookup(type, prefix)));
+  const suggestions = results.flatMap((result, i) => result.items.slice(0, limit).map(item => ({
+    type: types[i],
+    field: SOURCES[types[i]].field,
+    value: item.value,
+    label: item.label,
+    id: item.id,
+  })));
+  return { q, suggestions, cacheStatus: results.every(result => result.hit) ? 'HIT' : 'MISS' };
+}
@@ -0,0 +1,284 @@
+// server.js
+// 独立部署用的 HTTP 服务：扫描 api/ 目录并按与 Vercel 相同的规则挂载路由（包括 [id] 动态段），
+// 为处理函数补上 Vercel 提供的 req.query / req.body / res.status().json() 等辅助方法
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { flushUsage } from './lib/clients.js';
+import { allowOrigin, parseOrigins } from './lib/cors.js';
+import { logger } from './lib/log.js';
+import { beginRequest } from './lib/requests.js';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT_DIR, 'api');
+
+// 请求体上限，与 Vercel 默认的 4.5 MB 接近
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Reads the server settings from the environment. The NCBI settings are read
+ * by lib/eutils.js itself; they are only reported here at startup.
+ */
+export function getServerConfig() {
+  return {
+    port: parseInt(process.env.PORT, 10) || 3000,
+    host: process.env.HOST || '0.0.0.0',
+    corsOrigins: parseOrigins(process.env.CORS_ORIGINS),
+    shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000,
+  };
+}
+
+function listHandlerFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listHandlerFiles(full);
+    return entry.isFile() && entry.name.endsWith('.js') ? [full] : [];
+  });
+}
+
+/**
+ * Turns every file under `api/` into a route. `api/paper/[id]/links.js`
+ * matches `/api/paper/<id>/links` with `req.query.id` set; `index.js` maps
+ * to its directory. Static segments win over dynamic ones, as on Vercel.
+ */
+export async function loadRoutes(apiDir = API_DIR) {
+  const routes = [];
+  for (const file of listHandlerFiles(apiDir)) {
+    const relative = path.relative(apiDir, file).replace(/\.js$/, '').split(path.sep);
+    if (relative[relative.length - 1] === 'index') relative.pop();
+    const segments = ['api', ...relative].map(segment => {
+      const param = segment.match(/^\[(\w+)\]$/);
+      return param ? { param: param[1] } : { literal: segment };
+    });
+    const module = await import(pathToFileURL(file).href);
+    if (typeof module.default !== 'function') {
+      logger.warn('Handler has no default export, skipped', { file });
+      continue;
+    }
+    routes.push({ file, segments, handler: module.default });
+  }
+  // 逐段比较：静态段排在动态段之前
+  const rank = route => route.segments.map(segment => (segment.param ? '1' : '0')).join('');
+  routes.sort((a, b) => rank(a).localeCompare(rank(b)));
+  return routes;
+}
+
+function matchRoute(routes, pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(part => {
+    try {
+      return decodeURIComponent(part);
+    } catch (error) {
+      return part;
+    }
+  });
+  for (const route of routes) {
+    if (route.segments.length !== parts.length) continue;
+    const params = {};
+    const matched = route.segments.every((segment, i) => {
+      if (segment.param) {
+        params[segment.param] = parts[i];
+        return true;
+      }
+      return segment.literal === parts[i];
+    });
+    if (matched) return { route, params };
+  }
+  return null;
+}
+
+// 与 Vercel 一致：重复的查询参数变成数组
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+class BodyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new BodyError('Request body too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// 按 Content-Type 解析请求体，和 Vercel 的行为一致：JSON、表单、纯文本，其余保留 Buffer
+async function parseBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return undefined;
+  }
+  const raw = await readBody(req);
+  if (raw.length === 0) {
+    return undefined;
+  }
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType === 'application/json' || contentType.endsWith('+json')) {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw new BodyError('Invalid JSON body', 400);
+    }
+  }
+  if (contentType === 'application/x-www-form-urlencoded') {
+    return parseQuery(new URLSearchParams(raw.toString('utf8')));
+  }
+  if (contentType.startsWith('text/')) {
+    return raw.toString('utf8');
+  }
+  return raw;
+}
+
+function addResponseHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = body => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(body);
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(String(body));
+    }
+    return res;
+  };
+  res.redirect = (statusOrUrl, url) => {
+    const [code, location] = url === undefined ? [307, statusOrUrl] : [statusOrUrl, url];
+    res.writeHead(code, { Location: location });
+    res.end();
+    return res;
+  };
+}
+
+/**
+ * Builds the request listener: routes the request, adds the helpers and
+ * turns anything a handler throws into a 500 JSON error.
+ */
+export function createApp(routes, config = getServerConfig()) {
+  return async function app(req, res) {
+    addResponseHelpers(res);
+    // 未匹配的路由和请求体错误也有请求 ID、访问日志和指标；处理函数中的 authorizeClient 会沿用同一个上下文
+    const context = beginRequest(req, res);
+    // 处理函数里的 authorizeClient 也会调用，这里覆盖未匹配路由的 404
+    allowOrigin(req, res, config.corsOrigins);
+
+    const url = new URL(req.url, 'http://localhost');
+    const match = matchRoute(routes, url.pathname.replace(/\.js$/, ''));
+    if (!match) {
+      return res.status(404).json({ error: 'Not found', details: url.pathname });
+    }
+    context.route = '/' + match.route.segments.map(segment => (segment.param ? `{${segment.param}}` : segment.literal)).join('/');
+
+    try {
+      // 路径参数覆盖同名查询参数，与 Vercel 一致
+      req.query = { ...parseQuery(url.searchParams), ...match.params };
+      req.body = await parseBody(req);
+      await match.route.handler(req, res);
+    } catch (error) {
+      if (error instanceof BodyError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Unhandled error in handler', { file: match.route.file, error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      } else {
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * Starts the server and installs SIGINT / SIGTERM handlers that stop
+ * accepting connections, let in-flight requests finish, write pending
+ * client usage and exit, or force the exit after `shutdownTimeout` ms.
+ */
+export async function startServer(config = getServerConfig()) {
+  const routes = await loadRoutes();
+  const server = http.createServer(createApp(routes, config));
+
+  await new Promise(resolve => server.listen(config.port, config.host, resolve));
+  const { port } = server.address();
+  logger.info('Server listening', {
+    url: `http://${config.host}:${port}`,
+    routes: routes.length,
+    ncbiApiKey: Boolean(process.env.NCBI_API_KEY),
+    corsOrigins: config.corsOrigins,
+  });
+
+  let shuttingDown = false;
+  const shutdown = signal => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+    // 用量每 2 秒才写一次文件，退出前把还没写的部分写完，否则重启后当天的配额会少算
+    const exit = code => flushUsage()
+      .catch(error => logger.warn('Usage flush failed', { error }))
+      .finally(() => process.exit(code));
+    const timer = setTimeout(() => {
+      logger.error('Shutdown timed out, closing open connections');
+      server.closeAllConnections();
+      exit(1);
+    }, config.shutdownTimeout);
+    timer.unref();
+    server.close(() => {
+      logger.info('Server closed');
+      exit(0);
+    });
+    server.closeIdleConnections();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+}
+
+if (process.argv[1] && pathToFileURL(path.resolve(process.argv[1])).href === import.meta.url) {
+  // 本地部署时可以把配置写在 .env 中（process.loadEnvFile 需要 Node 20.12 以上）
+  if (fs.existsSync(path.join(ROOT_DIR, '.env'))) {
+    if (typeof process.loadEnvFile === 'function') {
+      process.loadEnvFile(path.join(ROOT_DIR, '.env'));
+    } else {
+      logger.warn('.env ignored, reading it needs Node 20.12 or later', { node: process.version });
+    }
+  }
+  startServer().catch(error => {
+    logger.error('Server failed to start', { error });
+    process.exit(1);
+  });
+}
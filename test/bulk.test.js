@@ -0,0 +1,108 @@
+// test/bulk.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+const EMPTY_PUBMED = '<?xml version="1.0" ?>\n<PubmedArticleSet></PubmedArticleSet>';
+
+describe('/api/bulk', () => {
+  let app;
+
+  async function exportLines(query) {
+    const res = await app.request(`/api/bulk?${query}`);
+    assert.equal(res.status, 200);
+    return { res, lines: (await res.text()).trim().split('\n').map(line => JSON.parse(line)) };
+  }
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('streams NDJSON records with a progress line after every batch', async () => {
+    const { res, lines } = await exportLines('term=crispr&batch=2');
+    assert.match(res.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.equal(res.headers.get('x-total-count'), '3');
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.deepEqual(lines.map(line => line.type), ['record', 'record', 'progress', 'record', 'progress', 'end']);
+    assert.deepEqual(lines.filter(line => line.type === 'record').map(line => [line.position, line.record.pmid]), [
+      [0, '31452104'], [1, '30000002'], [2, '30000001'],
+    ]);
+
+    const [first, last] = lines.filter(line => line.type === 'progress');
+    assert.equal(first.exported, 2);
+    assert.equal(first.position, 2);
+    assert.equal(first.total, 3);
+    assert.ok(first.cursor);
+    assert.equal(last.cursor, null);
+    assert.deepEqual(lines.at(-1), { type: 'end', exported: 3, position: 3, total: 3, cursor: null });
+  });
+
+  it('writes one CSV row per record', async () => {
+    const res = await app.request('/api/bulk?term=crispr&format=csv');
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="export.csv"');
+    const rows = (await res.text()).trim().split('\r\n');
+    assert.equal(rows.length, 5);
+    assert.match(rows[0], /^position,pmid,pmcid,doi,title,/);
+    assert.match(rows[1], /^0,31452104,PMC6907074,/);
+    assert.equal(rows.at(-1), '# end exported=3 total=3');
+  });
+
+  it('ends an interrupted CSV export with an error line and the cursor', async () => {
+    app.fake.failNext('efetch', { status: 500, body: 'Internal Server Error', contentType: 'text/plain', times: 10 });
+    const res = await app.request('/api/bulk?term=crispr&format=csv');
+    assert.equal(res.status, 200);
+    const rows = (await res.text()).trim().split('\r\n');
+    assert.equal(rows.length, 2);
+    const match = /^# error position=0 cursor=(\S+) details=./.exec(rows.at(-1));
+    assert.ok(match, rows.at(-1));
+
+    await app.reset();
+    const resumed = (await (await app.request(`/api/bulk?cursor=${match[1]}&format=csv`)).text()).trim().split('\r\n');
+    assert.equal(resumed.length, 5);
+    assert.equal(resumed.at(-1), '# end exported=3 total=3');
+  });
+
+  it('resumes from the cursor of an interrupted export', async () => {
+    const { lines } = await exportLines('term=crispr&batch=1&max=1');
+    const { cursor } = lines.at(-1);
+    assert.ok(cursor);
+
+    const resumed = await exportLines(`cursor=${cursor}`);
+    assert.deepEqual(resumed.lines.filter(line => line.type === 'record').map(line => [line.position, line.record.pmid]), [
+      [1, '30000002'], [2, '30000001'],
+    ]);
+    // 游标中保存的是检索式，续传时重新检索
+    assert.equal(app.fake.callsTo('esearch').at(-1).params.term, 'crispr');
+
+    const malformed = await app.request('/api/bulk?cursor=nope');
+    assert.equal(malformed.status, 400);
+  });
+
+  it('advances by the requested batch when EFetch skips a record', async () => {
+    const { lines } = await exportLines('term=deleted+record&batch=2');
+    assert.deepEqual(lines.filter(line => line.type === 'record').map(line => line.record.pmid), ['31452104', '30000001']);
+    assert.deepEqual(lines.filter(line => line.type === 'progress').map(line => [line.exported, line.position]), [[1, 2], [2, 3]]);
+    // 不会从缺失的记录处重新获取
+    const windows = app.fake.callsTo('efetch').filter(call => call.params.db === 'pubmed').map(call => call.params.retstart);
+    assert.deepEqual(windows, ['0', '2']);
+  });
+
+  it('refreshes the WebEnv once when a batch comes back empty', async () => {
+    app.fake.failNext('efetch', { status: 200, contentType: 'text/xml', body: EMPTY_PUBMED });
+    const { lines } = await exportLines('term=crispr');
+    assert.equal(lines.filter(line => line.type === 'record').length, 3);
+    assert.equal(lines.at(-1).type, 'end');
+    assert.equal(app.fake.callsTo('esearch').filter(call => call.params.usehistory === 'y').length, 2);
+
+    // 重新检索后仍然为空时以 error 行结束，游标指向未导出的位置
+    await app.reset();
+    app.fake.failNext('efetch', { status: 200, contentType: 'text/xml', body: EMPTY_PUBMED, times: 2 });
+    const failed = await exportLines('term=crispr');
+    const error = failed.lines.at(-1);
+    assert.equal(error.type, 'error');
+    assert.equal(error.position, 0);
+    assert.ok(error.cursor);
+  });
+});
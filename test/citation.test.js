@@ -0,0 +1,116 @@
+// test/citation.test.js
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { CITATION_FORMATS } from '../lib/citation.js';
+import { startTestServer } from './helpers.js';
+
+const ABSTRACT = 'Base editors install point mutations without double-strand breaks. We measured their activity at 120 genomic sites in three human cell lines and found that editing windows depend on the protospacer sequence.';
+
+// 只包含导出用到的字段的论文记录（完整定义见 lib/parser.js）
+function paper(overrides = {}) {
+  return {
+    pmid: '31452104',
+    pmcid: '6907074',
+    doi: '10.1038/s41586-019-1711-4',
+    title: 'Cas9 & base editors: 100% on_target {fast} at ~2^10 sites',
+    abstract: ABSTRACT,
+    authorList: [
+      { name: 'Andrew V. Anzalone', family: 'Anzalone', given: 'Andrew V.', initials: 'AV', collective: '' },
+      { name: 'Genome Editing Consortium', family: '', given: '', initials: '', collective: 'Genome Editing Consortium' },
+    ],
+    journal: { title: 'Nature', isoAbbreviation: 'Nature', issn: '1476-4687', volume: '576', issue: '7785', pages: '149-157' },
+    published: { year: '2019', month: '12', day: '05' },
+    language: 'eng',
+    publicationTypes: ['Journal Article'],
+    keywords: ['prime editing'],
+    notices: [],
+    ...overrides,
+  };
+}
+
+const format = (name, papers) => CITATION_FORMATS[name].format(papers);
+
+describe('lib/citation.js', () => {
+  it('escapes BibTeX special characters and braces group authors', () => {
+    const bibtex = format('bibtex', [paper()]);
+    assert.match(bibtex, /^@article\{Anzalone2019_31452104,\n/);
+    assert.match(bibtex, /^ {2}title = \{\{Cas9 \\& base editors: 100\\% on\\_target \\\{fast\\\} at \\textasciitilde\{\}2\\textasciicircum\{\}10 sites\}\},$/m);
+    assert.match(bibtex, /^ {2}author = \{Anzalone, Andrew V\. and \{Genome Editing Consortium\}\},$/m);
+    assert.match(bibtex, /^ {2}month = dec,$/m);
+    assert.match(bibtex, /^ {2}pages = \{149--157\},$/m);
+    assert.match(bibtex, /^ {2}pmcid = \{PMC6907074\},$/m);
+    // url 不转义
+    assert.match(bibtex, /^ {2}url = \{https:\/\/pubmed\.ncbi\.nlm\.nih\.gov\/31452104\/\},$/m);
+    assert.ok(bibtex.endsWith('}\n'));
+
+    const group = format('bibtex', [paper({ authorList: paper().authorList.slice(1), pmid: '', published: { year: '', month: '', day: '' } })]);
+    assert.match(group, /^@article\{GenomeEditingConsortiumnd_PMC6907074,/);
+  });
+
+  it('writes RIS with CRLF line endings and an ER line after every record', () => {
+    const ris = format('ris', [paper(), paper({ pmid: '30000002', keywords: [] })]);
+    assert.ok(!/[^\r]\n/.test(ris), 'every line ends with CRLF');
+    const records = ris.split('\r\n\r\n');
+    assert.equal(records.length, 2);
+    for (const record of records) {
+      const lines = record.replace(/\r\n$/, '').split('\r\n');
+      assert.equal(lines[0], 'TY  - JOUR');
+      assert.equal(lines.at(-1), 'ER  - ');
+    }
+    assert.match(ris, /\r\nAU {2}- Anzalone, Andrew V\.\r\nAU {2}- Genome Editing Consortium\r\n/);
+    assert.match(ris, /\r\nDA {2}- 2019\/12\/05\r\n/);
+    assert.match(ris, /\r\nSP {2}- 149\r\nEP {2}- 157\r\n/);
+    assert.ok(ris.endsWith('ER  - \r\n'));
+  });
+
+  it('gives CSL-JSON date-parts as precise as the publication date', () => {
+    const issued = published => JSON.parse(format('csl', [paper({ published })]))[0].issued;
+    assert.deepEqual(issued({ year: '2019', month: '12', day: '05' }), { 'date-parts': [[2019, 12, 5]] });
+    assert.deepEqual(issued({ year: '2019', month: '12', day: '' }), { 'date-parts': [[2019, 12]] });
+    assert.deepEqual(issued({ year: '2019', month: '', day: '' }), { 'date-parts': [[2019]] });
+    assert.equal(issued({ year: '', month: '', day: '' }), undefined);
+
+    const [item] = JSON.parse(format('csl', [paper()]));
+    assert.equal(item.id, '31452104');
+    assert.deepEqual(item.author, [{ family: 'Anzalone', given: 'Andrew V.' }, { literal: 'Genome Editing Consortium' }]);
+    assert.equal(item.PMCID, 'PMC6907074');
+    assert.equal(item.note, undefined);
+  });
+
+  it('wraps MEDLINE fields at 88 characters with indented continuation lines', () => {
+    const medline = format('medline', [paper()]);
+    const lines = medline.trimEnd().split('\n');
+    assert.ok(lines.every(line => line.length <= 88), 'no line is longer than 88 characters');
+
+    const start = lines.findIndex(line => line.startsWith('AB  - '));
+    const continuation = [];
+    for (let i = start + 1; lines[i].startsWith('      '); i++) continuation.push(lines[i]);
+    assert.ok(continuation.length > 0);
+    assert.equal([lines[start].slice(6), ...continuation.map(line => line.slice(6))].join(' '), ABSTRACT);
+
+    assert.match(medline, /^DP {2}- 2019 Dec 5$/m);
+    assert.match(medline, /^FAU - Anzalone, Andrew V\.$/m);
+    assert.match(medline, /^AU {2}- Anzalone AV$/m);
+    assert.match(medline, /^CN {2}- Genome Editing Consortium$/m);
+    assert.match(medline, /^SO {2}- Nature\. 2019 Dec;576\(7785\):149-157\.$/m);
+  });
+});
+
+describe('/api/export file names', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+
+  it('names the download with the extension of each format', async () => {
+    const expected = { bibtex: 'bib', ris: 'ris', csl: 'json', medline: 'nbib' };
+    for (const [name, extension] of Object.entries(expected)) {
+      const res = await app.request(`/api/export?db=pubmed&ids=30000002&format=${name}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-disposition'), `attachment; filename="citations.${extension}"`);
+      assert.equal(res.headers.get('content-type'), CITATION_FORMATS[name].contentType);
+    }
+  });
+});
@@ -0,0 +1,211 @@
+// test/clients.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+const bearer = key => ({ Authorization: `Bearer ${key}` });
+
+describe('client API keys', () => {
+  let app;
+
+  async function issue(body) {
+    const res = await app.request('/api/clients', {
+      method: 'POST',
+      headers: { ...ADMIN, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assert.equal(res.status, 201);
+    return res.json();
+  }
+
+  before(async () => {
+    app = await startTestServer();
+    process.env.CLIENT_ADMIN_TOKEN = 'test-admin-token';
+  });
+  after(() => app.close());
+  beforeEach(async () => {
+    process.env.CLIENT_AUTH = 'required';
+    delete process.env.CORS_ORIGINS;
+    await app.reset();
+  });
+
+  it('requires a valid key when CLIENT_AUTH=required', async () => {
+    const missing = await app.request('/api/paper/31452104');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await app.request('/api/paper/31452104', { headers: bearer('ncbp_nope') })).status, 401);
+    assert.equal(app.fake.calls.length, 0);
+
+    process.env.CLIENT_AUTH = 'optional';
+    assert.equal((await app.request('/api/paper/31452104')).status, 200);
+  });
+
+  it('issues keys that are shown once and can be revoked', async () => {
+    const issued = await issue({ name: 'Reading list app' });
+    assert.match(issued.key, /^ncbp_/);
+    assert.ok(issued.key.startsWith(issued.keyPrefix));
+
+    const res = await app.request('/api/paper/31452104', { headers: bearer(issued.key) });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-ratelimit-limit'), '60');
+
+    const list = await (await app.request('/api/clients', { headers: ADMIN })).json();
+    const listed = list.clients.find(client => client.id === issued.id);
+    assert.equal(listed.name, 'Reading list app');
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+    assert.equal((await app.request('/api/clients', { headers: bearer(issued.key) })).status, 401);
+
+    const revoked = await app.request(`/api/clients/${issued.id}`, { method: 'DELETE', headers: ADMIN });
+    assert.equal(revoked.status, 200);
+    assert.ok((await revoked.json()).revokedAt);
+    const refused = await app.request('/api/paper/31452104', { headers: bearer(issued.key) });
+    assert.equal(refused.status, 401);
+    assert.match((await refused.json()).error, /revoked/);
+  });
+
+  it('answers 429 with Retry-After past the rate limit or the daily quota', async () => {
+    const limited = await issue({ name: 'Rate limited', rateLimit: 2 });
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await app.request('/api/paper/31452104', { headers: bearer(limited.key) })).status, 200);
+    }
+    const tooFast = await app.request('/api/paper/31452104', { headers: bearer(limited.key) });
+    assert.equal(tooFast.status, 429);
+    assert.ok(Number(tooFast.headers.get('retry-after')) > 0);
+    assert.match(tooFast.headers.get('access-control-expose-headers'), /Retry-After/);
+
+    const quota = await issue({ name: 'Daily quota', dailyQuota: 1 });
+    assert.equal((await app.request('/api/paper/31452104', { headers: bearer(quota.key) })).status, 200);
+    const overQuota = await app.request('/api/paper/31452104', { headers: bearer(quota.key) });
+    assert.equal(overQuota.status, 429);
+    assert.match((await overQuota.json()).error, /Daily quota of 1/);
+    assert.ok(Number(overQuota.headers.get('retry-after')) <= 24 * 60 * 60);
+  });
+
+  it('limits anonymous requests by socket address unless TRUST_PROXY is set', async () => {
+    process.env.CLIENT_AUTH = 'optional';
+    process.env.ANONYMOUS_RATE_LIMIT = '2';
+    const from = address => app.request('/api/paper/31452104', { headers: { 'X-Forwarded-For': address } });
+    try {
+      // 每次换一个伪造的 X-Forwarded-For 也绕不过限速
+      const statuses = [];
+      for (let i = 1; i <= 3; i++) statuses.push((await from(`198.51.100.${i}`)).status);
+      assert.equal(statuses.at(-1), 429);
+
+      // 信任代理时按代理追加的最后一项区分，客户端写在前面的地址不起作用
+      process.env.TRUST_PROXY = 'true';
+      for (let i = 1; i <= 3; i++) {
+        assert.equal((await from(`198.51.100.1, 203.0.113.${i}`)).status, 200);
+      }
+    } finally {
+      delete process.env.ANONYMOUS_RATE_LIMIT;
+      delete process.env.TRUST_PROXY;
+    }
+  });
+
+  it('reports requests, NCBI calls and bytes per key', async () => {
+    const client = await issue({ name: 'Metered' });
+    const other = await issue({ name: 'Someone else' });
+    const res = await app.request('/api/paper/31452104', { headers: bearer(client.key) });
+    const bytes = (await res.arrayBuffer()).byteLength;
+    const upstreamCalls = app.fake.calls.length;
+    await app.request('/api/paper/31452104', { headers: bearer(other.key) });
+
+    const own = await (await app.request('/api/usage', { headers: bearer(client.key) })).json();
+    assert.deepEqual(own.clients.map(entry => entry.id), [client.id]);
+    // 查询用量的这次请求也计入请求数
+    assert.equal(own.clients[0].totals.requests, 2);
+    assert.ok(upstreamCalls > 0);
+    assert.equal(own.clients[0].totals.upstreamCalls, upstreamCalls);
+    assert.equal(own.clients[0].totals.bytes, bytes);
+    assert.ok(own.since <= own.clients[0].daily[0].day);
+
+    const all = await (await app.request('/api/usage?days=1', { headers: ADMIN })).json();
+    const otherUsage = all.clients.find(entry => entry.id === other.id);
+    assert.equal(otherUsage.totals.requests, 1);
+    // 第二次请求命中缓存，不再调用 NCBI
+    assert.equal(otherUsage.totals.upstreamCalls, 0);
+  });
+
+  it('keeps the usage report to the admin when CLIENT_AUTH=off', async () => {
+    const client = await issue({ name: 'Hidden' });
+    process.env.CLIENT_AUTH = 'off';
+    const anonymous = await app.request('/api/usage');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await app.request('/api/usage', { headers: bearer(client.key) })).status, 401);
+
+    const all = await (await app.request('/api/usage', { headers: ADMIN })).json();
+    assert.ok(all.clients.some(entry => entry.id === client.id));
+  });
+
+  it('keeps responses out of shared caches unless CLIENT_AUTH=off', async () => {
+    const client = await issue({ name: 'Cached' });
+    const res = await app.request('/api/paper/31452104', { headers: { ...bearer(client.key), Origin: 'https://app.example.org' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('cache-control'), 'private, max-age=86400');
+    assert.match(res.headers.get('vary'), /\bAuthorization\b/);
+
+    // 白名单改写 CORS 头时追加 Origin，不覆盖 Authorization
+    process.env.CORS_ORIGINS = 'https://app.example.org';
+    const restricted = await app.request('/api/paper/31452104', { headers: { ...bearer(client.key), Origin: 'https://app.example.org' } });
+    assert.deepEqual(restricted.headers.get('vary').split(/,\s*/).sort(), ['Authorization', 'Origin']);
+
+    process.env.CLIENT_AUTH = 'off';
+    delete process.env.CORS_ORIGINS;
+    const open = await app.request('/api/paper/31452104');
+    assert.match(open.headers.get('cache-control'), /^public, .*s-maxage=86400/);
+    assert.equal(open.headers.get('vary'), null);
+  });
+
+  it('scopes saved searches to the key that created them', async () => {
+    const alice = await issue({ name: 'Alice' });
+    const bob = await issue({ name: 'Bob' });
+    const save = async (client, name) => {
+      const res = await app.request('/api/saved', {
+        method: 'POST',
+        headers: { ...bearer(client.key), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, db: 'pubmed', term: 'crispr' }),
+      });
+      assert.equal(res.status, 201);
+      return res.json();
+    };
+    const mine = await save(alice, 'Alice alerts');
+    const theirs = await save(bob, 'Bob alerts');
+    assert.equal(mine.owner, alice.id);
+
+    const listed = async headers => (await (await app.request('/api/saved', { headers })).json()).searches.map(saved => saved.id);
+    assert.deepEqual(await listed(bearer(alice.key)), [mine.id]);
+    assert.deepEqual(await listed(bearer(bob.key)), [theirs.id]);
+    assert.deepEqual((await listed(ADMIN)).filter(id => [mine.id, theirs.id].includes(id)), [mine.id, theirs.id]);
+
+    // 别人的检索与不存在的一样是 404
+    const asAlice = (pathname, method = 'GET') => app.request(pathname, { method, headers: bearer(alice.key) });
+    assert.equal((await asAlice(`/api/saved/${theirs.id}`)).status, 404);
+    assert.equal((await asAlice(`/api/saved/${theirs.id}/run`, 'POST')).status, 404);
+    assert.equal((await asAlice(`/api/saved/${theirs.id}/feed`)).status, 404);
+    assert.equal((await asAlice(`/api/saved/${theirs.id}`, 'DELETE')).status, 404);
+    assert.equal((await asAlice(`/api/saved/${mine.id}`)).status, 200);
+
+    assert.equal((await app.request(`/api/saved/${theirs.id}`, { headers: bearer(bob.key) })).status, 200);
+    assert.equal((await app.request(`/api/saved/${theirs.id}`, { method: 'DELETE', headers: ADMIN })).status, 204);
+    assert.equal((await asAlice(`/api/saved/${mine.id}`, 'DELETE')).status, 204);
+  });
+
+  it('only allows the configured CORS origins', async () => {
+    process.env.CLIENT_AUTH = 'off';
+    process.env.CORS_ORIGINS = 'https://app.example.org';
+    const allowed = await app.request('/api/paper/31452104', { headers: { Origin: 'https://app.example.org' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.org');
+    const other = await app.request('/api/paper/31452104', { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+    // 共享缓存中没有 CORS 头的副本不能交给允许的来源
+    assert.equal(other.headers.get('vary'), 'Origin');
+    const noOrigin = await app.request('/api/paper/31452104');
+    assert.equal(noOrigin.headers.get('vary'), 'Origin');
+
+    const preflight = await app.request('/api/search', { method: 'OPTIONS', headers: { Origin: 'https://app.example.org' } });
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://app.example.org');
+  });
+});
@@ -0,0 +1,85 @@
+// test/databases.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('ESummary-backed databases', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('fetches normalized gene records and caches them', async () => {
+    const res = await app.postJson('/api/papers', { db: 'gene', ids: [7157] });
+    assert.equal(res.status, 200);
+    const { papers } = await res.json();
+    assert.deepEqual(papers[0], {
+      db: 'gene',
+      uid: '7157',
+      symbol: 'TP53',
+      description: 'tumor protein p53',
+      aliases: ['BCC7', 'LFS1', 'P53', 'TRP53'],
+      organism: { scientificName: 'Homo sapiens', commonName: 'human', taxId: '9606' },
+      chromosome: '17',
+      mapLocation: '17p13.1',
+      summary: 'This gene encodes a tumor suppressor protein containing transcriptional activation, DNA binding, and oligomerization domains.',
+      locations: [{ accession: 'NC_000017.11', start: 7668402, stop: 7687490 }],
+      status: 'live',
+    });
+    assert.equal(app.fake.callsTo('efetch').length, 0);
+
+    const again = await app.postJson('/api/papers', { db: 'gene', ids: ['7157'] });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('esummary').length, 1);
+  });
+
+  it('fetches sequence and book records', async () => {
+    const nuccore = (await (await app.postJson('/api/papers', { db: 'nuccore', ids: ['1732746264'] })).json()).papers[0];
+    assert.equal(nuccore.accession, 'NM_000546.6');
+    assert.equal(nuccore.length, 2512);
+    assert.equal(nuccore.moleculeType, 'rna');
+
+    const protein = (await (await app.postJson('/api/papers', { db: 'protein', ids: ['120407068'] })).json()).papers[0];
+    assert.equal(protein.accession, 'NP_000537.3');
+    assert.equal(protein.organism.taxId, '9606');
+
+    const book = (await (await app.postJson('/api/papers', { db: 'books', ids: ['1311'] })).json()).papers[0];
+    assert.deepEqual(book, {
+      db: 'books',
+      uid: '1311',
+      accession: 'NBK1311',
+      title: 'Li-Fraumeni Syndrome',
+      book: 'GeneReviews®',
+      authors: ['Schneider K', 'Zelley K'],
+      publisher: 'University of Washington, Seattle',
+      published: '1999/01/19',
+    });
+  });
+
+  it('searches gene with records for the page', async () => {
+    const res = await app.request('/api/search?db=gene&term=tp53%5Bsym%5D%20AND%20human%5Borgn%5D&include=records');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.ids, ['7157']);
+    assert.equal(body.records[0].symbol, 'TP53');
+  });
+
+  it('searches ClinVar and keeps only current locations', async () => {
+    const body = await (await app.request('/api/search?db=clinvar&term=tp53%20r248q&include=records&fields=uid,classification,conditions,locations')).json();
+    const [variant] = body.records;
+    assert.equal(variant.uid, '12375');
+    assert.deepEqual(variant.classification, { description: 'Pathogenic', reviewStatus: 'reviewed by expert panel', lastEvaluated: '2024/02/01 00:00' });
+    assert.deepEqual(variant.conditions, ['Li-Fraumeni syndrome', 'Hereditary cancer-predisposing syndrome']);
+    assert.deepEqual(variant.locations, [{ assembly: 'GRCh38', chromosome: '17', start: 7674220, stop: 7674220 }]);
+  });
+
+  it('lists the supported databases for an unsupported one', async () => {
+    const res = await app.request('/api/search?db=taxonomy&term=human');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.match(body.error, /pubmed, pmc, gene, protein, nuccore, clinvar, books/);
+  });
+});
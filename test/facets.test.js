@@ -0,0 +1,65 @@
+// test/facets.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('search facets', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('counts facets over the whole result set', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&retmax=1&facets=year,journal,pubtype,language,freefulltext');
+    assert.equal(res.status, 200);
+    const { ids, facets } = await res.json();
+    assert.equal(ids.length, 1);
+    assert.deepEqual(facets.year.map(({ value, count }) => [value, count]), [['2021', 1], ['2019', 1]]);
+    assert.deepEqual(facets.journal.map(({ value, count }) => [value, count]).sort(), [['J Consort Rep', 1], ['Nature', 1], ['Seas Lett', 1]]);
+    assert.deepEqual(facets.pubtype.map(({ value, count }) => [value, count]), [['Journal Article', 2], ['Letter', 1]]);
+    // 没有录制的组合在假服务中命中 0 条，不出现在结果中
+    assert.deepEqual(facets.language, []);
+    assert.deepEqual(facets.freefulltext, [{ value: 'true', label: 'Free full text', count: 1, params: { freefulltext: true } }]);
+  });
+
+  it('counts a contiguous range of years up to the newest without sampling', async () => {
+    const { facets } = await (await app.request('/api/search?db=pubmed&term=crispr&facets=year')).json();
+    assert.deepEqual(facets.year.map(({ value }) => value), ['2021', '2019']);
+
+    const searches = app.fake.callsTo('esearch').map(call => call.params);
+    assert.equal(searches.find(params => params.sort === 'pub_date').retmax, '1');
+    const years = searches.map(params => params.term?.match(/^\(crispr\) AND (\d{4}):\1\[dp\]$/)?.[1]).filter(Boolean).sort().reverse();
+    assert.deepEqual(years, ['2021', '2020', '2019', '2018', '2017', '2016', '2015', '2014']);
+    // 只取最新的一条记录，不取样本
+    assert.deepEqual(app.fake.callsTo('esummary').map(call => call.params.id), ['30000002']);
+  });
+
+  it('gives the search parameters that select each value', async () => {
+    const { facets } = await (await app.request('/api/search?db=pubmed&term=crispr&facets=year,pubtype')).json();
+    assert.deepEqual(facets.year[0].params, { datefrom: '2021', dateto: '2021' });
+
+    const { params } = facets.pubtype.find(entry => entry.value === 'Letter');
+    const query = new URLSearchParams({ db: 'pubmed', term: 'crispr', ...params });
+    const narrowed = await (await app.request(`/api/search?${query}`)).json();
+    assert.equal(narrowed.query, '(crispr) AND "Letter"[pt]');
+    assert.deepEqual(narrowed.ids, ['30000002']);
+  });
+
+  it('reuses the counts when paging', async () => {
+    await app.request('/api/search?db=pubmed&term=crispr&retmax=1&facets=pubtype');
+    const counted = app.fake.callsTo('esearch').length;
+    await app.request('/api/search?db=pubmed&term=crispr&retmax=1&retstart=1&facets=pubtype');
+    // 只多了翻页本身的两次 ESearch（检索 + 取 ID），没有再统计
+    assert.equal(app.fake.callsTo('esearch').length, counted + 2);
+    assert.equal(app.fake.callsTo('esummary').length, 1);
+  });
+
+  it('rejects facets the database does not have', async () => {
+    const res = await app.request('/api/search?db=pmc&term=editorial&facets=year,pubtype');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /pubtype/);
+  });
+});
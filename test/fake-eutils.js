@@ -0,0 +1,293 @@
+// test/fake-eutils.js
+// 离线的 NCBI E-utilities 替身：根据 test/fixtures 中录制的数据响应 ESearch / EFetch / ESummary / ESpell / EPost、ID Converter、
+// PMC OA 服务以及 OA 包中的文件
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+function articleXml(db, id) {
+  const file = path.join(FIXTURES_DIR, db, `${id}.xml`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function tagText(xml, tag) {
+  return xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`))?.[1].replace(/<[^>]+>/g, '').trim() || '';
+}
+
+function tagTexts(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1].replace(/<[^>]+>/g, '').trim());
+}
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+// 与 ftp.ncbi.nlm.nih.gov/pub/pmc 同样的文件布局，只取文件名查找 fixtures/oa 中的文件；
+// 文章的 bin/ 目录（/pmc/articles/PMC…/bin/）对应 fixtures/bin
+function sendFile(req, res, pathname, dir = 'oa') {
+  const file = path.join(FIXTURES_DIR, dir, path.basename(pathname));
+  if (!fs.existsSync(file)) {
+    return send(res, 404, 'Not Found', 'text/plain');
+  }
+  const data = fs.readFileSync(file);
+  const contentType = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (!range) {
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': data.length, 'Accept-Ranges': 'bytes' });
+    return res.end(data);
+  }
+  const start = range[1] ? parseInt(range[1], 10) : data.length - parseInt(range[2], 10);
+  const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), data.length - 1) : data.length - 1;
+  if (start >= data.length || start > end) {
+    res.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+    return res.end();
+  }
+  res.writeHead(206, {
+    'Content-Type': contentType,
+    'Content-Length': end - start + 1,
+    'Content-Range': `bytes ${start}-${end}/${data.length}`,
+    'Accept-Ranges': 'bytes',
+  });
+  res.end(data.subarray(start, end + 1));
+}
+
+function send(res, status, body, contentType) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+/**
+ * Starts the fake server on a random port. Searches are looked up by term in
+ * `fixtures/esearch/searches.json`; unknown terms match nothing. Every
+ * request is recorded in `calls` with the `X-Request-Id` it carried and its
+ * parameters, including the ones of a POST form body.
+ * `failNext(utility, response)` makes the next call(s) to a utility return
+ * a canned response instead, e.g.
+ * `{ status: 429, body: readFixture('rate-limit.json'), times: 2 }`.
+ */
+export async function startFakeEutils() {
+  const searches = readJsonFixture('esearch/searches.json');
+  const idconv = readJsonFixture('idconv.json');
+  const oaRecords = readJsonFixture('oa/records.json');
+  const spellings = readJsonFixture('espell.json');
+  const linksets = readJsonFixture('elink.json');
+  // 没有文章 XML 的数据库（mesh、nlmcatalog、gene 等）的 ESummary 文档，也用于补充 pubmed 文档中的字段
+  const summaries = Object.fromEntries(['mesh', 'nlmcatalog', 'pubmed', 'gene', 'protein', 'nuccore', 'clinvar', 'books'].map(db => [db, readJsonFixture(`esummary/${db}.json`)]));
+  const histories = new Map();
+  const failures = {};
+  const calls = [];
+  let baseUrl = '';
+
+  // sort=pub_date 时按记录的出版年份从新到旧排列
+  function pubYear(db, id) {
+    const xml = articleXml(db, id);
+    return (xml ? tagText(xml, 'Year') || tagText(xml, 'year') : summaries[db]?.[id]?.pubdate || '').slice(0, 4);
+  }
+
+  function esearch(params) {
+    if (params.WebEnv) {
+      const history = histories.get(params.WebEnv);
+      if (!history) {
+        return { esearchresult: { ERROR: 'Unable to obtain query #1' } };
+      }
+      const start = parseInt(params.retstart || 0, 10);
+      const max = parseInt(params.retmax || 20, 10);
+      return { esearchresult: { count: String(history.ids.length), retstart: String(start), retmax: String(max), idlist: history.ids.slice(start, start + max) } };
+    }
+    const db = params.db || 'pubmed';
+    const search = searches[params.term];
+    let ids = search && (search.db || 'pubmed') === db ? search.ids : [];
+    if (params.sort === 'pub_date') {
+      ids = [...ids].sort((a, b) => pubYear(db, b).localeCompare(pubYear(db, a)));
+    }
+    const start = parseInt(params.retstart || 0, 10);
+    const max = parseInt(params.retmax || 20, 10);
+    const result = {
+      count: String(ids.length),
+      retmax: String(Math.min(max, ids.length)),
+      retstart: String(start),
+      idlist: ids.slice(start, start + max),
+      querytranslation: search?.querytranslation || '',
+    };
+    if (params.usehistory === 'y') {
+      const webenv = `MCID_${crypto.randomBytes(6).toString('hex')}`;
+      histories.set(webenv, { db, ids });
+      Object.assign(result, { webenv, querykey: '1' });
+    }
+    if (ids.length === 0) {
+      result.warninglist = { phrasesnotfound: [params.term], quotedphrasesnotfound: [], outputmessages: ['No items found.'] };
+    }
+    return { header: { type: 'esearch', version: '0.3' }, esearchresult: result };
+  }
+
+  function requestedIds(params) {
+    if (params.WebEnv) {
+      const history = histories.get(params.WebEnv);
+      const start = parseInt(params.retstart || 0, 10);
+      return history ? history.ids.slice(start, start + parseInt(params.retmax || 20, 10)) : [];
+    }
+    return String(params.id || '').split(',').map(id => id.trim().replace(/^PMC/i, '')).filter(Boolean);
+  }
+
+  function efetch(params) {
+    const ids = requestedIds(params);
+    if (params.db === 'pmc') {
+      const parts = ids.map(id => articleXml('pmc', id) || `<error id="${id}">The following PMCID is not available: ${id}</error>`);
+      return `<?xml version="1.0" ?>\n<pmc-articleset>${parts.join('\n')}</pmc-articleset>`;
+    }
+    const parts = ids.map(id => articleXml('pubmed', id)).filter(Boolean);
+    return `<?xml version="1.0" ?>\n<!DOCTYPE PubmedArticleSet>\n<PubmedArticleSet>\n${parts.join('\n')}</PubmedArticleSet>`;
+  }
+
+  function esummary(params) {
+    const ids = requestedIds(params);
+    const result = { uids: [] };
+    const db = params.db || 'pubmed';
+    for (const id of ids) {
+      const xml = articleXml(db, id);
+      const fixture = summaries[db]?.[id];
+      if (!xml && !fixture) continue;
+      result.uids.push(id);
+      const fromXml = xml ? {
+        title: tagText(xml, 'ArticleTitle') || tagText(xml, 'article-title'),
+        fulljournalname: tagText(xml, 'Title') || tagText(xml, 'journal-title'),
+        source: tagText(xml, 'MedlineTA') || tagText(xml, 'abbrev-journal-title') || tagText(xml, 'journal-title'),
+        pubdate: tagText(xml, 'Year') || tagText(xml, 'year'),
+        pubtype: tagTexts(xml, 'PublicationType'),
+        lang: tagTexts(xml, 'Language'),
+      } : {};
+      result[id] = { uid: id, ...fromXml, ...fixture };
+    }
+    return { header: { type: 'esummary', version: '0.3' }, result };
+  }
+
+  // 与 NCBI 一样，history 中的 ID 按从大到小排列而不是上传的顺序；非数字的 ID 列入 InvalidIdList
+  function epost(params) {
+    const ids = String(params.id || '').split(',').map(id => id.trim()).filter(Boolean);
+    const valid = ids.filter(id => /^\d+$/.test(id)).sort((a, b) => b - a);
+    const invalid = ids.filter(id => !/^\d+$/.test(id));
+    const webenv = `MCID_${crypto.randomBytes(6).toString('hex')}`;
+    histories.set(webenv, { db: params.db || 'pubmed', ids: valid });
+    const invalidList = invalid.length > 0 ? `<InvalidIdList>${invalid.map(id => `<Id>${id}</Id>`).join('')}</InvalidIdList>` : '';
+    return `<?xml version="1.0" encoding="UTF-8" ?>\n<ePostResult>${invalidList}<QueryKey>1</QueryKey><WebEnv>${webenv}</WebEnv></ePostResult>`;
+  }
+
+  // 链接按 `dbfrom:linkname:id` 查找；没有录制的 ID 与 NCBI 一样返回不含 linksetdbs 的 linkset
+  function elink(params) {
+    const id = String(params.id || '');
+    const links = linksets[`${params.dbfrom}:${params.linkname}:${id}`];
+    const linkset = { dbfrom: params.dbfrom, ids: [id] };
+    if (links) {
+      linkset.linksetdbs = [{ dbto: params.db, linkname: params.linkname, links }];
+    }
+    return { header: { type: 'elink', version: '0.3' }, linksets: [linkset] };
+  }
+
+  // 没有录制的查询原样返回，CorrectedQuery 为空
+  function espell(params) {
+    const term = String(params.term || '');
+    const entry = spellings[term];
+    const spelled = (entry?.spelled || [['Original', term]]).map(([tag, text]) => `<${tag}>${text}</${tag}>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8" ?>\n<eSpellResult><Database>${params.db || 'pubmed'}</Database><Query>${term}</Query><CorrectedQuery>${entry?.corrected || ''}</CorrectedQuery><SpelledQuery>${spelled}</SpelledQuery><ERROR/></eSpellResult>`;
+  }
+
+  function convert(params) {
+    const records = String(params.ids || '').split(',').map(requested => {
+      const record = idconv.find(entry => [entry.pmid, entry.pmcid, entry.doi, entry.mid].some(id => id && id.toLowerCase() === requested.toLowerCase()));
+      return record ? { 'requested-id': requested, ...record } : { 'requested-id': requested, status: 'error', errmsg: 'invalid article id' };
+    });
+    return { status: 'ok', records };
+  }
+
+  function oa(params) {
+    const id = String(params.id || '');
+    const entry = oaRecords[id];
+    const request = `<request id="${id}"></request>`;
+    if (!entry) {
+      return `<OA>${request}<error code="idDoesNotExist">invalid article id '${id}'</error></OA>`;
+    }
+    if (entry.error) {
+      return `<OA>${request}<error code="${entry.error}">${entry.message}</error></OA>`;
+    }
+    // 把 ftp 地址改成指向本服务，代理下载时同样不访问外网
+    const links = entry.links.map(link => `<link format="${link.format}" href="${link.href.replace('ftp://ftp.ncbi.nlm.nih.gov', baseUrl)}" />`);
+    return `<OA>${request}<records returned-count="1" total-count="1"><record id="${id}" citation="" license="${entry.license}" retracted="no">${links.join('')}</record></records></OA>`;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const params = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(body)) };
+    const utility = url.pathname.includes('idconv') ? 'idconv'
+      : url.pathname.startsWith('/pub/') ? 'file'
+        : url.pathname.startsWith('/pmc/articles/') ? 'asset'
+          : path.basename(url.pathname, '.fcgi');
+    calls.push({ utility, params, requestId: req.headers['x-request-id'] });
+
+    const failure = failures[utility];
+    if (failure && failure.times > 0) {
+      failure.times--;
+      const headers = { 'Content-Type': failure.contentType || 'application/json', ...failure.headers };
+      res.writeHead(failure.status || 200, headers);
+      return res.end(failure.body || '');
+    }
+
+    switch (utility) {
+      case 'esearch':
+        return send(res, 200, JSON.stringify(esearch(params)), 'application/json');
+      case 'efetch':
+        return send(res, 200, efetch(params), 'text/xml');
+      case 'epost':
+        return send(res, 200, epost(params), 'text/xml');
+      case 'espell':
+        return send(res, 200, espell(params), 'text/xml');
+      case 'einfo':
+        return send(res, 200, JSON.stringify({ header: { type: 'einfo', version: '0.3' }, einforesult: { dblist: ['pubmed', 'protein', 'nuccore', 'pmc', 'gene'] } }), 'application/json');
+      case 'esummary':
+        return send(res, 200, JSON.stringify(esummary(params)), 'application/json');
+      case 'elink':
+        return send(res, 200, JSON.stringify(elink(params)), 'application/json');
+      case 'idconv':
+        return send(res, 200, JSON.stringify(convert(params)), 'application/json');
+      case 'oa':
+        return send(res, 200, oa(params), 'text/xml');
+      case 'file':
+        return sendFile(req, res, url.pathname);
+      case 'asset':
+        return sendFile(req, res, url.pathname, 'bin');
+      default:
+        return send(res, 404, `Unknown utility ${utility}`, 'text/plain');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    eutilsUrl: `${baseUrl}/entrez/eutils`,
+    idconvUrl: `${baseUrl}/pmc/utils/idconv/v1.0/`,
+    oaUrl: `${baseUrl}/pmc/utils/oa/oa.fcgi`,
+    articlesUrl: `${baseUrl}/pmc/articles`,
+    calls,
+    callsTo: utility => calls.filter(call => call.utility === utility),
+    failNext(utility, response) {
+      failures[utility] = { times: 1, ...response };
+    },
+    reset() {
+      calls.length = 0;
+      Object.keys(failures).forEach(key => delete failures[key]);
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,111 @@
+// test/fulltext.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/paper/[id]/fulltext', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('parses sections, figures, tables and references from the JATS XML', async () => {
+    const res = await app.request('/api/paper/PMC7100000/fulltext');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+    const doc = await res.json();
+    assert.equal(doc.pmcid, '7100000');
+    assert.equal(doc.title, 'Measuring off-target edits with amplicon sequencing');
+    assert.deepEqual(doc.abstract, ['Off-target edits are rare but consequential.']);
+
+    // 不在 sec 中的段落放进无标题的 section，嵌在段落中的表格放在段落之后
+    assert.deepEqual(doc.sections.map(section => section.title), ['', 'Methods', 'Results']);
+    const methods = doc.sections[1];
+    assert.deepEqual(methods.content.map(block => block.type), ['paragraph', 'table', 'figure']);
+    assert.equal(methods.content[0].text, 'Amplicons were sequenced as shown in Fig. 1 and summarised in the table below.');
+    assert.deepEqual(methods.sections[0].content, [{ type: 'list', ordered: true, items: ['Extract DNA.', 'Amplify target sites.'] }]);
+
+    assert.deepEqual(doc.figures, [{
+      id: 'f1',
+      label: 'Fig. 1',
+      caption: 'Workflow. Reads are aligned before calling edits.',
+      imageUrl: '/api/paper/PMC7100000/asset?name=grm-14-210-g001.jpg',
+    }]);
+    assert.deepEqual(doc.tables[0].rows[2], [{ text: 'Pooled', header: false, colspan: 2, rowspan: 1 }]);
+    assert.equal(doc.tables[0].foot, 'Rates are means of three replicates.');
+    assert.deepEqual(doc.footnotes, [{ id: 'fn1', label: '*', text: 'These authors contributed equally.' }]);
+    assert.deepEqual(doc.references.map(ref => [ref.label, ref.pmid, ref.doi]), [
+      ['1', '31452104', '10.1038/s41586-019-1711-4'],
+      ['2', '', ''],
+    ]);
+    assert.equal(doc.references[1].citation, 'Doudna JA. A crack in creation. Boston: Houghton Mifflin; 2017.');
+
+    const cached = await app.request('/api/paper/PMC7100000/fulltext');
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('efetch').length, 1);
+  });
+
+  it('renders the document as HTML or Markdown', async () => {
+    const html = await app.request('/api/paper/PMC7100000/fulltext?format=html');
+    assert.match(html.headers.get('content-type'), /^text\/html/);
+    const page = await html.text();
+    assert.match(page, /<section id="s1"><h2>Methods<\/h2>/);
+    assert.match(page, /<td colspan="2">Pooled<\/td>/);
+    assert.match(page, /<a href="https:\/\/pubmed\.ncbi\.nlm\.nih\.gov\/31452104\/">PubMed<\/a>/);
+
+    const markdown = await (await app.request('/api/paper/PMC7100000/fulltext?format=markdown')).text();
+    assert.match(markdown, /^# Measuring off-target edits/);
+    assert.match(markdown, /^### Library preparation$/m);
+    assert.match(markdown, /^!\[Fig\. 1\]\(\/api\/paper\/PMC7100000\/asset\?name=grm-14-210-g001\.jpg\)$/m);
+    assert.match(markdown, /^2\. Doudna JA\. A crack in creation\./m);
+  });
+
+  it('converts a DOI to its PMC copy and reads bare numbers as PMCIDs', async () => {
+    const doc = await (await app.request(`/api/paper/${encodeURIComponent('10.1038/s41586-019-1711-4')}/fulltext`)).json();
+    assert.equal(doc.pmcid, '6907074');
+    assert.deepEqual(doc.sections.map(section => section.title), ['Main']);
+    assert.equal(app.fake.callsTo('idconv').length, 1);
+
+    const numeric = await (await app.request('/api/paper/7100000/fulltext')).json();
+    assert.equal(numeric.pmcid, '7100000');
+  });
+
+  it('serves figure images through the asset proxy and refuses anything else', async () => {
+    const { figures } = await (await app.request('/api/paper/PMC7100000/fulltext')).json();
+    const image = await app.request(figures[0].imageUrl);
+    assert.equal(image.status, 200);
+    assert.equal(image.headers.get('content-type'), 'image/jpeg');
+    assert.deepEqual([...Buffer.from(await image.arrayBuffer()).subarray(0, 2)], [0xff, 0xd8]);
+    assert.equal(app.fake.callsTo('asset').length, 1);
+
+    // PMC 网站以 200 返回的验证页面不能当作图片转发
+    app.fake.failNext('asset', { status: 200, contentType: 'text/html; charset=utf-8', body: '<html><body>Are you a robot?</body></html>' });
+    const challenge = await app.request(figures[0].imageUrl);
+    assert.equal(challenge.status, 502);
+    assert.match(challenge.headers.get('content-type'), /^application\/json/);
+    assert.equal((await challenge.json()).upstream.utility, 'pmc-asset');
+  });
+
+  it('answers 404 when there is no PMC copy', async () => {
+    // idconv 中没有这个 DOI 的 PMC 副本
+    const res = await app.request(`/api/paper/${encodeURIComponent('10.5555/no-pmc-copy')}/fulltext`);
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'No PMC copy found for this identifier.');
+    assert.equal(app.fake.callsTo('efetch').length, 0);
+
+    const unknown = await app.request('/api/paper/PMC7999999/fulltext');
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error, 'No article found in PMC.');
+  });
+
+  it('answers 404 when the publisher does not allow the full text', async () => {
+    const res = await app.request('/api/paper/PMC7000000/fulltext');
+    assert.equal(res.status, 404);
+    const body = await res.json();
+    assert.equal(body.error, 'Full text is not available for this article.');
+    assert.match(body.details, /only provides the full-text XML of open-access articles/);
+  });
+});
@@ -0,0 +1,55 @@
+// test/health.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/health', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+    process.env.HEALTH_CACHE_SECONDS = '0';
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('answers liveness without calling NCBI', async () => {
+    const res = await app.request('/api/health');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'ok');
+    assert.equal(body.mode, 'live');
+    assert.equal(body.build.version, '1.0.0');
+    assert.equal(typeof body.uptime, 'number');
+    assert.equal(app.fake.calls.length, 0);
+  });
+
+  it('checks EInfo and the cache store for readiness', async () => {
+    const res = await app.request('/api/health?mode=ready');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'ok');
+    assert.equal(body.checks.eutils.status, 'ok');
+    assert.equal(body.checks.cache.status, 'ok');
+    assert.equal(body.config.ncbiApiKey, false);
+    assert.equal(body.config.cacheStore, 'memory');
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.equal(app.fake.callsTo('einfo').length, 1);
+  });
+
+  it('reports degraded with 503 when NCBI is failing, without retrying', async () => {
+    app.fake.failNext('einfo', { status: 503, body: 'Service Unavailable', contentType: 'text/plain', times: 3 });
+    const res = await app.request('/api/health?mode=ready');
+    assert.equal(res.status, 503);
+    const body = await res.json();
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.eutils.status, 'failing');
+    assert.match(body.checks.eutils.error, /einfo returned HTTP 503/);
+    assert.equal(body.checks.cache.status, 'ok');
+    assert.equal(app.fake.callsTo('einfo').length, 1);
+  });
+
+  it('replaces the old api/test route', async () => {
+    assert.equal((await app.request('/api/test')).status, 404);
+  });
+});
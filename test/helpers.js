@@ -0,0 +1,58 @@
+// test/helpers.js
+// 启动假的 E-utilities 和挂载全部路由的独立服务，测试通过真实的 HTTP 请求访问接口
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { startFakeEutils } from './fake-eutils.js';
+
+/**
+ * Starts the fake NCBI server, points the client at it and serves the API
+ * from `server.js` on a random port. Handler logging is muted unless
+ * `TEST_VERBOSE` is set.
+ */
+export async function startTestServer() {
+  const fake = await startFakeEutils();
+  Object.assign(process.env, {
+    NCBI_EUTILS_URL: fake.eutilsUrl,
+    NCBI_IDCONV_URL: fake.idconvUrl,
+    NCBI_OA_URL: fake.oaUrl,
+    NCBI_PMC_ARTICLES_URL: fake.articlesUrl,
+    NCBI_REQUESTS_PER_SECOND: '1000',
+    NCBI_RETRY_BASE_DELAY_MS: '1',
+    NCBI_MAX_RETRIES: '2',
+    // 响应与 OpenAPI 描述不一致时返回 500，让测试直接失败
+    VALIDATE_RESPONSES: 'strict',
+    SAVED_SEARCHES_FILE: path.join(os.tmpdir(), `ncbi-proxy-test-${process.pid}`, 'saved-searches.json'),
+    CLIENTS_FILE: path.join(os.tmpdir(), `ncbi-proxy-test-${process.pid}`, 'clients.json'),
+  });
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const { createApp, loadRoutes } = await import('../server.js');
+  const { getCacheStore } = await import('../lib/cache.js');
+  const server = http.createServer(createApp(await loadRoutes(), { corsOrigins: ['*'] }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    fake,
+    request: (pathname, options = {}) => fetch(`${baseUrl}${pathname}`, options),
+    postJson: (pathname, body) => fetch(`${baseUrl}${pathname}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+    // 每个用例之间清空缓存和假服务的调用记录
+    async reset() {
+      fake.reset();
+      await getCacheStore().clear();
+    },
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await fake.close();
+    },
+  };
+}
@@ -0,0 +1,85 @@
+// test/ids.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+const PRIME_EDITING = { pmid: '31452104', pmcid: 'PMC6907074', doi: '10.1038/s41586-019-1711-4', mid: '' };
+const AMPLICONS = { pmid: '30000010', pmcid: 'PMC7100000', doi: '10.5555/grm.2020.014', mid: 'NIHMS1600000' };
+
+describe('/api/ids', () => {
+  let app;
+
+  const convert = async (query, options) => {
+    const res = await app.request(`/api/ids?${query}`, options);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('maps DOIs, PMIDs, PMCIDs and manuscript IDs to the full ID set', async () => {
+    const ids = ['doi:10.1038/S41586-019-1711-4', '31452104', 'pmc6907074', 'NIHMS1600000'];
+    const { records, total } = await convert(`ids=${ids.map(encodeURIComponent).join(',')}`);
+    assert.equal(total, 4);
+    assert.deepEqual(records, [
+      { requested: ids[0], type: 'doi', status: 'ok', ...PRIME_EDITING },
+      { requested: ids[1], type: 'pmid', status: 'ok', ...PRIME_EDITING },
+      { requested: ids[2], type: 'pmcid', status: 'ok', ...PRIME_EDITING },
+      { requested: ids[3], type: 'mid', status: 'ok', ...AMPLICONS },
+    ]);
+    // 每种 ID 类型一次调用，标明 idtype
+    assert.deepEqual(app.fake.callsTo('idconv').map(call => [call.params.idtype, call.params.ids]), [
+      ['doi', '10.1038/S41586-019-1711-4'],
+      ['pmid', '31452104'],
+      ['pmcid', 'PMC6907074'],
+      ['mid', 'NIHMS1600000'],
+    ]);
+
+    // numeric=pmcid 时纯数字是 PMCID
+    const numeric = await convert('ids=7000000&numeric=pmcid');
+    assert.deepEqual(numeric.records, [{ requested: '7000000', type: 'pmcid', status: 'ok', pmid: '', pmcid: 'PMC7000000', doi: '', mid: '' }]);
+  });
+
+  it('reports invalid and unknown identifiers in input order without failing the batch', async () => {
+    const { records } = await app.postJson('/api/ids', { ids: ['99999999', 'not an id', '10.1038/s41586-019-1711-4', 'PMC7999999'] }).then(res => res.json());
+    assert.deepEqual(records.map(record => [record.requested, record.type, record.status]), [
+      ['99999999', 'pmid', 'not_found'],
+      ['not an id', 'unknown', 'invalid'],
+      ['10.1038/s41586-019-1711-4', 'doi', 'ok'],
+      ['PMC7999999', 'pmcid', 'not_found'],
+    ]);
+    assert.equal(records[1].error, 'Unrecognised identifier');
+    assert.match(records[0].error, /invalid article id/);
+  });
+
+  it('serves converted IDs from the cache and only asks for the rest', async () => {
+    await convert('ids=31452104,99999999');
+    assert.equal(app.fake.callsTo('idconv').length, 1);
+
+    const { records } = await convert('ids=31452104,99999999');
+    assert.deepEqual(records.map(record => record.status), ['ok', 'not_found']);
+    // 找到的 ID 已缓存，没找到的不缓存
+    assert.deepEqual(app.fake.callsTo('idconv').map(call => call.params.ids), ['31452104,99999999', '99999999']);
+  });
+
+  it('splits more than 200 IDs of one type into batches', async () => {
+    const ids = [...Array.from({ length: 200 }, (_, i) => String(40000000 + i)), '31452104'];
+    const { records, total } = await app.postJson('/api/ids', { ids }).then(res => res.json());
+    assert.equal(total, 201);
+    assert.deepEqual(records.map(record => record.requested), ids);
+    assert.equal(records.at(-1).status, 'ok');
+    assert.ok(records.slice(0, 200).every(record => record.status === 'not_found'));
+    assert.deepEqual(app.fake.callsTo('idconv').map(call => call.params.ids.split(',').length), [200, 1]);
+  });
+
+  it('validates the method and the identifiers', async () => {
+    assert.equal((await app.request('/api/ids', { method: 'DELETE' })).status, 405);
+    assert.equal((await app.request('/api/ids')).status, 400);
+    assert.equal((await app.request('/api/ids?ids=1&numeric=doi')).status, 400);
+    assert.equal(app.fake.calls.length, 0);
+  });
+});
@@ -0,0 +1,92 @@
+// test/links.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/paper/[id]/links', () => {
+  let app;
+
+  const links = async query => {
+    const res = await app.request(query);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('returns similar articles by score without the paper itself', async () => {
+    const res = await app.request('/api/paper/31452104/links');
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+    const body = await res.json();
+    assert.equal(body.type, 'similar');
+    assert.equal(body.linkname, 'pubmed_pubmed');
+    assert.equal(body.targetDb, 'pubmed');
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.links, [{ id: '30000002', score: 34000 }, { id: '30000001', score: 12000 }]);
+    assert.equal(body.papers, undefined);
+    assert.equal(app.fake.callsTo('elink')[0].params.cmd, 'neighbor_score');
+
+    const cached = await app.request('/api/paper/31452104/links');
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('elink').length, 1);
+  });
+
+  it('pages citing articles and attaches their records with records=true', async () => {
+    const plain = await links('/api/paper/31452104/links?type=citedby');
+    assert.deepEqual(plain.links, [{ id: '30000003' }, { id: '30000002' }]);
+    assert.equal(plain.papers, undefined);
+    assert.equal(app.fake.callsTo('efetch').length, 0);
+
+    const page = await links('/api/paper/31452104/links?type=citedby&retstart=1&retmax=1&records=true');
+    assert.equal(page.total, 2);
+    assert.deepEqual(page.links, [{ id: '30000002' }]);
+    assert.deepEqual(page.papers.map(paper => paper.pmid), ['30000002']);
+    assert.equal(page.papers[0].schemaVersion, 5);
+  });
+
+  it('returns references and drops records PubMed does not have', async () => {
+    const plain = await links('/api/paper/31452104/links?type=references');
+    assert.equal(plain.linkname, 'pubmed_pubmed_refs');
+    assert.deepEqual(plain.links.map(link => link.id), ['30000001', '99999999']);
+
+    const withRecords = await links('/api/paper/31452104/links?type=references&records=true');
+    assert.equal(withRecords.total, 2);
+    assert.deepEqual(withRecords.papers.map(paper => paper.pmid), ['30000001']);
+  });
+
+  it('follows PMC links into the target database', async () => {
+    const references = await links('/api/paper/PMC6907074/links?db=pmc&type=references&records=true');
+    assert.equal(references.id, '6907074');
+    assert.equal(references.targetDb, 'pubmed');
+    assert.deepEqual(references.papers.map(paper => [paper.db, paper.pmid]), [['pubmed', '30000001']]);
+
+    const citedBy = await links('/api/paper/6907074/links?db=pmc&type=citedby&records=true');
+    assert.equal(citedBy.linkname, 'pmc_pmc_citedby');
+    assert.deepEqual(citedBy.papers.map(paper => [paper.db, paper.pmcid]), [['pmc', '7100000']]);
+  });
+
+  it('answers an empty page when ELink has no links', async () => {
+    for (const records of [false, true]) {
+      await app.reset();
+      const body = await links(`/api/paper/30000001/links?type=citedby&records=${records}`);
+      assert.equal(body.total, 0);
+      assert.deepEqual(body.links, []);
+      assert.equal(body.papers, undefined);
+      assert.equal(app.fake.callsTo('efetch').length, 0);
+    }
+  });
+
+  it('rejects link types the database does not have and unknown identifiers', async () => {
+    const similar = await app.request('/api/paper/PMC6907074/links?db=pmc&type=similar');
+    assert.equal(similar.status, 400);
+    assert.match((await similar.json()).error, /Supported types: citedby, references/);
+
+    const unknown = await app.request(`/api/paper/${encodeURIComponent('10.5555/not-indexed')}/links`);
+    assert.equal(unknown.status, 404);
+    assert.equal(app.fake.callsTo('elink').length, 0);
+  });
+});
@@ -0,0 +1,81 @@
+// test/mesh.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('MeSH', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('looks up a descriptor by MeSH UI and caches it', async () => {
+    const res = await app.request('/api/mesh/D064113');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(await res.json(), {
+      uid: '68064113',
+      ui: 'D064113',
+      heading: 'Gene Editing',
+      scopeNote: 'Genetic engineering or molecular biology techniques that involve DNA REPAIR mechanisms.',
+      entryTerms: ['Editing, Gene', 'Genome Editing'],
+      treeNumbers: ['E05.393.350.500'],
+    });
+
+    const again = await app.request('/api/mesh/D064113');
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('esearch').length, 1);
+    assert.equal(app.fake.callsTo('esummary').length, 1);
+  });
+
+  it('looks up a descriptor by entry term', async () => {
+    const body = await (await app.request('/api/mesh/genome%20editing')).json();
+    assert.equal(body.ui, 'D064113');
+  });
+
+  it('answers 404 for unknown descriptors', async () => {
+    const res = await app.request('/api/mesh/not%20a%20heading');
+    assert.equal(res.status, 404);
+  });
+
+  it('browses broader and narrower descriptors', async () => {
+    const res = await app.request('/api/mesh/68064113/tree');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.descriptor.heading, 'Gene Editing');
+    assert.deepEqual(body.parents, [{ uid: '68005818', ui: 'D005818', heading: 'Genetic Engineering', treeNumber: 'E05.393.350' }]);
+    assert.deepEqual(body.children, [{ uid: '68055786', ui: 'D055786', heading: 'Gene Knock-In Techniques', treeNumber: 'E05.393.350.500.500' }]);
+  });
+
+  it('expands a concept into its heading and entry terms when asked', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=genome%20editing&expand=mesh');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.ids, ['31452104']);
+    assert.equal(body.query, '("Gene Editing"[mh] OR "Gene Editing"[tiab] OR "Genome Editing"[tiab])');
+    assert.deepEqual(body.expansion, {
+      concept: 'genome editing',
+      applied: true,
+      query: body.query,
+      ui: 'D064113',
+      heading: 'Gene Editing',
+      terms: ['Gene Editing', 'Genome Editing'],
+    });
+  });
+
+  it('leaves queries with operators alone and says so', async () => {
+    const body = await (await app.request('/api/search?db=pubmed&term=crispr%20AND%20cancer&expand=mesh')).json();
+    assert.equal(body.expansion.applied, false);
+    assert.equal(body.query, 'crispr AND cancer');
+    assert.match(body.expansion.reason, /plain concepts/);
+    assert.equal(app.fake.callsTo('esummary').length, 0);
+  });
+
+  it('does not expand unless asked', async () => {
+    const body = await (await app.request('/api/search?db=pubmed&term=crispr')).json();
+    assert.equal(body.expansion, undefined);
+  });
+});
@@ -0,0 +1,79 @@
+// test/notices.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('retraction, erratum and expression-of-concern notices', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('parses the notices linked in CommentsCorrectionsList', async () => {
+    const paper = await (await app.request('/api/paper/30000003')).json();
+    assert.deepEqual(paper.notices, [
+      { type: 'erratum', pmid: '30000004', source: 'J Reprod Res. 2020 Jun;12(6):400' },
+      { type: 'retraction', pmid: '30000005', source: 'J Reprod Res. 2021 Jan;13(1):1' },
+    ]);
+    const [plain] = (await (await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000002'] })).json()).papers;
+    assert.deepEqual(plain.notices, []);
+  });
+
+  it('excludes retracted publications from a search', async () => {
+    const page = await (await app.request('/api/search?db=pubmed&term=base+editing&retracted=exclude')).json();
+    assert.equal(page.query, '(base editing) AND (all[sb] NOT "retracted publication"[pt])');
+    assert.deepEqual(page.ids, ['31452104']);
+    assert.equal(page.retracted, undefined);
+  });
+
+  it('flags retracted publications on the page', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=base+editing&retracted=flag');
+    assert.equal(res.status, 200);
+    const page = await res.json();
+    assert.deepEqual(page.ids, ['30000003', '31452104']);
+    assert.deepEqual(page.retracted, { total: 1, ids: ['30000003'] });
+
+    // 总数只取 count，本页的标记只检索本页的 UID，不再扫描整个结果集中的撤稿文献
+    const searches = app.fake.callsTo('esearch').map(call => call.params);
+    const counted = searches.find(params => params.term === '(base editing) AND "retracted publication"[pt]');
+    assert.equal(counted.rettype, 'count');
+    assert.equal(counted.retmax, undefined);
+    const paged = searches.find(params => params.term === '(30000003[uid] OR 31452104[uid]) AND "retracted publication"[pt]');
+    assert.equal(paged.retmax, '2');
+
+    // include=records 时直接用记录中的撤稿声明
+    await app.reset();
+    const withRecords = await (await app.request('/api/search?db=pubmed&term=base+editing&retracted=flag&include=records')).json();
+    assert.deepEqual(withRecords.retracted, { total: 1, ids: ['30000003'] });
+    assert.ok(!app.fake.callsTo('esearch').some(call => call.params.term?.includes('[uid]')));
+
+    // 不带 retracted=flag 的同一检索不能命中带标记的缓存
+    const plain = await (await app.request('/api/search?db=pubmed&term=base+editing')).json();
+    assert.equal(plain.retracted, undefined);
+  });
+
+  it('rejects the retraction filter where retractions are not indexed', async () => {
+    const res = await app.request('/api/search?db=pmc&term=editorial&retracted=exclude');
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /retracted=exclude is not available for db=pmc/);
+  });
+
+  it('carries a warning note in every citation format', async () => {
+    const warning = 'WARNING: Erratum (PMID 30000004); Retracted (PMID 30000005)';
+    const exported = async format => (await app.request(`/api/export?db=pubmed&ids=30000003,30000002&format=${format}`)).text();
+
+    const ris = await exported('ris');
+    assert.match(ris, new RegExp(`N1  - ${warning.replace(/[()]/g, '\\$&')}`));
+    assert.equal(ris.match(/N1 {2}- /g).length, 1, 'records without notices get no note');
+    assert.match(await exported('bibtex'), /note = \{WARNING: Erratum \(PMID 30000004\); Retracted \(PMID 30000005\)\}/);
+    assert.equal(JSON.parse(await exported('csl'))[0].note, warning);
+
+    const medline = await exported('medline');
+    assert.match(medline, /^EIN - J Reprod Res\. 2020 Jun;12\(6\):400 PMID: 30000004$/m);
+    assert.match(medline, /^RIN - J Reprod Res\. 2021 Jan;13\(1\):1 PMID: 30000005$/m);
+    assert.match(medline, /^PT {2}- Retracted Publication$/m);
+  });
+});
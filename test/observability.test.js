@@ -0,0 +1,83 @@
+// test/observability.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('request IDs, logs and /api/metrics', () => {
+  let app;
+  let lines;
+
+  // 访问日志在连接关闭时写入，可能比响应稍晚
+  async function logLine(predicate) {
+    for (let i = 0; i < 50; i++) {
+      const line = lines.map(text => JSON.parse(text)).find(predicate);
+      if (line) return line;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.fail('log line not found');
+  }
+
+  before(async () => {
+    app = await startTestServer();
+    process.env.LOG_LEVEL = 'debug';
+    console.log = line => lines.push(line);
+    console.warn = line => lines.push(line);
+  });
+  after(() => app.close());
+  beforeEach(async () => {
+    lines = [];
+    await app.reset();
+  });
+
+  it('echoes a request ID and sends it with every NCBI call', async () => {
+    const res = await app.request('/api/paper/31452104');
+    const requestId = res.headers.get('x-request-id');
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.ok(app.fake.calls.length > 0);
+    assert.ok(app.fake.calls.every(call => call.requestId === requestId));
+
+    const forwarded = await app.request('/api/paper/31452104', { headers: { 'X-Request-Id': 'frontend-42' } });
+    assert.equal(forwarded.headers.get('x-request-id'), 'frontend-42');
+    const unsafe = await app.request('/api/paper/31452104', { headers: { 'X-Request-Id': 'two words' } });
+    assert.notEqual(unsafe.headers.get('x-request-id'), 'two words');
+  });
+
+  it('writes JSON log lines tagged with the request ID', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&api_key=secret');
+    const requestId = res.headers.get('x-request-id');
+
+    const search = await logLine(line => line.msg === 'Search completed');
+    assert.equal(search.level, 'info');
+    assert.equal(search.requestId, requestId);
+    assert.equal(typeof search.returned, 'number');
+    assert.equal(search.ids, undefined);
+
+    const access = await logLine(line => line.msg === 'Request completed');
+    assert.equal(access.requestId, requestId);
+    assert.equal(access.route, '/api/search');
+    assert.equal(access.path, '/api/search');
+    assert.equal(access.status, 200);
+    assert.equal(access.upstreamCalls, app.fake.calls.length);
+    assert.ok(!lines.some(line => line.includes('secret')));
+  });
+
+  it('exposes request, NCBI and cache metrics in Prometheus format', async () => {
+    await app.request('/api/paper/31452104');
+    await app.request('/api/paper/31452104');
+    app.fake.failNext('esearch', { status: 503, body: 'Unavailable', contentType: 'text/plain' });
+    await app.request('/api/search?db=pubmed&term=crispr');
+
+    const res = await app.request('/api/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /^# TYPE http_requests_total counter$/m);
+    assert.match(text, /^http_requests_total\{route="\/api\/paper\/\{id\}",method="GET",status="200"\} [1-9]/m);
+    assert.match(text, /^http_request_duration_seconds_bucket\{route="\/api\/paper\/\{id\}",method="GET",le="\+Inf"\} [1-9]/m);
+    assert.match(text, /^ncbi_requests_total\{utility="efetch",outcome="200"\} [1-9]/m);
+    assert.match(text, /^ncbi_requests_total\{utility="esearch",outcome="503"\} 1$/m);
+    assert.match(text, /^ncbi_request_errors_total\{utility="esearch"\} 1$/m);
+    assert.match(text, /^cache_lookups_total\{cache="paper",result="hit"\} [1-9]/m);
+    assert.match(text, /^cache_lookups_total\{cache="paper",result="miss"\} [1-9]/m);
+  });
+});
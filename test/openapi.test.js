@@ -0,0 +1,78 @@
+// test/openapi.test.js
+import assert from 'node:assert/strict';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { loadRoutes } from '../server.js';
+import { startTestServer } from './helpers.js';
+
+describe('/api/openapi.json', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('serves an OpenAPI 3 document with the current server', async () => {
+    const res = await app.request('/api/openapi.json');
+    assert.equal(res.status, 200);
+    const spec = await res.json();
+    assert.match(spec.openapi, /^3\./);
+    assert.match(spec.servers[0].url, /^http:\/\/127\.0\.0\.1:\d+$/);
+    assert.ok(spec.components.schemas.PaperRecord.required.includes('licenseHint'));
+  });
+
+  it('describes every route under api/', async () => {
+    const spec = await (await app.request('/api/openapi.json')).json();
+    const routes = await loadRoutes();
+    const described = Object.keys(spec.paths);
+    for (const route of routes) {
+      const pathname = '/' + route.segments.map(segment => (segment.param ? `{${segment.param}}` : segment.literal)).join('/');
+      assert.ok(described.includes(pathname), `${path.basename(route.file)} (${pathname}) is missing from the spec`);
+    }
+  });
+
+  it('rejects query parameters that do not match the schema', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&retmax=abc&include=everything');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.deepEqual(body.details.map(problem => problem.path), ['retmax', 'include']);
+    assert.match(body.error, /retmax must be an integer/);
+    assert.equal(app.fake.calls.length, 0);
+  });
+
+  it('rejects unknown body fields instead of ignoring them', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001'], retstart: 10 });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /retstart is not allowed/);
+
+    // 旧前端发送的 retmax 已废弃，接受但不影响结果
+    const legacy = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001', '31452104'], retmax: 1 });
+    assert.equal(legacy.status, 200);
+    assert.equal((await legacy.json()).papers.length, 2);
+  });
+
+  it('caps the number of IDs in a /api/papers body', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: Array.from({ length: 10001 }, (_, i) => String(i + 1)) });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /ids must have at most 10000 items/);
+    assert.equal(app.fake.calls.length, 0);
+  });
+
+  it('checks ranges, booleans and path parameters', async () => {
+    const range = await app.request('/api/paper/PMC6907074/links?db=pmc&type=citedby&retmax=0&records=maybe');
+    assert.equal(range.status, 400);
+    assert.deepEqual((await range.json()).details.map(problem => problem.message), ['retmax must be at least 1', 'records must be of type boolean, got string']);
+    const dollar = await app.request('/api/paper/%24');
+    assert.equal(dollar.status, 400);
+    assert.equal((await dollar.json()).details[0].path, 'id');
+  });
+
+  it('accepts comma-separated and repeated list parameters', async () => {
+    const res = await app.request('/api/ids?ids=PMC6907074,10.1038%2Fs41586-019-1711-4&numeric=pmcid');
+    assert.equal((await res.json()).total, 2);
+    const search = await app.request('/api/search?db=pubmed&term=crispr&author=Liu%20DR&author=Smith%20J');
+    assert.equal((await search.json()).query, '(crispr) AND ("Liu DR"[au] AND "Smith J"[au])');
+  });
+});
@@ -0,0 +1,198 @@
+// test/paper.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/paper/[id]', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('parses a full PubMed record', async () => {
+    const res = await app.request('/api/paper/31452104');
+    assert.equal(res.status, 200);
+    const paper = await res.json();
+    assert.equal(paper.schemaVersion, 5);
+    assert.equal(paper.db, 'pubmed');
+    assert.equal(paper.doi, '10.1038/s41586-019-1711-4');
+    assert.equal(paper.pmcid, '6907074');
+    assert.deepEqual(paper.abstractSections.map(section => section.label), ['BACKGROUND', 'RESULTS']);
+    assert.match(paper.abstract, /^BACKGROUND: Most genetic variants/);
+    assert.equal(paper.authorList[0].orcid, '0000-0002-7421-5637');
+    assert.equal(paper.authorList[1].affiliations.length, 2);
+    assert.equal(paper.authorList[2].collective, 'Genome Editing Consortium');
+    assert.equal(paper.affiliations.length, 2);
+    assert.deepEqual(paper.journal, { title: 'Nature', isoAbbreviation: 'Nature', issn: '1476-4687', volume: '572', issue: '7770', pages: '149-157' });
+    assert.equal(paper.published.iso, '2019-08-07');
+    assert.deepEqual(paper.mesh[0], { descriptor: 'Gene Editing', ui: 'D064113', majorTopic: true, qualifiers: ['methods'] });
+    assert.deepEqual(paper.grants, [{ id: 'R01 EB022376', agency: 'NIBIB NIH HHS', country: 'United States' }]);
+    assert.deepEqual(paper.keywords, ['prime editing']);
+    assert.equal(paper.pubdate, '2019-08-07');
+  });
+
+  it('merges the PMC copy the same way as /api/papers', async () => {
+    const paper = await (await app.request('/api/paper/31452104')).json();
+    // 结构化的 PubMed 摘要和更完整的作者列表保留，PMC 的标题更长
+    assert.deepEqual(paper.provenance, {
+      title: 'pmc', abstract: 'pubmed', authors: 'pubmed', journal: 'pubmed', published: 'pubmed', pdfUrl: 'pmc', licenseHint: 'pmc', oaStatus: 'pmc', license: 'pmc',
+    });
+    assert.equal(paper.title, 'Search-and-replace genome editing without double-strand breaks or donor DNA');
+    assert.deepEqual(paper.conflicts, ['title', 'abstract', 'authors', 'journal']);
+    assert.equal(paper.licenseHint, 'open_access');
+    assert.equal(paper.license, 'CC BY');
+
+    await app.reset();
+    const [listed] = (await (await app.postJson('/api/papers', { db: 'pubmed', ids: ['31452104'] })).json()).papers;
+    assert.deepEqual(listed, paper);
+  });
+
+  it('attributes every field group to the single source of an unmerged record', async () => {
+    const single = db => ({
+      title: db, abstract: db, authors: db, journal: db, published: db, pdfUrl: db, licenseHint: db, oaStatus: db, license: db,
+    });
+    // 没有 PMC 副本的 PubMed 记录
+    const pubmedOnly = await (await app.request('/api/paper/30000002')).json();
+    assert.equal(pubmedOnly.pmcid, '');
+    assert.deepEqual(pubmedOnly.provenance, single('pubmed'));
+    assert.deepEqual(pubmedOnly.conflicts, []);
+    assert.equal(app.fake.callsTo('efetch').filter(call => call.params.db === 'pmc').length, 0);
+
+    const pmc = await (await app.request('/api/paper/PMC6907074')).json();
+    assert.deepEqual(pmc.provenance, single('pmc'));
+    assert.deepEqual(pmc.conflicts, []);
+  });
+
+  it('takes each field group from the source PAPER_MERGE_PRECEDENCE names', async () => {
+    process.env.PAPER_MERGE_PRECEDENCE = 'abstract=pmc, title=pubmed, journal=pmc, bogus=pmc';
+    try {
+      const paper = await (await app.request('/api/paper/31452104')).json();
+      assert.equal(paper.provenance.abstract, 'pmc');
+      assert.equal(paper.abstract, 'Most genetic variants that contribute to disease are challenging to correct efficiently and without excess byproducts. Here we describe prime editing.');
+      assert.equal(paper.articletitle, paper.abstract);
+      assert.equal(paper.title, 'Search-and-replace genome editing without double-strand breaks.');
+      assert.equal(paper.journal.volume, '576');
+      assert.equal(paper.source, 'Nature');
+      // 未设置的字段组仍然取信息更多的一方
+      assert.equal(paper.provenance.authors, 'pubmed');
+    } finally {
+      delete process.env.PAPER_MERGE_PRECEDENCE;
+    }
+  });
+
+  it('parses a PMC record when the ID has the PMC prefix', async () => {
+    const res = await app.request('/api/paper/PMC6907074');
+    const paper = await res.json();
+    assert.equal(paper.db, 'pmc');
+    assert.equal(paper.pmid, '31452104');
+    // epub 日期优先于 ppub
+    assert.equal(paper.published.iso, '2019-10-21');
+    assert.deepEqual(paper.authorList[1].affiliations, [
+      'Merkin Institute, Broad Institute of Harvard and MIT, Cambridge, MA USA',
+      'Howard Hughes Medical Institute, Harvard University, Cambridge, MA USA',
+    ]);
+    assert.equal(paper.authorList[0].orcid, '0000-0002-7421-5637');
+    assert.equal(paper.journal.pages, '149-157');
+    assert.equal(paper.license, 'CC BY');
+    assert.equal(paper.licenseHint, 'open_access');
+    assert.equal(paper.oaStatus, paper.licenseHint, 'deprecated alias');
+    assert.deepEqual(paper.grants, [{ id: 'R01 EB022376', agency: 'National Institute of Biomedical Imaging and Bioengineering', country: '' }]);
+  });
+
+  it('treats bare numbers as PMCIDs with db=pmc', async () => {
+    const res = await app.request('/api/paper/7000000?db=pmc');
+    const paper = await res.json();
+    assert.equal(paper.pmcid, '7000000');
+    assert.equal(paper.abstract, '');
+    assert.deepEqual(paper.publicationTypes, ['editorial']);
+    assert.equal(paper.licenseHint, 'not_open_access');
+    assert.equal(paper.pdfUrl, '', 'no PDF link is invented');
+  });
+
+  it('resolves a DOI through the ID converter', async () => {
+    const res = await app.request(`/api/paper/${encodeURIComponent('10.1038/s41586-019-1711-4')}`);
+    assert.equal(res.status, 200);
+    const paper = await res.json();
+    assert.equal(paper.uid, '31452104');
+    assert.equal(app.fake.callsTo('idconv')[0].params.idtype, 'doi');
+  });
+
+  it('returns 404 for unknown identifiers', async () => {
+    assert.equal((await app.request('/api/paper/99999999')).status, 404);
+    assert.equal((await app.request('/api/paper/PMC1')).status, 404);
+    assert.equal((await app.request(`/api/paper/${encodeURIComponent('10.9999/missing')}`)).status, 404);
+  });
+
+  it('caches the parsed record and honours If-None-Match', async () => {
+    const first = await app.request('/api/paper/30000002');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    const etag = first.headers.get('etag');
+    const second = await app.request('/api/paper/30000002', { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('efetch').length, 1);
+  });
+
+  it('maps a persistent upstream error to 502', async () => {
+    app.fake.failNext('efetch', { status: 502, body: 'Bad Gateway', contentType: 'text/plain', times: 5 });
+    const res = await app.request('/api/paper/30000002');
+    assert.equal(res.status, 502);
+  });
+});
+
+describe('/api/paper/[id]/pdf and /oa', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('reports the OA status, licence and proxy path', async () => {
+    const res = await app.request(`/api/paper/${encodeURIComponent('10.1038/s41586-019-1711-4')}/oa`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.pmcid, 'PMC6907074');
+    assert.equal(body.oaStatus, 'open_access');
+    assert.equal(body.license, 'CC BY');
+    assert.equal(body.pdfUrl, '/api/paper/PMC6907074/pdf');
+    assert.equal(app.fake.callsTo('oa')[0].params.id, 'PMC6907074');
+  });
+
+  it('streams the PDF with content headers', async () => {
+    const res = await app.request('/api/paper/PMC6907074/pdf');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.match(res.headers.get('content-disposition'), /filename="PMC6907074\.pdf"/);
+    const body = Buffer.from(await res.arrayBuffer());
+    assert.equal(body.length, Number(res.headers.get('content-length')));
+    assert.equal(body.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('forwards Range requests as 206 partial content', async () => {
+    const res = await app.request('/api/paper/PMC6907074/pdf', { headers: { Range: 'bytes=0-7' } });
+    assert.equal(res.status, 206);
+    assert.match(res.headers.get('content-range'), /^bytes 0-7\/\d+$/);
+    assert.equal(await res.text(), '%PDF-1.4');
+  });
+
+  it('refuses articles outside the Open Access subset', async () => {
+    const res = await app.request('/api/paper/PMC7000000/pdf');
+    assert.equal(res.status, 403);
+    const body = await res.json();
+    assert.equal(body.oaStatus, 'not_open_access');
+    assert.match(body.reason, /not Open Access/);
+    assert.equal(app.fake.callsTo('file').length, 0);
+  });
+
+  it('validates asset names before contacting NCBI', async () => {
+    assert.equal((await app.request('/api/paper/PMC6907074/asset?name=..%2Fsecret.jpg')).status, 400);
+    assert.equal((await app.request('/api/paper/PMC6907074/asset?name=data.xlsx')).status, 400);
+    assert.equal((await app.request('/api/paper/PMC7000000/asset?name=fig1.jpg')).status, 403);
+  });
+});
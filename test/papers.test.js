@@ -0,0 +1,117 @@
+// test/papers.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/papers', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('returns PubMed records in request order and drops unknown IDs', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001', '99999999', '30000002'] });
+    assert.equal(res.status, 200);
+    const { papers, total } = await res.json();
+    assert.equal(total, 2);
+    assert.deepEqual(papers.map(paper => paper.uid), ['30000001', '30000002']);
+  });
+
+  it('handles a group author, a MedlineDate and a missing abstract', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001'] });
+    const [paper] = (await res.json()).papers;
+    assert.deepEqual(paper.authorList.map(author => author.collective), ['Surveillance Network Writing Group']);
+    assert.deepEqual(paper.authorsArray, ['Surveillance Network Writing Group']);
+    assert.equal(paper.published.iso, '2018-11');
+    assert.equal(paper.published.raw, '2018 Nov-Dec');
+    assert.equal(paper.abstract, '');
+    assert.equal(paper.articletitle, 'No abstract available.');
+  });
+
+  it('keeps inline markup text and season-only dates', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000002'] });
+    const [paper] = (await res.json()).papers;
+    assert.equal(paper.title, 'A letter with a formatted title.');
+    assert.equal(paper.published.year, '2021');
+    assert.equal(paper.published.month, '');
+    assert.equal(paper.abstract, 'An unstructured abstract.');
+  });
+
+  it('merges the PMC copy into PubMed records that have one', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['31452104'] });
+    const [paper] = (await res.json()).papers;
+    assert.equal(paper.pmcid, '6907074');
+    assert.equal(paper.pdfUrl, 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC6907074/pdf/nihms-1541141.pdf');
+    assert.equal(app.fake.callsTo('efetch').map(call => call.params.db).join(','), 'pubmed,pmc');
+  });
+
+  it('fetches PMC records by PMCID with or without the prefix', async () => {
+    const res = await app.postJson('/api/papers', { db: 'pmc', ids: ['PMC7000000', '6907074'] });
+    const { papers } = await res.json();
+    assert.deepEqual(papers.map(paper => paper.pmcid), ['7000000', '6907074']);
+    assert.equal(papers[0].authorList[0].collective, 'Open Health Steering Committee');
+    assert.equal(papers[0].published.iso, '2020');
+    assert.equal(papers[0].journal.pages, 'e100');
+  });
+
+  it('serves cached records without calling NCBI again', async () => {
+    await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001'] });
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001', '30000002'] });
+    assert.equal(res.headers.get('x-cache'), 'PARTIAL');
+    const [, second] = app.fake.callsTo('efetch');
+    assert.equal(second.params.id, '30000002');
+  });
+
+  it('validates the method and the payload', async () => {
+    assert.equal((await app.request('/api/papers')).status, 405);
+    assert.equal((await app.postJson('/api/papers', { db: 'pubmed', ids: [] })).status, 400);
+    assert.equal((await app.postJson('/api/papers', { db: 'genbank', ids: ['1'] })).status, 400);
+  });
+
+  describe('with small batches', () => {
+    before(() => {
+      Object.assign(process.env, { PAPERS_BATCH_SIZE: '2', PAPERS_FETCH_CONCURRENCY: '1' });
+    });
+    after(() => {
+      delete process.env.PAPERS_BATCH_SIZE;
+      delete process.env.PAPERS_FETCH_CONCURRENCY;
+    });
+
+    it('posts long lists with EPost and reports a status per ID in request order', async () => {
+      const ids = ['30000002', '99999999', '31452104', 'abc', '30000001'];
+      const res = await app.postJson('/api/papers', { db: 'pubmed', ids });
+      assert.equal(res.status, 200);
+      const { papers, results } = await res.json();
+      assert.deepEqual(papers.map(paper => paper.uid), ['30000002', '31452104', '30000001']);
+      assert.deepEqual(results.map(result => [result.id, result.status]), [
+        ['30000002', 'found'], ['99999999', 'not_found'], ['31452104', 'found'], ['abc', 'not_found'], ['30000001', 'found'],
+      ]);
+      assert.equal(app.fake.callsTo('epost')[0].params.id, ids.join(','));
+      // 4 个有效 ID 每批 2 个，再加一次 PMC 合并
+      assert.deepEqual(app.fake.callsTo('efetch').map(call => call.params.db), ['pubmed', 'pubmed', 'pmc']);
+      assert.equal(papers[1].pdfUrl, 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC6907074/pdf/nihms-1541141.pdf');
+    });
+
+    it('keeps the batches that succeeded when one fails', async () => {
+      app.fake.failNext('efetch', { status: 500, body: 'Internal Server Error', contentType: 'text/plain', times: 3 });
+      const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001', '30000002', '99999999'] });
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('cache-control'), /max-age=0/);
+      const { papers, results } = await res.json();
+      // history 中 ID 从大到小排列，失败的第一批是 99999999 和 30000002
+      assert.deepEqual(papers.map(paper => paper.uid), ['30000001']);
+      assert.deepEqual(results.map(result => result.status), ['found', 'error', 'error']);
+      assert.match(results[1].error, /efetch/i);
+    });
+  });
+
+  it('reports upstream failures with the utility that failed', async () => {
+    app.fake.failNext('efetch', { status: 500, body: 'Internal Server Error', contentType: 'text/plain', times: 5 });
+    const res = await app.postJson('/api/papers', { db: 'pubmed', ids: ['30000001'] });
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).upstream.utility, 'efetch');
+  });
+});
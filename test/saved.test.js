@@ -0,0 +1,136 @@
+// test/saved.test.js
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('/api/saved', () => {
+  let app;
+
+  async function save(body) {
+    const res = await app.postJson('/api/saved', body);
+    assert.equal(res.status, 201);
+    return res.json();
+  }
+
+  // 直接改写保存的检索文件：模拟文献新进入 Entrez（从 seenIds 中去掉）和上次运行已经过去很久
+  async function rewind(id, { unseen = [], hours = 0, feed = false } = {}) {
+    const file = process.env.SAVED_SEARCHES_FILE;
+    const searches = JSON.parse(await fs.readFile(file, 'utf8'));
+    const state = feed ? searches[id].feed : searches[id];
+    state.seenIds = state.seenIds.filter(uid => !unseen.includes(uid));
+    state.lastRunAt = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(file, JSON.stringify(searches));
+  }
+
+  const run = async (id, query = '') => (await app.request(`/api/saved/${id}/run${query}`, { method: 'POST' })).json();
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('creates a saved search with the current results as seen', async () => {
+    const saved = await save({ name: '  Prime editing  ', term: 'crispr', db: 'pubmed', sort: 'pub_date' });
+    assert.match(saved.id, /^[0-9a-f]{12}$/);
+    assert.equal(saved.name, 'Prime editing');
+    assert.equal(saved.term, 'crispr');
+    assert.equal(saved.sort, 'pub_date');
+    assert.deepEqual(saved.params, { term: 'crispr', sort: 'pub_date' });
+    assert.equal(saved.owner, null);
+    assert.equal(saved.seenCount, 3);
+    assert.equal(saved.seenIds, undefined);
+    assert.deepEqual(saved.runs, []);
+
+    const { searches, total } = await (await app.request('/api/saved')).json();
+    assert.ok(total >= 1);
+    assert.deepEqual(searches.find(listed => listed.id === saved.id), saved);
+    assert.deepEqual(await (await app.request(`/api/saved/${saved.id}`)).json(), saved);
+
+    const missing = await app.postJson('/api/saved', { db: 'pubmed' });
+    assert.equal(missing.status, 400);
+  });
+
+  it('keeps the retraction filter and rejects retracted=flag', async () => {
+    const saved = await save({ term: 'crispr', db: 'pubmed', retracted: 'exclude' });
+    assert.deepEqual(saved.params, { term: 'crispr', retracted: 'exclude' });
+    assert.equal(saved.term, '(crispr) AND (all[sb] NOT "retracted publication"[pt])');
+
+    const flagged = await app.postJson('/api/saved', { term: 'crispr', db: 'pubmed', retracted: 'flag' });
+    assert.equal(flagged.status, 400);
+    assert.match((await flagged.json()).error, /retracted=flag is only available on \/api\/search/);
+  });
+
+  it('returns only the IDs added since the previous run', async () => {
+    const saved = await save({ term: 'crispr', db: 'pubmed' });
+    await rewind(saved.id, { unseen: ['31452104'] });
+
+    const first = await run(saved.id, '?records=true');
+    assert.deepEqual(first.newIds, ['31452104']);
+    assert.equal(first.total, 1);
+    assert.deepEqual(first.records.map(record => record.pmid), ['31452104']);
+    const search = app.fake.callsTo('esearch').at(-1).params;
+    assert.equal(search.datetype, 'edat');
+    assert.match(search.mindate, /^\d{4}\/\d{2}\/\d{2}$/);
+
+    const second = await run(saved.id);
+    assert.deepEqual(second.newIds, []);
+    assert.equal(second.records, undefined);
+
+    const described = await (await app.request(`/api/saved/${saved.id}`)).json();
+    assert.deepEqual(described.runs.map(entry => entry.newIds), [[], ['31452104']]);
+  });
+
+  it('serves the new papers of recent runs as Atom or RSS', async () => {
+    const saved = await save({ name: 'Editing alerts', term: 'crispr', db: 'pubmed' });
+    await rewind(saved.id, { unseen: ['31452104'] });
+    await run(saved.id);
+
+    const atom = await app.request(`/api/saved/${saved.id}/feed`);
+    assert.equal(atom.status, 200);
+    assert.match(atom.headers.get('content-type'), /^application\/atom\+xml/);
+    const atomXml = await atom.text();
+    assert.match(atomXml, /<title>Editing alerts — new papers<\/title>/);
+    assert.equal(atomXml.match(/<entry>/g).length, 1);
+    assert.match(atomXml, /pubmed\.ncbi\.nlm\.nih\.gov\/31452104/);
+
+    const rss = await app.request(`/api/saved/${saved.id}/feed?format=rss`);
+    assert.match(rss.headers.get('content-type'), /^application\/rss\+xml/);
+    assert.equal((await rss.text()).match(/<item>/g).length, 1);
+  });
+
+  it('refreshes the feed with its own cursor', async () => {
+    const saved = await save({ term: 'crispr', db: 'pubmed' });
+    await rewind(saved.id, { unseen: ['31452104'], hours: 2 });
+
+    // 订阅源过期后自动运行，但只推进自己的游标
+    const feed = await (await app.request(`/api/saved/${saved.id}/feed`)).text();
+    assert.match(feed, /pubmed\.ncbi\.nlm\.nih\.gov\/31452104/);
+    const described = await (await app.request(`/api/saved/${saved.id}`)).json();
+    assert.deepEqual(described.runs, []);
+    assert.equal(described.feed, undefined);
+
+    // 手动运行仍然能拿到这篇新文献
+    assert.deepEqual((await run(saved.id)).newIds, ['31452104']);
+
+    // 订阅源在刷新间隔内不再检索
+    await app.reset();
+    await app.request(`/api/saved/${saved.id}/feed?format=rss`);
+    assert.equal(app.fake.callsTo('esearch').length, 0);
+
+    await rewind(saved.id, { hours: 2, feed: true });
+    const refreshed = await (await app.request(`/api/saved/${saved.id}/feed?format=rss`)).text();
+    assert.equal(refreshed.match(/<item>/g).length, 1, 'already seen by the feed');
+  });
+
+  it('deletes a saved search', async () => {
+    const saved = await save({ term: 'crispr', db: 'pubmed' });
+    const deleted = await app.request(`/api/saved/${saved.id}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 204);
+    assert.equal((await app.request(`/api/saved/${saved.id}`)).status, 404);
+    assert.equal((await app.request(`/api/saved/${saved.id}/run`, { method: 'POST' })).status, 404);
+    assert.equal((await app.request(`/api/saved/${saved.id}/feed`)).status, 404);
+    assert.equal((await app.request(`/api/saved/${saved.id}`, { method: 'DELETE' })).status, 404);
+  });
+});
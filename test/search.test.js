@@ -0,0 +1,135 @@
+// test/search.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { readFixture } from './fake-eutils.js';
+import { startTestServer } from './helpers.js';
+
+describe('/api/search', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('returns one page of IDs with the total and query translation', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&retmax=2');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.ids, ['31452104', '30000002']);
+    assert.equal(body.total, 3);
+    assert.equal(body.retstart, 0);
+    assert.equal(body.querytranslation, '"crispr"[All Fields]');
+  });
+
+  it('pages through the history server with retstart', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&retstart=2&retmax=2');
+    const body = await res.json();
+    assert.deepEqual(body.ids, ['30000001']);
+    const [, page] = app.fake.callsTo('esearch');
+    assert.ok(page.params.WebEnv, 'second ESearch call uses the WebEnv');
+  });
+
+  it('compiles structured parameters into the Entrez term', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&author=Liu%20DR');
+    const body = await res.json();
+    assert.equal(body.query, '(crispr) AND "Liu DR"[au]');
+    assert.deepEqual(body.ids, ['31452104']);
+    assert.equal(app.fake.callsTo('esearch')[0].params.term, '(crispr) AND "Liu DR"[au]');
+  });
+
+  it('returns an empty page when nothing matches', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=nothingmatchesthis');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.ids, []);
+    assert.equal(body.total, 0);
+  });
+
+  it('hydrates full records from the history server with include=records', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&include=records&retmax=3');
+    const body = await res.json();
+    assert.deepEqual(body.ids, ['31452104', '30000002', '30000001']);
+    assert.equal(body.records.length, 3);
+    assert.equal(body.records[2].authorList[0].collective, 'Surveillance Network Writing Group');
+    assert.equal(app.fake.callsTo('efetch')[0].params.WebEnv !== undefined, true);
+  });
+
+  it('trims records to the requested fields', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crispr&include=records&fields=uid,title');
+    const body = await res.json();
+    assert.deepEqual(Object.keys(body.records[0]).sort(), ['title', 'uid']);
+  });
+
+  it('serves a repeated search from the cache', async () => {
+    await app.request('/api/search?db=pubmed&term=crispr');
+    const res = await app.request('/api/search?db=pubmed&term=crispr');
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('esearch').length, 2, 'only the first request reached NCBI');
+  });
+
+  it('rejects a missing term and an unknown database', async () => {
+    assert.equal((await app.request('/api/search?db=pubmed')).status, 400);
+    assert.equal((await app.request('/api/search?db=genbank&term=x')).status, 400);
+  });
+
+  it('turns an ESearch ERROR payload into a 400', async () => {
+    app.fake.failNext('esearch', { body: readFixture('esearch/error.json') });
+    const res = await app.request('/api/search?db=pubmed&term=crispr((');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.upstream.utility, 'esearch');
+    assert.match(body.details, /unbalanced parentheses/);
+  });
+
+  it('retries after a 429 and succeeds', async () => {
+    app.fake.failNext('esearch', { status: 429, body: readFixture('rate-limit.json') });
+    const res = await app.request('/api/search?db=pubmed&term=crispr');
+    assert.equal(res.status, 200);
+    assert.equal(app.fake.callsTo('esearch').length, 3);
+  });
+
+  it('treats a rate-limit body with HTTP 200 as a 429', async () => {
+    app.fake.failNext('esearch', { status: 200, body: readFixture('rate-limit.json') });
+    const res = await app.request('/api/search?db=pubmed&term=crispr');
+    assert.equal(res.status, 200);
+    assert.equal(app.fake.callsTo('esearch').length, 3);
+  });
+
+  it('passes a persistent 429 through with Retry-After', async () => {
+    process.env.NCBI_MAX_RETRIES = '0';
+    try {
+      app.fake.failNext('esearch', { status: 429, body: readFixture('rate-limit.json'), headers: { 'Retry-After': '5' }, times: 5 });
+      const res = await app.request('/api/search?db=pubmed&term=crispr');
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '5');
+      const body = await res.json();
+      assert.equal(body.upstream.status, 429);
+    } finally {
+      process.env.NCBI_MAX_RETRIES = '2';
+    }
+  });
+
+  it('falls back to 3 retries when NCBI_MAX_RETRIES is empty or not a number', async () => {
+    for (const value of ['', 'three']) {
+      await app.reset();
+      process.env.NCBI_MAX_RETRIES = value;
+      try {
+        app.fake.failNext('esearch', { status: 503, body: 'Service Unavailable', contentType: 'text/plain', times: 10 });
+        const res = await app.request('/api/search?db=pubmed&term=crispr');
+        assert.equal(res.status, 502);
+        assert.equal(app.fake.callsTo('esearch').length, 4);
+      } finally {
+        process.env.NCBI_MAX_RETRIES = '2';
+      }
+    }
+  });
+
+  it('reports a 502 when NCBI keeps failing', async () => {
+    app.fake.failNext('esearch', { status: 503, body: 'Service Unavailable', contentType: 'text/plain', times: 5 });
+    const res = await app.request('/api/search?db=pubmed&term=crispr');
+    assert.equal(res.status, 502);
+    assert.equal(app.fake.callsTo('esearch').length, 3);
+  });
+});
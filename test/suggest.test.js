@@ -0,0 +1,95 @@
+// test/suggest.test.js
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startTestServer } from './helpers.js';
+
+describe('spelling suggestions', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('adds didYouMean to searches with few hits', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=crisprr');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.total, 0);
+    assert.equal(body.didYouMean, 'crispr');
+    assert.equal(app.fake.callsTo('espell').length, 1);
+  });
+
+  it('leaves didYouMean out when there are enough hits or nothing to correct', async () => {
+    const res = await app.request('/api/search?db=pubmed&term=unknownterm');
+    const body = await res.json();
+    assert.equal(body.didYouMean, undefined);
+  });
+
+  it('still answers the search when ESpell fails', async () => {
+    app.fake.failNext('espell', { status: 500, body: 'Internal Server Error', contentType: 'text/plain', times: 3 });
+    const res = await app.request('/api/search?db=pubmed&term=crisprr');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).didYouMean, undefined);
+  });
+
+  it('serves /api/spell from the cache the second time', async () => {
+    const first = await app.request('/api/spell?term=prime%20editting%20AND%20cancer');
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), { query: 'prime editting AND cancer', corrected: 'prime editing AND cancer' });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const second = await app.request('/api/spell?term=prime%20editting%20AND%20cancer');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(app.fake.callsTo('espell').length, 1);
+  });
+});
+
+describe('/api/autocomplete', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+  after(() => app.close());
+  beforeEach(() => app.reset());
+
+  it('suggests MeSH terms and filters longer prefixes locally', async () => {
+    const res = await app.request('/api/autocomplete?q=gene&types=mesh');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.suggestions.map(item => item.value), ['Gene Editing', 'Genes']);
+    assert.equal(body.suggestions[0].field, 'mesh');
+    assert.equal(body.suggestions[0].id, 'D064113');
+    app.fake.reset();
+
+    const longer = await app.request('/api/autocomplete?q=Gene%20%20E&types=mesh');
+    assert.equal(longer.headers.get('x-cache'), 'HIT');
+    assert.deepEqual((await longer.json()).suggestions.map(item => item.value), ['Gene Editing']);
+    assert.equal(app.fake.calls.length, 0);
+  });
+
+  it('suggests journals and authors', async () => {
+    const journals = await (await app.request('/api/autocomplete?q=natu&types=journal')).json();
+    assert.deepEqual(journals.suggestions.map(item => [item.value, item.label, item.id]), [
+      ['Nature', 'Nature', '0028-0836'],
+      ['Nat Commun', 'Nature communications', '2041-1723'],
+    ]);
+
+    const authors = await (await app.request('/api/autocomplete?q=Liu%20D&types=author')).json();
+    assert.deepEqual(authors.suggestions.map(item => item.value), ['Liu DR']);
+    assert.equal(authors.suggestions[0].field, 'author');
+  });
+
+  it('returns nothing for short prefixes without calling NCBI', async () => {
+    const res = await app.request('/api/autocomplete?q=ge');
+    assert.deepEqual((await res.json()).suggestions, []);
+    assert.equal(app.fake.calls.length, 0);
+  });
+
+  it('rejects unknown suggestion types', async () => {
+    const res = await app.request('/api/autocomplete?q=gene&types=mesh,genes');
+    assert.equal(res.status, 400);
+  });
+});